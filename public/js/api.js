@@ -0,0 +1,65 @@
+// Talking to the explorer API from the views.
+//
+// The selected channel lives in the page URL (?channel=<name>) so every view
+// can be bookmarked; without it the server's default channel is used.
+
+export function currentChannel() {
+    return new URLSearchParams(window.location.search).get('channel') || '';
+}
+
+export function api(path, channel) {
+    const name = channel || currentChannel();
+    return name ? `/api/${encodeURIComponent(name)}${path}` : `/api${path}`;
+}
+
+// Link to another view, keeping the channel
+export function pageLink(path, channel) {
+    const name = channel || currentChannel();
+    if (!name) {
+        return path;
+    }
+    return `${path}${path.includes('?') ? '&' : '?'}channel=${encodeURIComponent(name)}`;
+}
+
+export class ApiError extends Error {
+    constructor(status, body) {
+        super((body && (body.error || body.message)) || `Request failed with status ${status}`);
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// GET or POST a JSON endpoint. Resolves with the body of a successful
+// response and rejects with an ApiError otherwise.
+export async function fetchJson(url, { signal, method = 'GET', body } = {}) {
+    const options = { method, signal, headers: { Accept: 'application/json' } };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(url, options);
+    let data = null;
+    try {
+        data = await res.json();
+    } catch (error) {
+        // Not JSON; reported below with the status
+    }
+    if (!res.ok || !data || data.success === false) {
+        throw new ApiError(res.status, data);
+    }
+    return data;
+}
+
+// Explorer settings (hash algorithm, channels), fetched once
+let configPromise = null;
+
+export function loadConfig() {
+    if (!configPromise) {
+        configPromise = fetchJson('/api/config').catch((error) => {
+            configPromise = null;
+            throw error;
+        });
+    }
+    return configPromise;
+}
@@ -0,0 +1,161 @@
+// Veridat Hash Explorer - client-side router.
+//
+// The server answers every UI path with the same index.html; this module
+// picks the view for the path, renders it into <main id="view"> and turns
+// clicks on internal links into history.pushState navigations.
+//
+// A view is an async function (root, params, signal). The signal aborts when
+// the user navigates away: views pass it to fetchJson and hang the cleanup of
+// streams, observers and timers on its 'abort' event.
+
+import { html, render, errorBox } from './html.js';
+import { currentChannel, loadConfig, pageLink } from './api.js';
+import dashboardView from './views/dashboard.js';
+import documentView from './views/document.js';
+import blockView from './views/block.js';
+import transactionView from './views/transaction.js';
+import searchView from './views/search.js';
+import receiptView from './views/receipt.js';
+import docsView from './views/docs.js';
+import statsView from './views/stats.js';
+
+const routes = [
+    { pattern: /^\/$/, view: dashboardView, title: () => 'Dashboard' },
+    { pattern: /^\/doc\/([^/]+)$/, view: documentView, title: params => `Document ${params[0]}` },
+    { pattern: /^\/block\/number\/([^/]+)$/, view: blockView, title: params => `Block #${params[0]}` },
+    { pattern: /^\/tx\/([^/]+)$/, view: transactionView, title: params => `Transaction ${params[0].slice(0, 12)}…` },
+    { pattern: /^\/search$/, view: searchView, title: () => 'Search' },
+    { pattern: /^\/receipt\/([^/]+)$/, view: receiptView, title: params => `Receipt - ${params[0]}` },
+    { pattern: /^\/stats$/, view: statsView, title: () => 'Statistics' },
+    { pattern: /^\/docs$/, view: docsView, title: () => 'API' }
+];
+
+function matchRoute(pathname) {
+    for (const route of routes) {
+        const match = route.pattern.exec(pathname);
+        if (match) {
+            try {
+                return { route, params: match.slice(1).map(decodeURIComponent) };
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+let current = null;
+
+async function show() {
+    if (current) {
+        current.abort();
+    }
+    const controller = new AbortController();
+    current = controller;
+
+    const root = document.getElementById('view');
+    root.className = '';
+    window.scrollTo(0, 0);
+
+    const matched = matchRoute(window.location.pathname);
+    if (!matched) {
+        document.title = 'Not found - Veridat Hash Explorer';
+        render(root, html`<div class="panel">${errorBox('Not found', `Nothing here at ${window.location.pathname}`)}</div>`);
+        return;
+    }
+
+    const { route, params } = matched;
+    document.title = `${route.title(params)} - Veridat Hash Explorer`;
+    document.getElementById('searchInput').value = route.view === searchView
+        ? new URLSearchParams(window.location.search).get('q') || ''
+        : '';
+    updateChannelPicker();
+
+    try {
+        const channel = currentChannel();
+        if (channel) {
+            const config = await loadConfig();
+            if (controller.signal.aborted) {
+                return;
+            }
+            if (!config.channels.some(candidate => candidate.name === channel)) {
+                render(root, html`<div class="panel">${errorBox('Unknown channel', channel)}</div>`);
+                return;
+            }
+        }
+        await route.view(root, params, controller.signal);
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            render(root, html`<div class="panel">${errorBox('Error', error)}</div>`);
+        }
+    }
+}
+
+export function navigate(url, { replace = false } = {}) {
+    if (replace) {
+        window.history.replaceState(null, '', url);
+    } else {
+        window.history.pushState(null, '', url);
+    }
+    show();
+}
+
+// Follow internal links without reloading the page. Links to the API, the
+// metrics endpoint or downloads are left to the browser.
+function handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+    }
+    const link = event.target.closest('a[href]');
+    if (!link || link.target || link.hasAttribute('download')) {
+        return;
+    }
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || !matchRoute(url.pathname)) {
+        return;
+    }
+    event.preventDefault();
+    if (url.href !== window.location.href) {
+        navigate(url.pathname + url.search);
+    }
+}
+
+function handleSearch(event) {
+    event.preventDefault();
+    const q = document.getElementById('searchInput').value.trim();
+    navigate(pageLink(q ? `/search?q=${encodeURIComponent(q)}` : '/'));
+}
+
+// The channel picker only appears when the explorer serves several channels
+async function setupChannelPicker() {
+    try {
+        const config = await loadConfig();
+        if (config.channels.length < 2) {
+            return;
+        }
+        const select = document.getElementById('channelSelect');
+        render(select, html`${config.channels.map(channel => html`<option value="${channel.name}">${channel.name} (${channel.chaincode})</option>`)}`);
+        select.addEventListener('change', () => {
+            const url = new URL(window.location.href);
+            url.searchParams.set('channel', select.value);
+            navigate(url.pathname + url.search);
+        });
+        document.getElementById('channelPicker').hidden = false;
+        updateChannelPicker();
+    } catch (error) {
+        // Views still work on the default channel without the picker
+    }
+}
+
+function updateChannelPicker() {
+    loadConfig().then((config) => {
+        document.getElementById('channelSelect').value = currentChannel() || config.defaultChannel;
+    }, () => {});
+}
+
+document.addEventListener('click', handleLinkClick);
+document.getElementById('searchForm').addEventListener('submit', handleSearch);
+window.addEventListener('popstate', show);
+
+setupChannelPicker();
+show();
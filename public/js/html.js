@@ -0,0 +1,72 @@
+// HTML building for the explorer views.
+//
+// Every view renders ledger data (document IDs, hashes, chaincode names, MSP
+// subjects...) that anyone able to submit a transaction controls. Markup is
+// therefore only ever built with the html`` tag below: interpolated values
+// are escaped unless they are themselves the result of html``, and innerHTML
+// is only assigned through render().
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, character => ESCAPES[character]);
+}
+
+// Markup produced by html``, safe to insert as is
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function interpolate(value) {
+    if (value instanceof SafeHtml) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        return value.map(interpolate).join('');
+    }
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + interpolate(values[index - 1]) + string));
+}
+
+// Replace the content of an element; plain strings are shown as text
+export function render(element, content) {
+    if (content instanceof SafeHtml) {
+        element.innerHTML = content.markup;
+    } else {
+        element.textContent = content === null || content === undefined ? '' : String(content);
+    }
+}
+
+export function append(element, content) {
+    element.insertAdjacentHTML('beforeend', interpolate(content));
+}
+
+// Shared fragments
+
+export function errorBox(title, error) {
+    return html`<div class="error"><strong>❌ ${title}:</strong> ${error && error.message !== undefined ? error.message : error}</div>`;
+}
+
+export function hashRow(label, value) {
+    return html`<div class="info-row"><span class="label">${label}</span><div class="hash">${value === null || value === undefined || value === '' ? 'N/A' : value}</div></div>`;
+}
+
+export function valueRow(label, value) {
+    return html`<div class="info-row"><span class="label">${label}</span><span class="value">${value === null || value === undefined || value === '' ? 'N/A' : value}</span></div>`;
+}
+
+export function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : 'N/A';
+}
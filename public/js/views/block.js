@@ -0,0 +1,149 @@
+// Block view (/block/number/:number) and the block rendering shared with the
+// transaction view
+
+import { html, render, errorBox, hashRow, valueRow } from '../html.js';
+import { api, fetchJson, pageLink } from '../api.js';
+
+export function blockLink(blockNumber, label = `#${blockNumber}`) {
+    return blockNumber === null || blockNumber === undefined
+        ? 'N/A'
+        : html`<a href="${pageLink(`/block/number/${blockNumber}`)}">${label}</a>`;
+}
+
+export function txLink(txId, channel) {
+    return txId ? html`<a href="${pageLink(`/tx/${encodeURIComponent(txId)}`, channel)}">${txId}</a>` : 'N/A';
+}
+
+export function validationBadge(tx) {
+    return html`<span class="${tx.valid ? 'success-badge' : 'error-badge'}">${tx.validationCode}</span>`;
+}
+
+// Result of the server-side signature check: { valid, reason }
+export function signatureBadge(check) {
+    return check.valid
+        ? html`<span class="success-badge">✓ VERIFIED</span>`
+        : html`<span class="error-badge" title="${check.reason}">✗ UNVERIFIED</span>`;
+}
+
+// Creator and endorsers of a block transaction, all verified or the first failure
+function transactionSignatures(tx) {
+    if (!tx.creator || tx.creator.valid === undefined) {
+        return '-';
+    }
+    const failed = [tx.creator, ...(tx.endorsements || [])].find(check => !check.valid);
+    return signatureBadge(failed || tx.creator);
+}
+
+function renderOrdererSignatures(signatures) {
+    if (!signatures || !signatures.length) {
+        return html`<p class="notice">The block carries no orderer signatures</p>`;
+    }
+    return html`
+        <table class="tx-table">
+            <tr><th>MSP</th><th>Orderer</th><th>Signature</th><th>Reason</th></tr>
+            ${signatures.map(signature => html`
+                <tr>
+                    <td>${signature.mspId || 'N/A'}</td>
+                    <td>${signature.subject || 'N/A'}</td>
+                    <td>${signatureBadge(signature)}</td>
+                    <td>${signature.reason || ''}</td>
+                </tr>
+            `)}
+        </table>
+    `;
+}
+
+export function renderBlock(data, currentTxId) {
+    const transactions = data.transactions || [];
+    return html`
+        <h2>Block #${data.blockNumber} <span class="success-badge">✓ FOUND</span></h2>
+
+        <div class="stat-grid">
+            <div class="stat-card">
+                <div class="stat-label">Block Number</div>
+                <div class="stat-value">${blockLink(data.blockNumber, String(data.blockNumber))}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Block Size</div>
+                <div class="stat-value">${data.blockSize ? (data.blockSize / 1024).toFixed(2) : 'N/A'} KB</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Transactions</div>
+                <div class="stat-value">${data.transactionCount !== null ? data.transactionCount : 'N/A'}</div>
+            </div>
+        </div>
+
+        <div class="block-info">
+            ${valueRow('📺 Channel', data.channel)}
+            ${hashRow('🔗 Previous Block Hash', data.previousBlockHash)}
+            ${hashRow('📊 Data Hash', data.dataHash)}
+        </div>
+
+        <h3>🖋️ Orderer Signatures</h3>
+        ${renderOrdererSignatures(data.ordererSignatures)}
+
+        <h3>Transactions in this Block (${data.validTransactionCount} of ${data.transactionCount} valid)</h3>
+        <table class="tx-table">
+            <tr><th>#</th><th>Transaction ID</th><th>Type</th><th>Creator</th><th>Chaincode</th><th>Timestamp</th><th>Signatures</th><th>Status</th></tr>
+            ${transactions.map(tx => html`
+                <tr class="${tx.txId && tx.txId === currentTxId ? 'current' : ''}">
+                    <td>${tx.txNumber}</td>
+                    <td class="mono">${txLink(tx.txId)}</td>
+                    <td>${tx.type || 'N/A'}</td>
+                    <td>${tx.creator ? tx.creator.mspId : 'N/A'}</td>
+                    <td>${tx.chaincode ? `${tx.chaincode.name} → ${tx.chaincode.function || '?'}` : '-'}</td>
+                    <td>${tx.timestamp || 'N/A'}</td>
+                    <td>${transactionSignatures(tx)}</td>
+                    <td>${validationBadge(tx)}</td>
+                </tr>
+            `)}
+        </table>
+    `;
+}
+
+function navLink(label, blockNumber) {
+    return blockNumber === null
+        ? html`<span class="nav-button disabled">${label}</span>`
+        : html`<a class="nav-button" href="${pageLink(`/block/number/${blockNumber}`)}">${label}</a>`;
+}
+
+function linkedNumber(apiLink) {
+    return apiLink ? Number(apiLink.split('/').pop()) : null;
+}
+
+export default async function blockView(root, [number], signal) {
+    if (!/^\d+$/.test(number)) {
+        render(root, html`<div class="panel">${errorBox('Error', 'Block number must be a non-negative integer')}</div>`);
+        return;
+    }
+    const blockNumber = Number(number);
+
+    render(root, html`
+        <p class="subtitle">Block Number: <code>#${blockNumber}</code></p>
+        <div class="block-nav" id="blockNav">
+            ${navLink('← Previous Block', null)}
+            ${navLink('Next Block →', null)}
+        </div>
+        <div class="panel" id="blockContent"><div class="loading">⏳ Loading block information...</div></div>
+    `);
+    const content = document.getElementById('blockContent');
+    const nav = document.getElementById('blockNav');
+
+    try {
+        const data = await fetchJson(api(`/block/${blockNumber}`), { signal });
+        render(nav, html`
+            ${navLink('← Previous Block', linkedNumber(data.links.previous))}
+            ${navLink('Next Block →', linkedNumber(data.links.next))}
+        `);
+        render(content, renderBlock(data, null));
+    } catch (error) {
+        if (signal.aborted) {
+            return;
+        }
+        render(nav, html`
+            ${navLink('← Previous Block', blockNumber > 0 ? blockNumber - 1 : null)}
+            ${navLink('Next Block →', null)}
+        `);
+        render(content, errorBox('Error', error));
+    }
+}
@@ -0,0 +1,303 @@
+// Dashboard (/): chain status, the registry listing with filters and infinite
+// scroll, local document verification and live updates from /stream.
+//
+// The filters are kept in the page URL so a filtered listing can be
+// bookmarked or shared.
+
+import { html, render, append, errorBox, hashRow, valueRow, formatTime } from '../html.js';
+import { api, fetchJson, pageLink, loadConfig } from '../api.js';
+import { blockLink, txLink } from './block.js';
+
+const PAGE_SIZE = 25;
+
+// Listing query parameter -> filter input
+const FILTERS = {
+    documentIdPrefix: 'filterDocumentId',
+    hashPrefix: 'filterHash',
+    txId: 'filterTxId',
+    from: 'filterFrom',
+    to: 'filterTo'
+};
+
+const SORT_OPTIONS = [
+    ['timestamp:desc', 'Newest first'],
+    ['timestamp:asc', 'Oldest first'],
+    ['documentID:asc', 'Document ID A→Z'],
+    ['documentID:desc', 'Document ID Z→A']
+];
+
+function layout() {
+    return html`
+        <div class="chain-status">
+            <div class="chain-stat"><div class="chain-stat-label">Block Height</div><div class="chain-stat-value" id="statHeight">…</div></div>
+            <div class="chain-stat"><div class="chain-stat-label">Latest Block</div><div class="chain-stat-value" id="statLatest">…</div></div>
+            <div class="chain-stat"><div class="chain-stat-label">Documents</div><div class="chain-stat-value" id="statDocuments">…</div></div>
+            <div class="chain-stat"><div class="chain-stat-label">Channel</div><div class="chain-stat-value" id="statChannel">…</div></div>
+        </div>
+        <div class="panel">
+            <h3>📋 Registered Documents</h3>
+            <form id="filterForm" class="filters">
+                <input type="text" id="filterDocumentId" placeholder="Document ID prefix">
+                <input type="text" id="filterHash" placeholder="Hash prefix">
+                <input type="text" id="filterTxId" placeholder="Transaction ID">
+                <label>From <input type="date" id="filterFrom"></label>
+                <label>To <input type="date" id="filterTo"></label>
+                <select id="sortOrder">
+                    ${SORT_OPTIONS.map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+                </select>
+                <button type="submit">Apply Filters</button>
+                <a id="exportLink" class="button" href="#">⬇️ Export CSV</a>
+            </form>
+        </div>
+        <div class="panel">
+            <h3>📄 Verify a Document</h3>
+            <div id="dropZone" class="drop-zone" role="button" tabindex="0">
+                Drop a file here or click to choose one
+                <small>The file is hashed in your browser and never leaves your machine</small>
+            </div>
+            <input type="file" id="fileInput" hidden>
+            <div id="verdict"></div>
+        </div>
+        <button type="button" id="liveBanner" class="live-banner" hidden></button>
+        <div id="listSummary" class="list-summary"></div>
+        <div id="results"></div>
+        <div id="scrollSentinel" class="scroll-sentinel"></div>
+    `;
+}
+
+function renderRecord(record) {
+    return html`
+        <div class="result">
+            ${valueRow('Document ID', html`<a href="${pageLink(`/doc/${encodeURIComponent(record.documentID)}`)}">${record.documentID}</a>`)}
+            ${hashRow('Hash', record.hash)}
+            ${hashRow('Transaction ID', record.txId ? txLink(record.txId) : null)}
+            ${valueRow('Timestamp', record.timestamp)}
+        </div>
+    `;
+}
+
+function latestBlock(blockNumber, timestamp) {
+    return blockNumber === null || blockNumber === undefined
+        ? 'N/A'
+        : html`${blockLink(blockNumber)} ${timestamp ? formatTime(timestamp) : ''}`;
+}
+
+// Read the filters from the page URL into the form, and back
+function restoreFilters() {
+    const params = new URLSearchParams(window.location.search);
+    for (const [param, id] of Object.entries(FILTERS)) {
+        document.getElementById(id).value = params.get(param) || '';
+    }
+    const sort = `${params.get('sort') || 'timestamp'}:${params.get('order') || 'desc'}`;
+    if (SORT_OPTIONS.some(([value]) => value === sort)) {
+        document.getElementById('sortOrder').value = sort;
+    }
+}
+
+function filterParams() {
+    const params = new URLSearchParams();
+    for (const [param, id] of Object.entries(FILTERS)) {
+        const value = document.getElementById(id).value.trim();
+        if (value) {
+            params.set(param, value);
+        }
+    }
+    const [sort, order] = document.getElementById('sortOrder').value.split(':');
+    params.set('sort', sort);
+    params.set('order', order);
+    return params;
+}
+
+function saveFilters(params) {
+    const url = new URL(window.location.href);
+    for (const name of [...Object.keys(FILTERS), 'sort', 'order']) {
+        url.searchParams.delete(name);
+    }
+    for (const [name, value] of params) {
+        if (!(name === 'sort' && value === 'timestamp') && !(name === 'order' && value === 'desc')) {
+            url.searchParams.set(name, value);
+        }
+    }
+    window.history.replaceState(null, '', url.pathname + url.search);
+}
+
+async function loadChainStatus(signal) {
+    const ids = ['statHeight', 'statLatest', 'statDocuments', 'statChannel'];
+    try {
+        const info = await fetchJson(api('/blockchain/info'), { signal });
+        render(document.getElementById('statHeight'), info.height);
+        render(document.getElementById('statLatest'), latestBlock(info.latestBlockNumber, info.latestBlockTimestamp));
+        render(document.getElementById('statDocuments'), info.totalDocuments);
+        render(document.getElementById('statChannel'), `${info.channel} / ${info.chaincode}`);
+    } catch (error) {
+        if (!signal.aborted) {
+            ids.forEach(id => render(document.getElementById(id), 'N/A'));
+        }
+    }
+}
+
+// Document verification: hash locally with WebCrypto, send only the digest
+async function verifyFile(file, signal) {
+    const verdict = document.getElementById('verdict');
+    let algorithm = null;
+    try {
+        algorithm = (await loadConfig()).webCryptoAlgorithm;
+    } catch (error) {
+        // Reported below like an unsupported algorithm
+    }
+    if (!algorithm || !window.crypto || !window.crypto.subtle) {
+        render(verdict, html`<div class="verdict no-match">❌ This browser cannot compute the document hash locally</div>`);
+        return;
+    }
+
+    render(verdict, html`<div class="verdict">⏳ Hashing ${file.name}...</div>`);
+    try {
+        const digest = await window.crypto.subtle.digest(algorithm, await file.arrayBuffer());
+        const hash = Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        const result = await fetchJson(api('/verify'), { signal, method: 'POST', body: { hash } });
+        render(verdict, result.match
+            ? html`<div class="verdict match">
+                <strong>✅ Match found - this document is registered on the ledger</strong>
+                ${valueRow('Document ID', html`<a href="${pageLink(`/doc/${encodeURIComponent(result.documentID)}`)}">${result.documentID}</a>`)}
+                ${valueRow('Transaction ID', txLink(result.txId))}
+                ${valueRow('Block Number', blockLink(result.blockNumber, String(result.blockNumber)))}
+                ${valueRow('Timestamp', result.timestamp)}
+                <div class="hash">${hash}</div>
+              </div>`
+            : html`<div class="verdict no-match">
+                <strong>❌ No match - this exact document is not registered</strong>
+                <div class="hash">${hash}</div>
+              </div>`);
+    } catch (error) {
+        if (!signal.aborted) {
+            render(verdict, html`<div class="verdict no-match">❌ Verification failed: ${error.message}</div>`);
+        }
+    }
+}
+
+function setupDropZone(signal) {
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('fileInput');
+    dropZone.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            fileInput.click();
+        }
+    });
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length) {
+            verifyFile(fileInput.files[0], signal);
+        }
+    });
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (event.dataTransfer.files.length) {
+            verifyFile(event.dataTransfer.files[0], signal);
+        }
+    });
+}
+
+export default async function dashboardView(root, params, signal) {
+    render(root, layout());
+    restoreFilters();
+
+    const results = document.getElementById('results');
+    const summary = document.getElementById('listSummary');
+    const banner = document.getElementById('liveBanner');
+    const exportLink = document.getElementById('exportLink');
+
+    let listQuery = '';
+    let nextCursor = null;
+    let loadingPage = false;
+    let shown = 0;
+    let newRegistrations = 0;
+
+    // Fetch the next page of the current listing and append it
+    async function loadPage(first) {
+        if (loadingPage || (!first && !nextCursor)) {
+            return;
+        }
+        loadingPage = true;
+        try {
+            const url = api(`/hashes?${listQuery}`) + (nextCursor ? `&cursor=${encodeURIComponent(nextCursor)}` : '');
+            const data = await fetchJson(url, { signal });
+            nextCursor = data.nextCursor;
+            if (first) {
+                shown = 0;
+                render(results, data.data.length ? html`${data.data.map(renderRecord)}` : html`<div class="result">No results</div>`);
+            } else {
+                append(results, data.data.map(renderRecord));
+            }
+            shown += data.data.length;
+            render(summary, data.total ? `Showing ${shown} of ${data.total} documents` : '');
+        } catch (error) {
+            if (!signal.aborted) {
+                render(results, html`<div class="result">${errorBox('Query failed', error)}</div>`);
+            }
+        } finally {
+            loadingPage = false;
+        }
+    }
+
+    async function loadAll() {
+        const params = filterParams();
+        saveFilters(params);
+        // Same filters and order as the list; the export ignores the page size
+        exportLink.href = api(`/export?format=csv&include=blockNumber,validationCode&${params}`);
+        params.set('limit', PAGE_SIZE);
+        listQuery = params.toString();
+        nextCursor = null;
+        newRegistrations = 0;
+        banner.hidden = true;
+        render(results, html`<div class="loading">⏳ Loading...</div>`);
+        render(summary, '');
+        await loadPage(true);
+    }
+
+    document.getElementById('filterForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadAll();
+    });
+    banner.addEventListener('click', loadAll);
+    setupDropZone(signal);
+
+    // Infinite scroll: load the next page when the end of the list comes into view
+    const observer = new IntersectionObserver((entries) => {
+        if (entries[0].isIntersecting && nextCursor) {
+            loadPage(false);
+        }
+    });
+    observer.observe(document.getElementById('scrollSentinel'));
+    signal.addEventListener('abort', () => observer.disconnect());
+
+    // New blocks update the status strip in place; new registrations only
+    // raise a banner so the list the user is reading does not jump
+    const source = new EventSource(api('/stream?types=block,registration'));
+    signal.addEventListener('abort', () => source.close());
+    source.addEventListener('block', (message) => {
+        const block = JSON.parse(message.data);
+        render(document.getElementById('statHeight'), block.blockNumber + 1);
+        render(document.getElementById('statLatest'), latestBlock(block.blockNumber, block.timestamp));
+    });
+    source.addEventListener('registration', (message) => {
+        const registration = JSON.parse(message.data);
+        const documents = document.getElementById('statDocuments');
+        const count = Number(documents.textContent);
+        if (!Number.isNaN(count) && registration.action !== 'updated') {
+            render(documents, count + (registration.action === 'deleted' ? -1 : 1));
+        }
+        newRegistrations++;
+        render(banner, `🔔 ${newRegistrations} new change${newRegistrations === 1 ? '' : 's'} on the ledger, ` +
+            `latest: ${registration.documentID} (${registration.action}). Click to refresh.`);
+        banner.hidden = false;
+    });
+
+    await Promise.all([loadChainStatus(signal), loadAll()]);
+}
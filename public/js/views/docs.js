@@ -0,0 +1,196 @@
+// Interactive API documentation (/docs), rendered from /api/openapi.json
+
+import { html, render, errorBox } from '../html.js';
+import { fetchJson, loadConfig } from '../api.js';
+
+function resolver(spec) {
+    return (node) => {
+        while (node && node.$ref) {
+            node = node.$ref.split('/').slice(1).reduce((parent, key) => parent[key], spec);
+        }
+        return node;
+    };
+}
+
+function inputId(index, parameter) {
+    return `p${index}-${parameter.in}-${parameter.name}`;
+}
+
+export default async function docsView(root, params, signal) {
+    render(root, html`
+        <p class="subtitle">Generated from <a href="/api/openapi.json">/api/openapi.json</a> (OpenAPI 3)</p>
+        <div class="panel">
+            <div class="toolbar">
+                <label>Channel <select id="docsChannel"></select></label>
+                <label>API key <input id="docsApiKey" type="password" placeholder="optional X-API-Key"></label>
+            </div>
+            <div id="docsContent" class="loading">⏳ Loading API description...</div>
+        </div>
+    `);
+    const content = document.getElementById('docsContent');
+
+    let spec;
+    let config;
+    try {
+        [spec, config] = await Promise.all([fetchJson('/api/openapi.json', { signal }), loadConfig()]);
+    } catch (error) {
+        if (!signal.aborted) {
+            render(content, errorBox('Error loading the API description', error));
+        }
+        return;
+    }
+
+    const resolve = resolver(spec);
+    const operations = [];
+    for (const [path, pathItem] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(pathItem)) {
+            operations.push({ method, path, operation, parameters: (operation.parameters || []).map(resolve) });
+        }
+    }
+
+    function schemaHint(schema) {
+        schema = resolve(schema);
+        if (schema.type === 'array') {
+            return `list of ${resolve(schema.items).enum.join(', ')}`;
+        }
+        if (schema.enum) {
+            return schema.enum.join(' | ');
+        }
+        return schema.description || schema.type || '';
+    }
+
+    function parameterInput(index, parameter) {
+        const schema = resolve(parameter.schema);
+        if (schema.enum) {
+            return html`<select id="${inputId(index, parameter)}"><option value=""></option>${schema.enum.map(value => html`<option>${value}</option>`)}</select>`;
+        }
+        return html`<input id="${inputId(index, parameter)}" placeholder="${schema.default !== undefined ? `default ${schema.default}` : ''}">`;
+    }
+
+    function renderOperation({ method, path, operation, parameters }, index) {
+        const jsonContent = operation.requestBody && operation.requestBody.content['application/json'];
+        const ok = operation.responses['200'];
+        const streaming = ok && ok.content && ok.content['text/event-stream'];
+        const page = operation.tags.includes('Pages');
+
+        return html`
+            <details class="operation">
+                <summary>
+                    <span class="method ${method}">${method.toUpperCase()}</span>
+                    <span class="path">${path}</span>
+                    <span class="summary">${operation.summary}${operation['x-channel-scoped'] ? ' · per channel' : ''}</span>
+                </summary>
+                <div class="body">
+                    ${operation.description ? html`<p>${operation.description}</p>` : ''}
+                    ${parameters.length ? html`
+                        <table class="tx-table params">
+                            <tr><th>Name</th><th>In</th><th>Format</th><th>Value</th></tr>
+                            ${parameters.map(parameter => html`
+                                <tr>
+                                    <td>${parameter.name}${parameter.required ? html` <span class="required">*</span>` : ''}</td>
+                                    <td>${parameter.in}</td>
+                                    <td>${schemaHint(parameter.schema)}</td>
+                                    <td>${parameterInput(index, parameter)}</td>
+                                </tr>
+                            `)}
+                        </table>` : ''}
+                    ${jsonContent ? html`<p><strong>JSON body</strong></p><textarea id="b${index}">{}</textarea>` : ''}
+                    <button type="button" data-operation="${index}" data-action="${streaming || page ? 'open' : 'send'}">${streaming || page ? 'Open' : 'Send'}</button>
+                    <div id="r${index}"></div>
+                </div>
+            </details>
+        `;
+    }
+
+    function buildUrl(index) {
+        const { path, operation, parameters } = operations[index];
+        const channel = document.getElementById('docsChannel').value;
+        const query = new URLSearchParams();
+        let url = path;
+
+        for (const parameter of parameters) {
+            const value = document.getElementById(inputId(index, parameter)).value;
+            if (parameter.in === 'path') {
+                url = url.replace(`{${parameter.name}}`, encodeURIComponent(value));
+            } else if (value !== '') {
+                query.set(parameter.name, value);
+            }
+        }
+
+        if (operation['x-channel-scoped'] && channel && channel !== config.defaultChannel) {
+            url = `/api/${encodeURIComponent(channel)}${url.replace(/^\/api/, '')}`;
+        }
+        const search = query.toString();
+        return url + (search ? `?${search}` : '');
+    }
+
+    async function sendOperation(index) {
+        const method = operations[index].method.toUpperCase();
+        const target = document.getElementById(`r${index}`);
+        const url = buildUrl(index);
+        const headers = {};
+        const apiKey = document.getElementById('docsApiKey').value;
+        if (apiKey) {
+            headers['X-API-Key'] = apiKey;
+        }
+
+        const options = { method, headers, signal };
+        const bodyInput = document.getElementById(`b${index}`);
+        if (bodyInput) {
+            headers['Content-Type'] = 'application/json';
+            options.body = bodyInput.value;
+        }
+
+        render(target, html`<div class="response">⏳ ${method} ${url}</div>`);
+        try {
+            const res = await fetch(url, options);
+            const type = res.headers.get('Content-Type') || '';
+            let text = await res.text();
+            if (type.includes('json')) {
+                try {
+                    text = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (error) {
+                    // Shown as received
+                }
+            }
+            if (text.length > 20000) {
+                text = `${text.slice(0, 20000)}\n… (truncated)`;
+            }
+            render(target, html`<div class="response">${method} ${url}
+${res.status} ${res.statusText}  X-Request-Id: ${res.headers.get('X-Request-Id') || '-'}
+
+${text}</div>`);
+        } catch (error) {
+            if (!signal.aborted) {
+                render(target, html`<div class="error">❌ ${error.message}</div>`);
+            }
+        }
+    }
+
+    const channelSelect = document.getElementById('docsChannel');
+    render(channelSelect, html`${config.channels.map(channel => html`<option>${channel.name}</option>`)}`);
+    channelSelect.value = config.defaultChannel;
+
+    content.className = '';
+    render(content, html`${spec.tags.map((tag) => {
+        const tagged = operations
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => entry.operation.tags.includes(tag.name));
+        return tagged.length
+            ? html`<h2>${tag.name}</h2>${tagged.map(({ entry, index }) => renderOperation(entry, index))}`
+            : '';
+    })}`);
+
+    content.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-operation]');
+        if (!button) {
+            return;
+        }
+        const index = Number(button.dataset.operation);
+        if (button.dataset.action === 'open') {
+            window.open(buildUrl(index), '_blank', 'noopener');
+        } else {
+            sendOperation(index);
+        }
+    });
+}
@@ -0,0 +1,87 @@
+// Document view (/doc/:id): the registered hash, its block and change history
+
+import { html, render, errorBox, hashRow, valueRow } from '../html.js';
+import { api, fetchJson, pageLink } from '../api.js';
+import { blockLink, txLink } from './block.js';
+
+function renderBlockInfo(block) {
+    if (!block || !block.success) {
+        return '';
+    }
+    return html`
+        <div class="block-info">
+            <strong>📦 Blockchain Information</strong>
+            ${valueRow('Block Number', blockLink(block.blockNumber, String(block.blockNumber)))}
+            ${valueRow('Channel', block.channel)}
+            ${valueRow('Block Size', `${block.blockSize} bytes`)}
+            ${valueRow('Transaction Count', `${block.transactionCount} (${block.validTransactionCount} valid)`)}
+            ${hashRow('Previous Block Hash', block.previousBlockHash)}
+            ${hashRow('Data Hash', block.dataHash)}
+        </div>
+    `;
+}
+
+function renderHistory(history) {
+    const newestFirst = history.slice().reverse();
+    return html`
+        <div class="timeline">
+            ${newestFirst.map((entry, index) => html`
+                <div class="timeline-entry ${entry.isDelete ? 'deleted' : ''}">
+                    <div class="timeline-meta">
+                        <strong>${entry.isDelete ? '🗑️ Deleted' : (index === newestFirst.length - 1 ? '🆕 Registered' : '✏️ Updated')}</strong>
+                        · ${entry.timestamp || 'N/A'}
+                        · Block ${blockLink(entry.blockNumber)}
+                        · ${entry.mspId || 'unknown MSP'}
+                    </div>
+                    <div class="timeline-meta">Tx: ${txLink(entry.txId)}</div>
+                    ${entry.value && entry.value.hash ? html`<div class="hash">${entry.value.hash}</div>` : ''}
+                </div>
+            `)}
+        </div>
+    `;
+}
+
+async function loadHistory(element, documentId, signal) {
+    try {
+        const data = await fetchJson(api(`/hash/${encodeURIComponent(documentId)}/history`), { signal });
+        render(element, renderHistory(data.history));
+    } catch (error) {
+        if (!signal.aborted) {
+            render(element, error.status === 404 ? 'No history available' : `Could not load history: ${error.message}`);
+        }
+    }
+}
+
+export default async function documentView(root, [documentId], signal) {
+    render(root, html`
+        <p class="subtitle">Document ID: <code>${documentId}</code></p>
+        <div class="panel" id="docContent"><div class="loading">⏳ Loading document...</div></div>
+    `);
+    const content = document.getElementById('docContent');
+
+    let result;
+    try {
+        result = await fetchJson(api(`/hash/${encodeURIComponent(documentId)}`), { signal });
+    } catch (error) {
+        if (!signal.aborted) {
+            render(content, errorBox(error.status === 404 ? 'Not found' : 'Error', error));
+        }
+        return;
+    }
+
+    const record = result.data;
+    render(content, html`
+        <h2>${record.documentID}</h2>
+        ${valueRow('Document ID', record.documentID)}
+        ${hashRow('Hash', record.hash)}
+        ${hashRow('Transaction ID', record.txId ? txLink(record.txId) : null)}
+        ${valueRow('Timestamp', record.timestamp)}
+        ${record.txId ? html`<p><a href="${pageLink(`/receipt/${encodeURIComponent(record.documentID)}`)}">🧾 Proof-of-existence receipt</a></p>` : ''}
+        ${renderBlockInfo(result.blockInfo)}
+        <div class="block-info">
+            <strong>🕘 Change History</strong>
+            <div id="docHistory">Loading history...</div>
+        </div>
+    `);
+    await loadHistory(document.getElementById('docHistory'), record.documentID, signal);
+}
@@ -0,0 +1,112 @@
+// Printable receipt (/receipt/:documentId): download, print or verify a signed
+// proof-of-existence receipt
+
+import { html, render, errorBox, hashRow, valueRow } from '../html.js';
+import { api, fetchJson, pageLink } from '../api.js';
+import { blockLink, txLink } from './block.js';
+
+function decodePayload(payload) {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function renderReceipt(receipt, claims) {
+    const tx = claims.transaction;
+    return html`
+        <h2>${claims.document.documentID} <span class="success-badge">✓ ON CHAIN</span></h2>
+        <p>Issued by ${claims.issuer} on ${claims.issuedAt}</p>
+
+        <div class="block-info">
+            ${hashRow('🔐 Document Hash', claims.document.hash)}
+            ${valueRow('🕐 Registered', claims.document.timestamp || tx.timestamp)}
+            ${hashRow('🆔 Transaction ID', txLink(tx.txId))}
+            ${valueRow('👤 Submitted by', `${tx.creator.mspId} · ${tx.creator.subject}`)}
+            ${valueRow('✅ Validation', tx.validationCode)}
+        </div>
+
+        <div class="block-info">
+            ${valueRow('📦 Block', html`${blockLink(claims.block.number)} (transaction ${tx.txNumber})`)}
+            ${hashRow('🔗 Previous Block Hash', claims.block.previousHash)}
+            ${hashRow('📊 Data Hash', claims.block.dataHash)}
+            ${hashRow('🧱 Block Header Hash', claims.block.headerHash)}
+        </div>
+
+        <h3>Endorsements (${tx.endorsements.length})</h3>
+        <table class="tx-table">
+            <tr><th>MSP</th><th>Endorser</th><th>Signature</th></tr>
+            ${tx.endorsements.map(endorsement => html`
+                <tr><td>${endorsement.mspId}</td><td>${endorsement.subject}</td><td class="mono">${endorsement.signature}</td></tr>
+            `)}
+        </table>
+
+        <h3>Signed Receipt (JWS)</h3>
+        <div class="jws">${JSON.stringify(receipt, null, 2)}</div>
+        <p>Verify offline with <code>node scripts/verify-receipt.js receipt.json --explorer-key &lt;explorer.pem&gt; --ca &lt;ca.pem&gt;</code>, using the key published at <a href="/api/receipt/key">/api/receipt/key</a></p>
+
+        <div class="actions">
+            <button type="button" id="downloadReceipt">⬇️ Download .json</button>
+            <button type="button" id="printReceipt">🖨️ Print / Save as PDF</button>
+            <button type="button" id="verifyReceipt">🔍 Verify</button>
+        </div>
+        <div id="verification" class="verification"></div>
+    `;
+}
+
+function checkMark(check) {
+    if (check.ok === true) {
+        return html`<td class="check-ok">✓</td>`;
+    }
+    return check.ok === false ? html`<td class="check-failed">✗</td>` : html`<td class="check-skipped">–</td>`;
+}
+
+function downloadReceipt(receipt, documentId) {
+    const blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${documentId}.receipt.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function verifyReceipt(receipt, signal) {
+    const target = document.getElementById('verification');
+    render(target, html`<div class="loading">⏳ Verifying...</div>`);
+    try {
+        const data = await fetchJson('/api/receipt/verify', { signal, method: 'POST', body: receipt });
+        render(target, html`
+            <h3>Verification <span class="${data.valid ? 'success-badge' : 'error-badge'}">${data.valid ? '✓ VALID' : '✗ INVALID'}</span></h3>
+            <table class="tx-table">
+                ${data.checks.map(check => html`<tr>${checkMark(check)}<td>${check.check}</td><td>${check.detail}</td></tr>`)}
+            </table>
+        `);
+    } catch (error) {
+        if (!signal.aborted) {
+            render(target, errorBox('Error', error));
+        }
+    }
+}
+
+export default async function receiptView(root, [documentId], signal) {
+    render(root, html`
+        <p class="subtitle">🧾 Proof-of-existence receipt for <code>${documentId}</code>
+            · <a href="${pageLink(`/doc/${encodeURIComponent(documentId)}`)}">document</a></p>
+        <div class="panel" id="receiptContent"><div class="loading">⏳ Issuing receipt...</div></div>
+    `);
+    const content = document.getElementById('receiptContent');
+
+    let receipt;
+    try {
+        ({ receipt } = await fetchJson(api(`/hash/${encodeURIComponent(documentId)}/receipt`), { signal }));
+    } catch (error) {
+        if (!signal.aborted) {
+            render(content, errorBox('Error', error));
+        }
+        return;
+    }
+
+    render(content, renderReceipt(receipt, decodePayload(receipt.payload)));
+    document.getElementById('downloadReceipt').addEventListener('click', () => downloadReceipt(receipt, documentId));
+    document.getElementById('printReceipt').addEventListener('click', () => window.print());
+    document.getElementById('verifyReceipt').addEventListener('click', () => verifyReceipt(receipt, signal));
+}
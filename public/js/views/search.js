@@ -0,0 +1,104 @@
+// Search results (/search?q=...). The query is tried as a document ID on the
+// selected channel, as a hash value on every channel and, when it has the
+// shape of one, as a transaction ID.
+
+import { html, render, errorBox } from '../html.js';
+import { api, fetchJson, pageLink, loadConfig, currentChannel } from '../api.js';
+import { blockLink, txLink } from './block.js';
+
+const TX_ID = /^[0-9a-f]{64}$/i;
+
+function documentLink(record, channel) {
+    return html`<a href="${pageLink(`/doc/${encodeURIComponent(record.documentID)}`, channel)}">${record.documentID}</a>`;
+}
+
+// Misses are expected: a 404, a query that is not a valid value of that kind
+// (400), or the block lookup's { success: false }. Anything else is an error.
+function notFound(error) {
+    if ([200, 400, 404].includes(error.status)) {
+        return null;
+    }
+    throw error;
+}
+
+function renderDocument(result) {
+    const record = result.data;
+    return html`
+        <div class="result">
+            <h3>📄 Document ${documentLink(record)}</h3>
+            <div class="hash">${record.hash}</div>
+            <div class="timeline-meta">Registered ${record.timestamp || 'N/A'} · Tx ${record.txId ? txLink(record.txId) : 'N/A'}</div>
+        </div>
+    `;
+}
+
+function renderHashMatches(result) {
+    return html`
+        <div class="result">
+            <h3>🔐 Hash found on ${result.matches.length} channel${result.matches.length === 1 ? '' : 's'}</h3>
+            <table class="tx-table">
+                <tr><th>Channel</th><th>Document ID</th><th>Registered</th><th>Transaction ID</th></tr>
+                ${result.matches.map(match => html`
+                    <tr>
+                        <td>${match.channel}</td>
+                        <td>${documentLink(match.data, match.channel)}</td>
+                        <td>${match.data.timestamp || 'N/A'}</td>
+                        <td class="mono">${match.data.txId ? txLink(match.data.txId, match.channel) : 'N/A'}</td>
+                    </tr>
+                `)}
+            </table>
+        </div>
+    `;
+}
+
+function renderTransaction(block, txId) {
+    const tx = (block.transactions || []).find(candidate => candidate.txId === txId);
+    return html`
+        <div class="result">
+            <h3>🆔 Transaction ${txLink(txId)}</h3>
+            <div class="timeline-meta">
+                Block ${blockLink(block.blockNumber)} · ${block.channel}
+                ${tx ? html` · ${tx.timestamp || 'N/A'} · ${tx.validationCode}` : ''}
+            </div>
+        </div>
+    `;
+}
+
+export default async function searchView(root, params, signal) {
+    const q = (new URLSearchParams(window.location.search).get('q') || '').trim();
+    if (!q) {
+        render(root, html`<div class="panel"><div class="notice">Enter a document ID, hash value or transaction ID to search for.</div></div>`);
+        return;
+    }
+
+    render(root, html`
+        <p class="subtitle">Results for <code>${q}</code></p>
+        <div id="searchResults"><div class="panel loading">⏳ Searching...</div></div>
+    `);
+    const target = document.getElementById('searchResults');
+
+    try {
+        const config = await loadConfig();
+        const looksLikeHash = new RegExp(`^[0-9a-fA-F]{${config.hashLength}}$`).test(q);
+
+        const [documentResult, hashResult, blockResult] = await Promise.all([
+            fetchJson(api(`/hash/${encodeURIComponent(q)}`), { signal }).catch(notFound),
+            looksLikeHash ? fetchJson(`/api/search/${q}`, { signal }).catch(notFound) : null,
+            TX_ID.test(q) ? fetchJson(api(`/block/txid/${q}`), { signal }).catch(notFound) : null
+        ]);
+
+        const found = [
+            documentResult && renderDocument(documentResult),
+            hashResult && renderHashMatches(hashResult),
+            blockResult && renderTransaction(blockResult, q)
+        ].filter(Boolean);
+
+        render(target, found.length
+            ? html`${found}`
+            : html`<div class="panel"><div class="notice">Nothing matches <code>${q}</code> on ${currentChannel() || config.defaultChannel}.</div></div>`);
+    } catch (error) {
+        if (!signal.aborted) {
+            render(target, html`<div class="panel">${errorBox('Search failed', error)}</div>`);
+        }
+    }
+}
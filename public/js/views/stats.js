@@ -0,0 +1,188 @@
+// Statistics dashboard (/stats): registrations and block figures from
+// /api/stats, charted as inline SVG.
+//
+// The window and bucket are kept in the page URL so a report can be
+// bookmarked or shared.
+
+import { html, render, errorBox } from '../html.js';
+import { api, fetchJson } from '../api.js';
+
+// Window query parameter -> form input
+const WINDOW_FIELDS = {
+    bucket: 'statsBucket',
+    from: 'statsFrom',
+    to: 'statsTo'
+};
+
+const BUCKETS = [['hour', 'Hour'], ['day', 'Day'], ['month', 'Month']];
+
+const CHART = { width: 800, height: 200, left: 40, top: 10 };
+
+function layout() {
+    return html`
+        <p class="subtitle">📊 Registry statistics from the ledger index · <a id="statsJson" href="#">JSON</a></p>
+        <div class="panel">
+            <form id="statsForm" class="filters">
+                <label>Bucket <select id="statsBucket">${BUCKETS.map(([value, label]) => html`<option value="${value}">${label}</option>`)}</select></label>
+                <label>From <input type="date" id="statsFrom"></label>
+                <label>To <input type="date" id="statsTo"></label>
+                <button type="submit">Apply</button>
+            </form>
+        </div>
+        <div id="statsContent"></div>
+    `;
+}
+
+// Bucket start (ISO, UTC) -> label at the bucket's resolution
+function bucketLabel(start, bucket) {
+    if (bucket === 'hour') {
+        return `${start.slice(0, 10)} ${start.slice(11, 13)}:00`;
+    }
+    return bucket === 'day' ? start.slice(0, 10) : start.slice(0, 7);
+}
+
+function percent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function kilobytes(bytes) {
+    return bytes === null ? 'N/A' : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// One bar per bucket; hovering a bar shows its bucket and value
+function barChart(series, field, bucket) {
+    const values = series.map(point => point[field] || 0);
+    const max = Math.max(...values);
+    const scale = max ? (CHART.height - CHART.top) / max : 0;
+    const slot = (CHART.width - CHART.left) / series.length;
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    return html`
+        <svg class="chart" viewBox="0 0 ${CHART.width} ${CHART.height + 20}" role="img">
+            <text class="chart-axis" x="0" y="${CHART.top + 4}">${max}</text>
+            <text class="chart-axis" x="0" y="${CHART.height}">0</text>
+            <line class="chart-baseline" x1="${CHART.left}" y1="${CHART.height}" x2="${CHART.width}" y2="${CHART.height}"></line>
+            ${series.map((point, index) => html`
+                <rect x="${CHART.left + index * slot}" y="${CHART.height - values[index] * scale}"
+                      width="${Math.max(slot - 1, 0.5)}" height="${values[index] * scale}">
+                    <title>${bucketLabel(point.start, bucket)}: ${point[field] === null ? 'no blocks' : point[field]}</title>
+                </rect>
+            `)}
+            <text class="chart-axis" x="${CHART.left}" y="${CHART.height + 16}">${bucketLabel(first.start, bucket)}</text>
+            <text class="chart-axis" x="${CHART.width}" y="${CHART.height + 16}" text-anchor="end">${bucketLabel(last.start, bucket)}</text>
+        </svg>
+    `;
+}
+
+function rankingTable(title, rows, keyName, keyLabel, total) {
+    return html`
+        <div>
+            <h3>${title}</h3>
+            ${rows.length ? html`
+                <table class="tx-table">
+                    <tr><th>${keyLabel}</th><th>Registrations</th><th>Share</th></tr>
+                    ${rows.map(row => html`
+                        <tr>
+                            <td class="mono">${row[keyName] === '' ? '(no prefix)' : row[keyName]}</td>
+                            <td>${row.registrations}</td>
+                            <td>${percent(row.registrations / total)}</td>
+                        </tr>
+                    `)}
+                </table>` : html`<p class="notice">No registrations in this window</p>`}
+        </div>
+    `;
+}
+
+function renderStats(stats) {
+    const { window: range, registrations, blocks, series, index } = stats;
+    const bucketName = BUCKETS.find(([value]) => value === range.bucket)[1].toLowerCase();
+
+    return html`
+        ${index.status !== 'live' ? html`
+            <div class="live-banner">⏳ The ledger index is ${index.status} (${index.indexedHeight} of ${index.chainHeight === null ? '?' : index.chainHeight} blocks); figures are partial</div>` : ''}
+        <div class="chain-status">
+            <div class="chain-stat"><div class="chain-stat-label">Registrations</div><div class="chain-stat-value">${registrations.total}</div></div>
+            <div class="chain-stat"><div class="chain-stat-label">Blocks</div><div class="chain-stat-value">${blocks.count}</div></div>
+            <div class="chain-stat"><div class="chain-stat-label">Avg Transactions / Block</div><div class="chain-stat-value">${blocks.averageTransactions === null ? 'N/A' : blocks.averageTransactions}</div></div>
+            <div class="chain-stat"><div class="chain-stat-label">Avg Block Size</div><div class="chain-stat-value">${kilobytes(blocks.averageBytes)}</div></div>
+            <div class="chain-stat">
+                <div class="chain-stat-label">Block Fill</div>
+                <div class="chain-stat-value" title="${blocks.batchSize ? `BatchSize: ${blocks.batchSize.maxMessageCount} transactions, ${kilobytes(blocks.batchSize.preferredMaxBytes)} preferred` : 'No orderer BatchSize indexed'}">
+                    ${blocks.fill ? `${percent(blocks.fill.transactions)} tx · ${percent(blocks.fill.bytes)} bytes` : 'N/A'}
+                </div>
+            </div>
+        </div>
+        <div class="panel">
+            <h3>📈 Registrations per ${bucketName}</h3>
+            ${barChart(series, 'registrations', range.bucket)}
+        </div>
+        <div class="panel">
+            <h3>📦 Transactions per block, by ${bucketName}</h3>
+            ${barChart(series, 'transactionsPerBlock', range.bucket)}
+        </div>
+        <div class="panel stats-tables">
+            ${rankingTable('🏢 Registrations by MSP', registrations.byMsp, 'mspId', 'MSP', registrations.total)}
+            ${rankingTable('🏷️ Top Document ID Prefixes', registrations.topPrefixes, 'prefix', 'Prefix', registrations.total)}
+        </div>
+        <p class="list-summary">${range.from} – ${range.to} · chain height ${stats.chainHeight} · generated ${stats.timestamp}</p>
+    `;
+}
+
+// Read the window from the page URL into the form, and back
+function restoreWindow() {
+    const params = new URLSearchParams(window.location.search);
+    for (const [param, id] of Object.entries(WINDOW_FIELDS)) {
+        document.getElementById(id).value = params.get(param) || (param === 'bucket' ? 'day' : '');
+    }
+}
+
+function windowParams() {
+    const params = new URLSearchParams();
+    for (const [param, id] of Object.entries(WINDOW_FIELDS)) {
+        const value = document.getElementById(id).value;
+        if (value && !(param === 'bucket' && value === 'day')) {
+            params.set(param, value);
+        }
+    }
+    return params;
+}
+
+function saveWindow(params) {
+    const url = new URL(window.location.href);
+    for (const name of Object.keys(WINDOW_FIELDS)) {
+        url.searchParams.delete(name);
+    }
+    for (const [name, value] of params) {
+        url.searchParams.set(name, value);
+    }
+    window.history.replaceState(null, '', url.pathname + url.search);
+}
+
+export default async function statsView(root, params, signal) {
+    render(root, layout());
+    restoreWindow();
+    const content = document.getElementById('statsContent');
+
+    async function load() {
+        const query = windowParams();
+        saveWindow(query);
+        const url = api(`/stats?${query}`);
+        document.getElementById('statsJson').href = url;
+
+        render(content, html`<div class="loading">⏳ Loading statistics...</div>`);
+        try {
+            render(content, renderStats(await fetchJson(url, { signal })));
+        } catch (error) {
+            if (!signal.aborted) {
+                render(content, html`<div class="panel">${errorBox(error.status === 503 ? 'Statistics unavailable' : 'Error', error)}</div>`);
+            }
+        }
+    }
+
+    document.getElementById('statsForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        load();
+    });
+    await load();
+}
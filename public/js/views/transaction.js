@@ -0,0 +1,139 @@
+// Transaction view (/tx/:txId): header, chaincode invocation, endorsements
+// and every key the transaction read or wrote
+
+import { html, render, errorBox, hashRow, valueRow } from '../html.js';
+import { api, fetchJson, pageLink, loadConfig } from '../api.js';
+import { blockLink, validationBadge, signatureBadge } from './block.js';
+
+// Decoded bytes: text as is, anything else marked as base64
+function bytesText(item) {
+    return item.encoding === 'base64' ? `base64:${item.value}` : item.value;
+}
+
+function version(value) {
+    return value ? `block ${value.blockNumber}, tx ${value.txNumber}` : 'absent';
+}
+
+// Keys of the registry are document IDs and link to the document view
+function keyCell(key, namespace, chaincode) {
+    return namespace === chaincode
+        ? html`<a href="${pageLink(`/doc/${encodeURIComponent(key)}`)}">${key}</a>`
+        : key;
+}
+
+function renderInvocation(tx) {
+    if (!tx.chaincode) {
+        return html`<p class="notice">Not a chaincode transaction (${tx.type})</p>`;
+    }
+    return html`
+        <h3>⚙️ Chaincode Invocation</h3>
+        <div class="block-info">
+            ${valueRow('Chaincode', `${tx.chaincode.name}${tx.chaincode.version ? ` ${tx.chaincode.version}` : ''}`)}
+            ${valueRow('Function', tx.chaincode.function)}
+            ${tx.chaincode.args.map((arg, index) => hashRow(`Argument ${index + 1}`, bytesText(arg)))}
+            ${valueRow('Response', `${tx.response.status}${tx.response.message ? ` ${tx.response.message}` : ''}`)}
+            ${tx.response.payload ? hashRow('Response Payload', tx.response.payloadEncoding === 'base64' ? `base64:${tx.response.payload}` : tx.response.payload) : ''}
+            ${tx.event ? hashRow(`Event ${tx.event.name}`, tx.event.payloadEncoding === 'base64' ? `base64:${tx.event.payload}` : tx.event.payload) : ''}
+        </div>
+    `;
+}
+
+function renderCollection(collection) {
+    return html`
+        <h4>🔒 Private data collection ${collection.collection}</h4>
+        <p class="timeline-meta">Only hashes of the keys and values are on the ledger. Private write set hash: <span class="mono">${collection.pvtRwSetHash || 'N/A'}</span></p>
+        <table class="tx-table">
+            <tr><th>Access</th><th>Key Hash</th><th>Version / Value Hash</th></tr>
+            ${collection.hashedReads.map(read => html`
+                <tr><td>Read</td><td class="mono">${read.keyHash}</td><td>${version(read.version)}</td></tr>
+            `)}
+            ${collection.hashedWrites.map(write => html`
+                <tr>
+                    <td>${write.isPurge ? 'Purge' : write.isDelete ? 'Delete' : 'Write'}</td>
+                    <td class="mono">${write.keyHash}</td>
+                    <td class="mono">${write.isDelete ? '—' : write.valueHash}</td>
+                </tr>
+            `)}
+        </table>
+    `;
+}
+
+function renderRwSet(rwSet, chaincode) {
+    return html`
+        <div class="block-info">
+            <strong>📁 Namespace ${rwSet.namespace}</strong>
+            <table class="tx-table">
+                <tr><th>Access</th><th>Key</th><th>Version / Value</th></tr>
+                ${rwSet.reads.map(read => html`
+                    <tr><td>Read</td><td class="mono">${keyCell(read.key, rwSet.namespace, chaincode)}</td><td>${version(read.version)}</td></tr>
+                `)}
+                ${rwSet.rangeQueries.map(rangeQuery => html`
+                    <tr>
+                        <td>Range</td>
+                        <td class="mono">${rangeQuery.startKey} … ${rangeQuery.endKey}</td>
+                        <td>${rangeQuery.exhausted ? 'read to the end' : 'stopped early'}</td>
+                    </tr>
+                `)}
+                ${rwSet.writes.map(write => html`
+                    <tr class="${write.isDelete ? 'current' : ''}">
+                        <td>${write.isDelete ? 'Delete' : 'Write'}</td>
+                        <td class="mono">${keyCell(write.key, rwSet.namespace, chaincode)}</td>
+                        <td class="mono">${write.isDelete ? '—' : bytesText(write)}</td>
+                    </tr>
+                `)}
+            </table>
+            ${rwSet.collections.map(renderCollection)}
+        </div>
+    `;
+}
+
+function renderTransaction(tx, chaincode) {
+    return html`
+        <h2>Transaction ${validationBadge(tx)}</h2>
+        <div class="block-info">
+            ${hashRow('🆔 Transaction ID', tx.txId)}
+            ${valueRow('📦 Block', tx.blockNumber === null ? null : html`${blockLink(tx.blockNumber)} (transaction ${tx.txNumber})`)}
+            ${valueRow('📺 Channel', tx.channel)}
+            ${valueRow('🏷️ Type', tx.type)}
+            ${valueRow('🕐 Timestamp', tx.timestamp)}
+            ${valueRow('👤 Creator', tx.creator ? html`${tx.creator.mspId} · ${tx.creator.subject} ${signatureBadge(tx.creator)}` : null)}
+            ${tx.creator && !tx.creator.valid ? valueRow('⚠️ Creator Signature', tx.creator.reason) : ''}
+        </div>
+
+        ${renderInvocation(tx)}
+
+        <h3>📝 Read/Write Sets</h3>
+        ${tx.rwSets.length ? tx.rwSets.map(rwSet => renderRwSet(rwSet, chaincode)) : html`<p class="notice">No keys read or written</p>`}
+
+        <h3>✍️ Endorsements (${tx.endorsements.length})</h3>
+        <table class="tx-table">
+            <tr><th>MSP</th><th>Endorser</th><th>Signature</th><th>Verification</th></tr>
+            ${tx.endorsements.map(endorsement => html`
+                <tr>
+                    <td>${endorsement.mspId}</td>
+                    <td>${endorsement.subject}</td>
+                    <td class="mono">${endorsement.signature}</td>
+                    <td>${signatureBadge(endorsement)}${endorsement.reason ? html`<br>${endorsement.reason}` : ''}</td>
+                </tr>
+            `)}
+        </table>
+    `;
+}
+
+export default async function transactionView(root, [txId], signal) {
+    render(root, html`
+        <p class="subtitle">Transaction ID: <code>${txId}</code></p>
+        <div class="panel" id="txContent"><div class="loading">⏳ Loading transaction...</div></div>
+    `);
+    const content = document.getElementById('txContent');
+
+    try {
+        const [tx, config] = await Promise.all([fetchJson(api(`/tx/${encodeURIComponent(txId)}`), { signal }), loadConfig()]);
+        const channel = config.channels.find(candidate => candidate.name === tx.channel);
+        render(content, renderTransaction(tx, channel && channel.chaincode));
+    } catch (error) {
+        if (!signal.aborted) {
+            render(content, errorBox(error.status === 404 ? 'Not found' : 'Error', error));
+        }
+    }
+}
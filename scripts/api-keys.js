@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Manage the explorer's API keys.
+//
+//   node scripts/api-keys.js create <id> [tier] [--admin]
+//   node scripts/api-keys.js list
+//   node scripts/api-keys.js revoke <id>
+//
+// A new key is printed once and only its SHA-256 is written to the key file.
+// A running explorer picks up changes within a few seconds.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const config = require('../config.json');
+
+const rateLimitConfig = config.rateLimit || {};
+const keysPath = path.resolve(__dirname, '..', rateLimitConfig.keysPath || 'data/api-keys.json');
+// Built-in tiers of server.js plus any defined in config.json
+const tiers = ['public', 'standard', 'partner', ...Object.keys(rateLimitConfig.tiers || {})];
+
+function readKeys() {
+    if (!fs.existsSync(keysPath)) {
+        return { keys: [] };
+    }
+    return JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+}
+
+function writeKeys(store) {
+    fs.mkdirSync(path.dirname(keysPath), { recursive: true });
+    fs.writeFileSync(`${keysPath}.tmp`, JSON.stringify(store, null, 2));
+    fs.renameSync(`${keysPath}.tmp`, keysPath);
+}
+
+function create(id, tier = 'standard', admin = false) {
+    if (!id) {
+        throw new Error('Usage: create <id> [tier] [--admin]');
+    }
+    if (!tiers.includes(tier)) {
+        throw new Error(`Unknown tier '${tier}' (known: ${tiers.join(', ')})`);
+    }
+
+    const store = readKeys();
+    if (store.keys.some(record => record.id === id && !record.revoked)) {
+        throw new Error(`A key named '${id}' already exists`);
+    }
+
+    const apiKey = `vdx_${crypto.randomBytes(24).toString('base64url')}`;
+    store.keys.push({
+        id,
+        hash: crypto.createHash('sha256').update(apiKey).digest('hex'),
+        tier,
+        admin,
+        createdAt: new Date().toISOString(),
+        revoked: false
+    });
+    writeKeys(store);
+
+    console.log(`🔑 Created key '${id}' (tier ${tier}${admin ? ', admin' : ''})`);
+    console.log(`   ${apiKey}`);
+    console.log('   Store it now, it cannot be shown again.');
+}
+
+function list() {
+    const { keys } = readKeys();
+    if (keys.length === 0) {
+        console.log('No API keys');
+        return;
+    }
+    for (const record of keys) {
+        console.log(`${record.id}\t${record.tier}${record.admin ? '\tadmin' : ''}\t${record.createdAt}${record.revoked ? '\trevoked' : ''}`);
+    }
+}
+
+function revoke(id) {
+    const store = readKeys();
+    const record = store.keys.find(candidate => candidate.id === id && !candidate.revoked);
+    if (!record) {
+        throw new Error(`No active key named '${id}'`);
+    }
+
+    record.revoked = true;
+    record.revokedAt = new Date().toISOString();
+    writeKeys(store);
+    console.log(`🗑️  Revoked key '${id}'`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const flags = args.filter(arg => arg.startsWith('--'));
+const positional = args.filter(arg => !arg.startsWith('--'));
+
+try {
+    if (command === 'create') {
+        create(positional[0], positional[1], flags.includes('--admin'));
+    } else if (command === 'list') {
+        list();
+    } else if (command === 'revoke') {
+        revoke(positional[0]);
+    } else {
+        console.log('Usage: node scripts/api-keys.js create <id> [tier] [--admin] | list | revoke <id>');
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,511 @@
+#!/usr/bin/env node
+// Verify a Veridat proof-of-existence receipt offline. Needs nothing but
+// Node.js: no explorer, no Fabric network, no npm packages.
+//
+//   node verify-receipt.js receipt.json --explorer-key explorer.pem --ca ca.pem [--ca more-cas/] [--intermediate ica.pem]
+//
+// The receipt carries the raw block that committed the registration. From it
+// the verifier recomputes the block's data and header hashes, finds the
+// transaction, and checks the creator's and every endorser's signature. With
+// --ca it also checks that those certificates were issued by the given
+// Fabric CAs, directly or through the --intermediate CAs. With --explorer-key
+// the receipt signature must come from that key; otherwise the key embedded
+// in the receipt is used and only proves the receipt was not altered. A
+// receipt is only reported valid when both the key and the CAs are pinned;
+// without them it is "unverified".
+//
+// server.js uses verifyReceipt() for POST /api/receipt/verify, and the
+// signature and certificate checks for its transaction and block endpoints.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// ----- Minimal protobuf reader -----
+
+function readVarint(buffer, offset) {
+    let result = 0;
+    let multiplier = 1;
+    let pos = offset;
+    let byte;
+
+    do {
+        if (pos >= buffer.length || pos - offset >= 10) {
+            throw new Error('Malformed varint');
+        }
+        byte = buffer[pos++];
+        result += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+    } while (byte & 0x80);
+
+    return { value: result, length: pos - offset };
+}
+
+// { fieldNumber: [value, ...] }, varints as numbers and the rest as Buffers
+function readFields(bytes) {
+    const buffer = bytes || Buffer.alloc(0);
+    const fields = {};
+    let pos = 0;
+
+    while (pos < buffer.length) {
+        const tag = readVarint(buffer, pos);
+        pos += tag.length;
+        const fieldNumber = Math.floor(tag.value / 8);
+        const wireType = tag.value % 8;
+        let value;
+
+        if (wireType === 0) {
+            const varint = readVarint(buffer, pos);
+            value = varint.value;
+            pos += varint.length;
+        } else if (wireType === 2) {
+            const length = readVarint(buffer, pos);
+            pos += length.length;
+            if (pos + length.value > buffer.length) {
+                throw new Error(`Field ${fieldNumber} extends beyond buffer`);
+            }
+            value = buffer.subarray(pos, pos + length.value);
+            pos += length.value;
+        } else if (wireType === 1 || wireType === 5) {
+            const size = wireType === 1 ? 8 : 4;
+            value = buffer.subarray(pos, pos + size);
+            pos += size;
+        } else {
+            throw new Error(`Unsupported wire type ${wireType}`);
+        }
+
+        (fields[fieldNumber] = fields[fieldNumber] || []).push(value);
+    }
+
+    return fields;
+}
+
+const first = (fields, n) => (fields[n] ? fields[n][0] : Buffer.alloc(0));
+const all = (fields, n) => fields[n] || [];
+const text = (fields, n) => first(fields, n).toString('utf8');
+const number = (fields, n) => (fields[n] ? fields[n][0] : 0);
+const hex = bytes => (bytes.length ? bytes.toString('hex') : null);
+
+// ----- Fabric structures -----
+
+// common.Block
+function parseBlock(raw) {
+    const block = readFields(raw);
+    const header = readFields(first(block, 1));
+    const data = readFields(first(block, 2));
+    const metadata = readFields(first(block, 3));
+
+    return {
+        number: number(header, 1),
+        previousHash: hex(first(header, 2)),
+        dataHash: hex(first(header, 3)),
+        envelopes: all(data, 1),
+        // BlockMetadataIndex.TRANSACTIONS_FILTER
+        validationCodes: all(metadata, 1)[2] || Buffer.alloc(0)
+    };
+}
+
+// msp.SerializedIdentity
+function parseIdentity(bytes) {
+    const identity = readFields(bytes);
+    return { mspId: text(identity, 1), certificate: text(identity, 2) };
+}
+
+// common.Envelope of an endorser transaction, down to its write set
+function parseEnvelope(bytes) {
+    const envelope = readFields(bytes);
+    const payloadBytes = first(envelope, 1);
+    const payload = readFields(payloadBytes);
+    const header = readFields(first(payload, 1));
+    const channelHeader = readFields(first(header, 1));
+    const signatureHeader = readFields(first(header, 2));
+    const timestamp = readFields(first(channelHeader, 3));
+
+    const transaction = readFields(first(payload, 2));
+    const action = readFields(all(transaction, 1)[0]);
+    const actionPayload = readFields(first(action, 2));
+    const endorsedAction = readFields(first(actionPayload, 2));
+    const proposalResponsePayload = first(endorsedAction, 1);
+    const chaincodeAction = readFields(first(readFields(proposalResponsePayload), 2));
+
+    return {
+        txId: text(channelHeader, 5),
+        channelId: text(channelHeader, 4),
+        timestamp: new Date(number(timestamp, 1) * 1000 + Math.floor(number(timestamp, 2) / 1e6)),
+        payloadBytes,
+        signature: first(envelope, 2),
+        creator: parseIdentity(first(signatureHeader, 1)),
+        proposalResponsePayload,
+        endorsements: all(endorsedAction, 2).map((endorsementBytes) => {
+            const endorsement = readFields(endorsementBytes);
+            return {
+                identityBytes: first(endorsement, 1),
+                identity: parseIdentity(first(endorsement, 1)),
+                signature: first(endorsement, 2)
+            };
+        }),
+        writes: parseWrites(first(chaincodeAction, 1))
+    };
+}
+
+// rwset.TxReadWriteSet -> [{ namespace, key, isDelete, value }]
+function parseWrites(bytes) {
+    return all(readFields(bytes), 2).flatMap((namespaceBytes) => {
+        const namespaceSet = readFields(namespaceBytes);
+        const kvReadWriteSet = readFields(first(namespaceSet, 2));
+        return all(kvReadWriteSet, 3).map((writeBytes) => {
+            const write = readFields(writeBytes);
+            return {
+                namespace: text(namespaceSet, 1),
+                key: text(write, 1),
+                isDelete: number(write, 2) === 1,
+                value: first(write, 3)
+            };
+        });
+    });
+}
+
+function derElement(tag, content) {
+    let length = Buffer.from([content.length]);
+    if (content.length >= 0x80) {
+        const bytes = [];
+        for (let n = content.length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n % 256);
+        length = Buffer.from([0x80 | bytes.length, ...bytes]);
+    }
+    return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+// SHA-256 of SEQUENCE { INTEGER number, OCTET STRING previous_hash, OCTET STRING data_hash }
+function blockHeaderHash(blockNumber, previousHash, dataHash) {
+    let hexNumber = BigInt(blockNumber).toString(16);
+    if (hexNumber.length % 2) hexNumber = `0${hexNumber}`;
+    let integer = Buffer.from(hexNumber, 'hex');
+    if (integer[0] & 0x80) integer = Buffer.concat([Buffer.from([0]), integer]);
+
+    const der = derElement(0x30, Buffer.concat([
+        derElement(0x02, integer),
+        derElement(0x04, Buffer.from(previousHash || '', 'hex')),
+        derElement(0x04, Buffer.from(dataHash || '', 'hex'))
+    ]));
+    return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+// ECDSA certificates sign SHA-256 digests; Ed25519 signs the message itself
+function verifySignature(certificatePem, data, signature) {
+    try {
+        const { publicKey } = new crypto.X509Certificate(certificatePem);
+        const algorithm = publicKey.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+        return crypto.verify(algorithm, data, publicKey, signature);
+    } catch (error) {
+        return false;
+    }
+}
+
+const issuedBy = (certificate, ca) => certificate.checkIssued(ca) && certificate.verify(ca.publicKey);
+const validAt = (certificate, at) => at >= new Date(certificate.validFrom) && at <= new Date(certificate.validTo);
+
+// Issued by one of the trusted CAs, directly or through intermediateCas, and
+// valid when the transaction was made. Returns what is wrong, or null.
+function checkCertificate(certificatePem, trustedCas, at, intermediateCas = []) {
+    const certificate = new crypto.X509Certificate(certificatePem);
+    const subject = certificate.subject.split('\n').reverse().join(', ');
+
+    if (!validAt(certificate, at)) {
+        return `${subject}: not valid at ${at.toISOString()}`;
+    }
+
+    let current = certificate;
+    const seen = new Set();
+    while (!trustedCas.some(ca => issuedBy(current, ca))) {
+        const intermediate = intermediateCas.find(ca => !seen.has(ca) && issuedBy(current, ca));
+        if (!intermediate) {
+            return `${subject}: not issued by a trusted CA`;
+        }
+        if (!validAt(intermediate, at)) {
+            return `${subject}: intermediate CA ${intermediate.subject.split('\n').reverse().join(', ')} not valid at ${at.toISOString()}`;
+        }
+        seen.add(intermediate);
+        current = intermediate;
+    }
+    return null;
+}
+
+// ----- Receipt -----
+
+// RFC 7638 thumbprint of an EC public key, used as the receipt key id
+function jwkThumbprint(jwk) {
+    const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+    return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+// Accepts the flattened JWS, its compact form, or the API response around it
+function normalizeReceipt(input) {
+    if (typeof input === 'string') {
+        const [protectedHeader, payload, signature] = input.trim().split('.');
+        return { protected: protectedHeader, payload, signature };
+    }
+    return input && input.receipt ? input.receipt : input;
+}
+
+function decodeJson(base64url) {
+    return JSON.parse(Buffer.from(base64url, 'base64url').toString('utf8'));
+}
+
+// Claims every check below relies on, as [path, type]
+const REQUIRED_CLAIMS = [
+    ['channel', 'string'],
+    ['chaincode', 'string'],
+    ['block.number', 'number'],
+    ['block.raw', 'string'],
+    ['block.dataHash', 'string'],
+    ['block.headerHash', 'string'],
+    ['block.previousHash', 'string'],
+    ['transaction.txId', 'string'],
+    ['transaction.txNumber', 'number'],
+    ['transaction.envelope', 'string'],
+    ['document.documentID', 'string'],
+    ['document.hash', 'string']
+];
+
+// The first claim that is missing or of the wrong type, or null
+function missingClaim(claims) {
+    for (const [claimPath, type] of REQUIRED_CLAIMS) {
+        const value = claimPath.split('.').reduce((parent, name) => (parent && typeof parent === 'object' ? parent[name] : undefined), claims);
+        if (typeof value !== type) {
+            return claimPath;
+        }
+    }
+    return Number.isInteger(claims.transaction.txNumber) && claims.transaction.txNumber >= 0 ? null : 'transaction.txNumber';
+}
+
+// Check a receipt. explorerKey pins the signing key (a KeyObject or PEM);
+// caCertificates are the trusted Fabric CA certificates and
+// intermediateCertificates the CAs that may link a certificate to them (PEM
+// strings). Every check is reported with ok true, false or null (not checked).
+function verifyReceipt(input, { explorerKey = null, caCertificates = [], intermediateCertificates = [] } = {}) {
+    const checks = [];
+    const report = (check, ok, detail) => checks.push({ check, ok, detail });
+    const result = () => ({ valid: checks.every(check => check.ok !== false), checks, claims });
+    let claims = null;
+
+    const jws = normalizeReceipt(input);
+    if (!jws || !jws.protected || !jws.payload || !jws.signature) {
+        report('format', false, 'Not a JWS receipt (protected, payload and signature are required)');
+        return result();
+    }
+
+    let header;
+    try {
+        header = decodeJson(jws.protected);
+        claims = decodeJson(jws.payload);
+    } catch (error) {
+        report('format', false, `Receipt is not valid JSON: ${error.message}`);
+        return result();
+    }
+
+    const missing = missingClaim(claims);
+    if (missing) {
+        report('format', false, `Receipt claim ${missing} is missing or malformed`);
+        return result();
+    }
+
+    // 1. The explorer's signature over the whole receipt
+    try {
+        if (header.alg !== 'ES256') {
+            throw new Error(`unsupported algorithm ${header.alg}`);
+        }
+        let pinned = explorerKey;
+        if (pinned && !(pinned instanceof crypto.KeyObject && pinned.type === 'public')) {
+            pinned = crypto.createPublicKey(pinned);
+        }
+        const key = pinned || crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+        const signed = crypto.verify(
+            'sha256',
+            Buffer.from(`${jws.protected}.${jws.payload}`),
+            { key, dsaEncoding: 'ieee-p1363' },
+            Buffer.from(jws.signature, 'base64url')
+        );
+        report('signature', signed, signed
+            ? `Signed by explorer key ${header.kid}${pinned ? '' : ' (embedded key, not pinned)'}`
+            : 'Receipt signature does not match');
+    } catch (error) {
+        report('signature', false, `Cannot check the receipt signature: ${error.message}`);
+    }
+
+    // 2. The block: data hash over every envelope, then the header hash
+    let block;
+    try {
+        block = parseBlock(Buffer.from(claims.block.raw, 'base64'));
+    } catch (error) {
+        report('block', false, `Cannot decode the block: ${error.message}`);
+        return result();
+    }
+
+    const dataHash = crypto.createHash('sha256').update(Buffer.concat(block.envelopes)).digest('hex');
+    report('block-data-hash', dataHash === block.dataHash && dataHash === claims.block.dataHash,
+        `SHA-256 of the block data is ${dataHash}`);
+
+    const headerHash = blockHeaderHash(block.number, block.previousHash, block.dataHash);
+    report('block-header-hash',
+        headerHash === claims.block.headerHash
+            && block.number === claims.block.number
+            && block.previousHash === claims.block.previousHash,
+        `Block #${block.number} header hash is ${headerHash}`);
+
+    // 3. The transaction inside the block and its validation code
+    const txNumber = claims.transaction.txNumber;
+    if (txNumber >= block.envelopes.length) {
+        report('transaction', false, `Block #${block.number} has no transaction #${txNumber}`);
+        return result();
+    }
+
+    const envelopeBytes = block.envelopes[txNumber];
+    let envelope;
+    try {
+        envelope = parseEnvelope(envelopeBytes);
+    } catch (error) {
+        report('transaction', false, `Cannot decode transaction #${txNumber}: ${error.message}`);
+        return result();
+    }
+
+    report('transaction',
+        envelope.txId === claims.transaction.txId
+            && envelope.channelId === claims.channel
+            && envelopeBytes.equals(Buffer.from(claims.transaction.envelope, 'base64')),
+        `Transaction ${envelope.txId} is #${txNumber} of block #${block.number} on channel ${envelope.channelId}`);
+
+    const code = block.validationCodes[txNumber];
+    report('validation-code', code === 0, code === 0
+        ? 'The peer marked the transaction VALID'
+        : `The transaction was not committed as valid (code ${code === undefined ? 'missing' : code})`);
+
+    // 4. Signatures of the submitter and every endorsing peer
+    report('creator-signature', verifySignature(envelope.creator.certificate, envelope.payloadBytes, envelope.signature),
+        `Submitted by ${envelope.creator.mspId}`);
+
+    const endorsements = envelope.endorsements.map(endorsement => verifySignature(
+        endorsement.identity.certificate,
+        Buffer.concat([envelope.proposalResponsePayload, endorsement.identityBytes]),
+        endorsement.signature
+    ));
+    report('endorsements', endorsements.length > 0 && endorsements.every(Boolean),
+        `${endorsements.filter(Boolean).length} of ${endorsements.length} endorsement signature(s) verified`
+            + ` (${envelope.endorsements.map(endorsement => endorsement.identity.mspId).join(', ')})`);
+
+    // 5. Certificates against the trusted Fabric CAs
+    if (caCertificates.length === 0) {
+        report('certificates', null, 'No CA certificates given, certificate issuers not checked');
+    } else {
+        try {
+            const trustedCas = caCertificates.map(pem => new crypto.X509Certificate(pem));
+            const intermediateCas = intermediateCertificates.map(pem => new crypto.X509Certificate(pem));
+            const problems = [envelope.creator, ...envelope.endorsements.map(endorsement => endorsement.identity)]
+                .map(identity => checkCertificate(identity.certificate, trustedCas, envelope.timestamp, intermediateCas))
+                .filter(Boolean);
+            report('certificates', problems.length === 0, problems.length
+                ? problems.join('; ')
+                : 'Creator and endorser certificates were issued by a trusted CA');
+        } catch (error) {
+            report('certificates', false, `Cannot check certificates: ${error.message}`);
+        }
+    }
+
+    // 6. The document hash is what the transaction wrote
+    const write = envelope.writes.find(candidate => candidate.namespace === claims.chaincode
+        && candidate.key === claims.document.documentID && !candidate.isDelete);
+    let writtenHash = null;
+    if (write) {
+        const value = write.value.toString('utf8');
+        try {
+            writtenHash = JSON.parse(value).hash;
+        } catch (error) {
+            writtenHash = value;
+        }
+    }
+    report('document', Boolean(write) && writtenHash === claims.document.hash, write
+        ? `Transaction wrote ${claims.document.documentID} with hash ${writtenHash}`
+        : `Transaction did not write ${claims.document.documentID} in ${claims.chaincode}`);
+
+    return result();
+}
+
+// PEM certificates from files, or from every .pem/.crt file of a directory
+function readCertificates(paths) {
+    return paths.flatMap((certPath) => {
+        if (fs.statSync(certPath).isDirectory()) {
+            return fs.readdirSync(certPath)
+                .filter(file => /\.(pem|crt)$/.test(file))
+                .map(file => fs.readFileSync(path.join(certPath, file), 'utf8'));
+        }
+        return [fs.readFileSync(certPath, 'utf8')];
+    });
+}
+
+// Exit codes: 0 valid, 1 not valid, 2 unusable input, 3 unverified (every
+// check passed, but the explorer key or the CAs were not pinned)
+function main(argv) {
+    const files = [];
+    const caPaths = [];
+    const intermediatePaths = [];
+    let explorerKey = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--ca') caPaths.push(argv[++i]);
+        else if (argv[i] === '--intermediate') intermediatePaths.push(argv[++i]);
+        else if (argv[i] === '--explorer-key') explorerKey = fs.readFileSync(argv[++i], 'utf8');
+        else files.push(argv[i]);
+    }
+
+    if (files.length !== 1) {
+        console.log('Usage: node verify-receipt.js receipt.json --explorer-key explorer.pem --ca ca.pem [--ca ...] [--intermediate ica.pem ...]');
+        return 2;
+    }
+
+    const raw = fs.readFileSync(files[0], 'utf8');
+    let input;
+    try {
+        input = JSON.parse(raw);
+    } catch (error) {
+        input = raw;
+    }
+
+    const caCertificates = readCertificates(caPaths);
+    const { valid, checks, claims } = verifyReceipt(input, {
+        explorerKey,
+        caCertificates,
+        intermediateCertificates: readCertificates(intermediatePaths)
+    });
+
+    if (claims && claims.document) {
+        console.log(`📄 ${claims.document.documentID}  ${claims.document.hash}`);
+        console.log(`   channel ${claims.channel}, tx ${claims.transaction.txId}, block #${claims.block.number}, issued ${claims.issuedAt}`);
+    }
+    for (const { check, ok, detail } of checks) {
+        console.log(`${ok === null ? '➖' : ok ? '✅' : '❌'} ${check}: ${detail}`);
+    }
+    if (!valid) {
+        console.log('❌ Receipt is NOT valid');
+        return 1;
+    }
+
+    const unpinned = [
+        !explorerKey && 'no --explorer-key, so anyone could have signed it',
+        caCertificates.length === 0 && 'no --ca, so the certificates may come from any CA'
+    ].filter(Boolean);
+    if (unpinned.length) {
+        console.log(`⚠️ Receipt is unverified: ${unpinned.join('; ')}`);
+        return 3;
+    }
+    console.log('✅ Receipt is valid');
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { verifyReceipt, verifySignature, checkCertificate, jwkThumbprint, readCertificates };
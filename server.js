@@ -1,12 +1,27 @@
 const express = require('express');
+const busboy = require('busboy');
+const proxyAddr = require('proxy-addr');
+const { WebSocketServer, WebSocket } = require('ws');
+const { graphql, buildSchema, GraphQLError } = require('graphql');
 const { connect, signers } = require('@hyperledger/fabric-gateway');
 const grpc = require('@grpc/grpc-js');
+const promClient = require('prom-client');
 const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
 const fs = require('fs');
+const { verifyReceipt, verifySignature, checkCertificate, jwkThumbprint, readCertificates } = require('./scripts/verify-receipt');
 
 const app = express();
-app.use(express.json());
+app.use(trackRequest);
+app.use(securityHeaders);
+// POST /api/receipt/verify and POST /api/verify/batch parse their own bodies:
+// a receipt embeds a whole block, and a batch may list thousands of hashes
+const jsonBody = express.json();
+const OWN_BODY_PATHS = /^\/api\/(?:receipt\/verify|(?:[^/]+\/)?verify\/batch)$/;
+app.use((req, res, next) => (OWN_BODY_PATHS.test(req.path) ? next() : jsonBody(req, res, next)));
 
 // Load configuration
 const config = require('./config.json');
@@ -16,37 +31,266 @@ function resolvePath(relativePath) {
     return path.resolve(__dirname, config.networkRoot, relativePath);
 }
 
+// 0. LOGGING AND METRICS
+// Logs are one JSON object per line: debug and info on stdout, warn and error
+// on stderr. Lines written while serving a request carry its requestId, which
+// trackRequest() keeps in an AsyncLocalStorage for the whole request.
+const loggingConfig = config.logging || {};
+const loggingSettings = {
+    level: process.env.LOG_LEVEL || loggingConfig.level || 'info',
+    accessLog: loggingConfig.accessLog !== false
+};
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+if (!LOG_LEVELS[loggingSettings.level]) {
+    throw new Error(`Unknown log level '${loggingSettings.level}' (known: ${Object.keys(LOG_LEVELS).join(', ')})`);
+}
+
+const requestContext = new AsyncLocalStorage();
+
+function serializeLogValue(key, value) {
+    if (value instanceof Error) {
+        return {
+            message: value.message,
+            code: value.code,
+            stack: loggingSettings.level === 'debug' ? value.stack : undefined
+        };
+    }
+    return value;
+}
+
+function writeLog(level, message, fields) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[loggingSettings.level]) {
+        return;
+    }
+
+    const context = requestContext.getStore();
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        requestId: context ? context.requestId : undefined,
+        ...fields
+    }, serializeLogValue);
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const log = {
+    debug: (message, fields) => writeLog('debug', message, fields),
+    info: (message, fields) => writeLog('info', message, fields),
+    warn: (message, fields) => writeLog('warn', message, fields),
+    error: (message, fields) => writeLog('error', message, fields)
+};
+
+// Prometheus metrics, served at GET /metrics. Fabric latency is measured per
+// evaluate call, so it can be told apart from the time Express spends on a
+// request (the access log shows both for every request too).
+const metricsSettings = {
+    enabled: true,
+    defaultMetrics: true,
+    ...config.metrics
+};
+
+const metricsRegistry = new promClient.Registry();
+if (metricsSettings.defaultMetrics) {
+    promClient.collectDefaultMetrics({ register: metricsRegistry, prefix: 'veridat_' });
+}
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = {
+    httpRequests: new promClient.Counter({
+        name: 'veridat_http_requests_total',
+        help: 'HTTP requests by route and status',
+        labelNames: ['method', 'route', 'status'],
+        registers: [metricsRegistry]
+    }),
+    httpDuration: new promClient.Histogram({
+        name: 'veridat_http_request_duration_seconds',
+        help: 'HTTP request latency by route and status',
+        labelNames: ['method', 'route', 'status'],
+        buckets: LATENCY_BUCKETS,
+        registers: [metricsRegistry]
+    }),
+    fabricDuration: new promClient.Histogram({
+        name: 'veridat_fabric_evaluate_duration_seconds',
+        help: 'Latency of Fabric evaluate calls by chaincode function, including qscc',
+        labelNames: ['channel', 'chaincode', 'function', 'peer'],
+        buckets: LATENCY_BUCKETS,
+        registers: [metricsRegistry]
+    }),
+    fabricErrors: new promClient.Counter({
+        name: 'veridat_fabric_evaluate_errors_total',
+        help: 'Failed Fabric evaluate calls by chaincode function and gRPC status',
+        labelNames: ['channel', 'chaincode', 'function', 'peer', 'code'],
+        registers: [metricsRegistry]
+    }),
+    connectionFailures: new promClient.Counter({
+        name: 'veridat_fabric_connection_failures_total',
+        help: 'Lost or failed gateway connections by peer',
+        labelNames: ['peer'],
+        registers: [metricsRegistry]
+    })
+};
+
+// Filled in when scraped, from state the explorer keeps anyway
+new promClient.Gauge({
+    name: 'veridat_ledger_height',
+    help: 'Ledger height (number of blocks) by channel',
+    labelNames: ['channel'],
+    registers: [metricsRegistry],
+    collect() {
+        this.reset();
+        for (const channel of channels.values()) {
+            if (channel.index.chainHeight !== null) {
+                this.set({ channel: channel.name }, channel.index.chainHeight);
+            }
+        }
+    }
+});
+
+new promClient.Gauge({
+    name: 'veridat_peer_connected',
+    help: '1 if the gateway to the peer is connected, 0 otherwise',
+    labelNames: ['peer'],
+    registers: [metricsRegistry],
+    collect() {
+        for (const peer of peers) {
+            this.set({ peer: peer.name }, peer.state.status === 'connected' ? 1 : 0);
+        }
+    }
+});
+
+function grpcStatusName(error) {
+    const name = Object.keys(grpc.status).find(key => grpc.status[key] === error.code);
+    return name || 'UNKNOWN';
+}
+
+// Time one evaluate call. The duration also counts towards the current
+// request's fabricMs in the access log.
+async function observeEvaluate(labels, evaluate) {
+    const started = process.hrtime.bigint();
+    try {
+        return await evaluate();
+    } catch (error) {
+        metrics.fabricErrors.inc({ ...labels, code: grpcStatusName(error) });
+        throw error;
+    } finally {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        metrics.fabricDuration.observe(labels, seconds);
+
+        const context = requestContext.getStore();
+        if (context) {
+            context.fabricMs += seconds * 1000;
+            context.fabricCalls++;
+        }
+    }
+}
+
+// Route pattern for metric labels, so /api/hash/DOC1 and /api/hash/DOC2 share
+// one series. Channel-scoped routes are folded into /api/:channel/...
+function routeLabel(req) {
+    if (!req.route) {
+        return 'unmatched';
+    }
+    return `${req.channelScoped ? '/api/:channel' : req.baseUrl}${req.route.path}`;
+}
+
+// First middleware: assigns the request ID (or keeps a sane X-Request-Id from
+// the caller), echoes it in the response and in every error body, and records
+// the request's metrics and access log line once it is finished.
+function trackRequest(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const context = { requestId, fabricMs: 0, fabricCalls: 0 };
+    const started = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+        if (res.statusCode >= 400 && payload && payload.success === false && !payload.requestId) {
+            return json({ ...payload, requestId });
+        }
+        return json(payload);
+    };
+
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+        metrics.httpRequests.inc(labels);
+        metrics.httpDuration.observe(labels, seconds);
+
+        if (loggingSettings.accessLog) {
+            requestContext.run(context, () => {
+                log[res.statusCode >= 500 ? 'warn' : 'info']('Request completed', {
+                    method: req.method,
+                    url: req.originalUrl,
+                    route: labels.route,
+                    status: res.statusCode,
+                    durationMs: Math.round(seconds * 1e4) / 10,
+                    fabricMs: Math.round(context.fabricMs * 10) / 10,
+                    fabricCalls: context.fabricCalls,
+                    apiKey: req.apiClient && req.apiClient.key ? req.apiClient.key.id : undefined,
+                    ip: req.ip
+                });
+            });
+        }
+    });
+
+    requestContext.run(context, next);
+}
+
 // 1. CREATE GRPC CLIENT (Replaces Connection Profile)
-async function createGrpcClient() {
-    const tlsCertPath = resolvePath(
-        'organizations/peerOrganizations/veridat.example.com/peers/peer0.veridat.example.com/tls/ca.crt'
-    );
+// Peers are listed in config.peers. Without it the explorer talks to peer0 of
+// the test network only.
+const DEFAULT_PEER = {
+    name: 'peer0',
+    endpoint: 'localhost:7056',
+    hostAlias: 'peer0.veridat.example.com',
+    tlsCACertPath: 'organizations/peerOrganizations/veridat.example.com/peers/peer0.veridat.example.com/tls/ca.crt'
+};
+
+async function createGrpcClient(peer) {
+    if (!peer.tlsCACertPath) {
+        throw new Error(`No TLS CA certificate configured for peer ${peer.name}`);
+    }
+
+    const tlsCertPath = resolvePath(peer.tlsCACertPath);
 
     if (!fs.existsSync(tlsCertPath)) {
         throw new Error(`TLS Root Certificate not found at: ${tlsCertPath}`);
     }
 
     const tlsRootCert = fs.readFileSync(tlsCertPath);
-    const peerEndpoint = 'localhost:7056'; 
-    const hostAlias = 'peer0.veridat.example.com';
 
-    console.log(`🔌 Creating gRPC client to ${peerEndpoint} (override: ${hostAlias})`);
+    log.info('Creating gRPC client', { peer: peer.name, endpoint: peer.endpoint, hostAlias: peer.hostAlias });
 
     return new grpc.Client(
-        peerEndpoint,
+        peer.endpoint,
         grpc.credentials.createSsl(tlsRootCert),
-        {
-            'grpc.ssl_target_name_override': hostAlias,
-        }
+        peer.hostAlias ? { 'grpc.ssl_target_name_override': peer.hostAlias } : {}
     );
 }
 
 // 2. LOAD IDENTITY (Replaces buildWallet)
-async function loadIdentity() {
+// config.identity (or FABRIC_MSP_ID / FABRIC_CERT_PATH / FABRIC_KEY_PATH)
+// overrides the MSP ID, certificate and key. Paths may name the file or the
+// directory holding it. Whatever is not set comes from the User1 (or Admin)
+// MSP directory of the test network.
+const identityConfig = config.identity || {};
+const identitySettings = {
+    mspId: process.env.FABRIC_MSP_ID || identityConfig.mspId || config.mspId,
+    certPath: process.env.FABRIC_CERT_PATH || identityConfig.certPath,
+    keyPath: process.env.FABRIC_KEY_PATH || identityConfig.keyPath
+};
+
+function findDefaultUserDir() {
     let userBaseDir = resolvePath('organizations/peerOrganizations/veridat.example.com/users/User1@veridat.example.com');
     
     if (!fs.existsSync(userBaseDir)) {
-        console.log('⚠️  User1 not found, trying Admin...');
+        log.warn('User1 credentials not found, trying Admin');
         userBaseDir = resolvePath('organizations/peerOrganizations/veridat.example.com/users/Admin@veridat.example.com');
     }
 
@@ -54,32 +298,70 @@ async function loadIdentity() {
         throw new Error(`No user credentials found at ${userBaseDir}`);
     }
 
-    const certDir = path.join(userBaseDir, 'msp/signcerts');
-    const certFiles = fs.readdirSync(certDir).filter(f => f.endsWith('.pem'));
-    if (certFiles.length === 0) throw new Error(`No .pem file found in ${certDir}`);
-    const certPath = path.join(certDir, certFiles[0]);
+    return userBaseDir;
+}
+
+// A credential path is either the file itself or a directory holding it
+function resolveCredentialFile(filePath, description, filter = () => true) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No ${description} found at ${filePath}`);
+    }
+    if (!fs.statSync(filePath).isDirectory()) {
+        return filePath;
+    }
+
+    const files = fs.readdirSync(filePath).filter(filter);
+    if (files.length === 0) throw new Error(`No ${description} found in ${filePath}`);
+    return path.join(filePath, files[0]);
+}
+
+async function loadIdentity() {
+    let certDir = identitySettings.certPath && resolvePath(identitySettings.certPath);
+    let keyDir = identitySettings.keyPath && resolvePath(identitySettings.keyPath);
+
+    if (!certDir || !keyDir) {
+        const userBaseDir = findDefaultUserDir();
+        certDir = certDir || path.join(userBaseDir, 'msp/signcerts');
+        keyDir = keyDir || path.join(userBaseDir, 'msp/keystore');
+    }
+
+    const certPath = resolveCredentialFile(certDir, '.pem file', f => f.endsWith('.pem'));
     const certificate = fs.readFileSync(certPath);
 
-    const keyDir = path.join(userBaseDir, 'msp/keystore');
-    const keyFiles = fs.readdirSync(keyDir);
-    if (keyFiles.length === 0) throw new Error(`No key found in ${keyDir}`);
-    const keyPath = path.join(keyDir, keyFiles[0]);
+    const keyPath = resolveCredentialFile(keyDir, 'key');
     const privateKeyPem = fs.readFileSync(keyPath);
     const privateKey = crypto.createPrivateKey(privateKeyPem);
 
-    console.log(`👤 Loaded Identity: ${config.mspId} (${certFiles[0]})`);
+    log.info('Loaded identity', { mspId: identitySettings.mspId, certificate: path.basename(certPath) });
 
     return {
-        mspId: config.mspId,
+        mspId: identitySettings.mspId,
         credentials: certificate,
         privateKey: privateKey
     };
 }
 
 // 3. CONNECT TO NETWORK
-async function connectToNetwork() {
+// config.backend (or EXPLORER_BACKEND) is "fabric" for the peers below, or
+// "simulated" for the in-process ledger of section 3d
+const BACKENDS = ['fabric', 'simulated'];
+const backendSettings = {
+    backend: process.env.EXPLORER_BACKEND || config.backend || 'fabric'
+};
+
+if (!BACKENDS.includes(backendSettings.backend)) {
+    throw new Error(`Unknown backend "${backendSettings.backend}", expected one of ${BACKENDS.join(', ')}`);
+}
+
+async function connectToNetwork(peer) {
+    if (backendSettings.backend === 'simulated') {
+        getSimulation();
+        log.info('Gateway connected to the simulated network', { peer: peer.name });
+        return { gateway: createSimulatedGateway(), client: null };
+    }
+
     try {
-        const client = await createGrpcClient();
+        const client = await createGrpcClient(peer);
         const identity = await loadIdentity();
 
         const gateway = connect({
@@ -97,596 +379,5571 @@ async function connectToNetwork() {
             },
         });
 
-        console.log('✅ Gateway connected');
-
-        const network = gateway.getNetwork(config.channelName);
-        const contract = network.getContract(config.chaincodeName);
+        log.info('Gateway connected', { peer: peer.name });
 
-        return { gateway, client, contract, network };
+        return { gateway, client };
     } catch (error) {
-        console.error('❌ Connection failed:', error);
+        log.error('Gateway connection failed', { peer: peer.name, error });
         throw error;
     }
 }
 
-// 4. MANUAL PROTOBUF PARSING (NO LIBRARY NEEDED!)
+// 3b. CONNECTION MANAGER
+// Every peer has one gateway and gRPC client, shared by every request. Each
+// gRPC channel is watched and rebuilt with exponential backoff when it drops,
+// and a periodic qscc probe keeps the peer latencies up to date.
+const connectionSettings = {
+    reconnectInitialDelayMs: 1000,
+    reconnectMaxDelayMs: 30000,
+    heartbeatIntervalMs: 30000,
+    ...config.connection
+};
 
-// Decode varint (variable-length integer) from buffer
-function decodeVarint(buffer, offset) {
-    let result = 0;
-    let shift = 0;
-    let byte;
-    let pos = offset;
-    
-    do {
-        if (pos >= buffer.length) {
-            throw new Error('Varint extends beyond buffer');
+function createPeer(peerConfig) {
+    return {
+        name: peerConfig.name || peerConfig.endpoint,
+        endpoint: peerConfig.endpoint,
+        hostAlias: peerConfig.hostAlias || null,
+        tlsCACertPath: peerConfig.tlsCACertPath,
+        state: {
+            status: 'disconnected',   // disconnected | connecting | connected | reconnecting
+            connection: null,
+            pending: null,
+            reconnectTimer: null,
+            heartbeatTimer: null,
+            reconnectAttempts: 0,
+            connectedSince: null,
+            lastError: null,
+            lastErrorAt: null,
+            latencyMs: null,
+            lastProbeAt: null
         }
-        byte = buffer[pos++];
-        result |= (byte & 0x7f) << shift;
-        shift += 7;
-    } while (byte & 0x80);
-    
-    return { value: result, bytesRead: pos - offset };
+    };
 }
 
-// Enhanced: Parse multiple fields from block
-function parseBlockData(blockBytes) {
-    try {
-        let pos = 0;
-        const result = {
-            blockNumber: null,
-            previousHash: null,
-            dataHash: null,
-            transactionCount: 0
-        };
-        
-        // Field 1: Header (0x0a = field 1, wire type 2 - length-delimited)
-        if (blockBytes[pos] !== 0x0a) {
-            throw new Error('Expected header field');
-        }
-        pos++;
-        
-        const headerLength = decodeVarint(blockBytes, pos);
-        pos += headerLength.bytesRead;
-        const headerStart = pos;
-        const headerEnd = pos + headerLength.value;
-        
-        // Parse header contents
-        while (pos < headerEnd) {
-            const fieldTag = blockBytes[pos];
-            
-            if (fieldTag === 0x08) {
-                // Field 1: Block number (varint)
-                pos++;
-                const blockNum = decodeVarint(blockBytes, pos);
-                result.blockNumber = blockNum.value;
-                pos += blockNum.bytesRead;
-            } else if (fieldTag === 0x12) {
-                // Field 2: Previous hash (length-delimited)
-                pos++;
-                const hashLen = decodeVarint(blockBytes, pos);
-                pos += hashLen.bytesRead;
-                result.previousHash = Buffer.from(blockBytes.slice(pos, pos + hashLen.value)).toString('hex');
-                pos += hashLen.value;
-            } else if (fieldTag === 0x1a) {
-                // Field 3: Data hash (length-delimited)
-                pos++;
-                const hashLen = decodeVarint(blockBytes, pos);
-                pos += hashLen.bytesRead;
-                result.dataHash = Buffer.from(blockBytes.slice(pos, pos + hashLen.value)).toString('hex');
-                pos += hashLen.value;
-            } else {
-                // Unknown field, skip
-                pos++;
-            }
-        }
-        
-        // Field 2: Data (0x12 = field 2, wire type 2)
-        pos = headerEnd;
-        if (pos < blockBytes.length && blockBytes[pos] === 0x12) {
-            pos++;
-            const dataLength = decodeVarint(blockBytes, pos);
-            pos += dataLength.bytesRead;
-            
-            // Count transactions (each transaction is a length-delimited field)
-            const dataEnd = pos + dataLength.value;
-            let txCount = 0;
-            while (pos < dataEnd) {
-                if (blockBytes[pos] === 0x0a) { // Transaction field
-                    txCount++;
-                    pos++;
-                    const txLen = decodeVarint(blockBytes, pos);
-                    pos += txLen.bytesRead + txLen.value;
-                } else {
-                    break;
-                }
-            }
-            result.transactionCount = txCount;
-        }
-        
-        return result;
-        
-    } catch (error) {
-        console.error('Error parsing block data:', error.message);
-        return {
-            blockNumber: null,
-            previousHash: null,
-            dataHash: null,
-            transactionCount: 0,
-            error: error.message
-        };
-    }
+// The simulated network has a single peer, whatever config.peers lists
+const SIMULATED_PEER = { name: 'simulated', endpoint: 'in-process' };
+
+const peers = (backendSettings.backend === 'simulated' ? [SIMULATED_PEER] : config.peers || [DEFAULT_PEER]).map(createPeer);
+
+function recordConnectionError(peer, error) {
+    peer.state.lastError = error.message;
+    peer.state.lastErrorAt = new Date().toISOString();
 }
 
-// 5. GET BLOCK INFO FROM TRANSACTION ID
-async function getBlockInfoFromTxId(network, txId) {
-    try {
-        console.log(`📦 Querying block for transaction: ${txId}`);
-        const qscc = network.getContract('qscc');
-        
-        const blockBytes = await qscc.evaluateTransaction(
-            'GetBlockByTxID',
-            config.channelName,
-            txId
-        );
-        
-        // Parse comprehensive block data
-        const blockData = parseBlockData(blockBytes);
-        
-        return {
-            success: true,
-            transactionId: txId,
-            blockNumber: blockData.blockNumber,
-            previousBlockHash: blockData.previousHash,
-            dataHash: blockData.dataHash,
-            transactionCount: blockData.transactionCount,
-            blockSize: blockBytes.length,
-            channel: config.channelName
-        };
-        
-    } catch (error) {
-        console.error(`❌ Could not fetch block: ${error.message}`);
-        return { 
-            success: false, 
-            error: error.message 
-        };
+// Returns the peer's shared gateway, opening it first if needed. Concurrent
+// callers wait on the same attempt instead of each dialing the peer.
+async function getGateway(peer) {
+    if (peer.state.connection) {
+        return peer.state.connection;
     }
+    if (peer.state.pending) {
+        return peer.state.pending;
+    }
+    if (peer.state.status === 'reconnecting') {
+        throw new Error(`Fabric gateway to ${peer.name} is reconnecting: ${peer.state.lastError || 'connection lost'}`);
+    }
+
+    return beginConnect(peer);
 }
 
-// 6. GET BLOCKCHAIN INFO
-async function getChainInfo(network) {
-    try {
-        const qscc = network.getContract('qscc');
-        
-        const infoBytes = await qscc.evaluateTransaction(
-            'GetChainInfo',
-            config.channelName
-        );
-        
-        return {
-            success: true,
-            channel: config.channelName,
-            dataSize: infoBytes.length,
-            infoHex: Buffer.from(infoBytes.slice(0, 32)).toString('hex')
-        };
-        
-    } catch (error) {
-        console.error(`❌ Could not fetch chain info: ${error.message}`);
-        return { success: false, error: error.message };
+function beginConnect(peer) {
+    peer.state.status = 'connecting';
+    peer.state.pending = openConnection(peer)
+        .catch((error) => {
+            scheduleReconnect(peer, error);
+            throw error;
+        })
+        .finally(() => {
+            peer.state.pending = null;
+        });
+
+    return peer.state.pending;
+}
+
+async function openConnection(peer) {
+    const connection = await connectToNetwork(peer);
+
+    peer.state.connection = connection;
+    peer.state.status = 'connected';
+    peer.state.connectedSince = new Date().toISOString();
+
+    if (connection.client) {
+        watchChannel(peer, connection);
     }
+    startHeartbeat(peer);
+    return connection;
 }
 
-// ===== ROUTES =====
+function closeConnection(peer) {
+    const connection = peer.state.connection;
+    peer.state.connection = null;
+    peer.state.connectedSince = null;
 
-// Get all hashes
-app.get('/api/hashes', async (req, res) => {
-    let gateway;
-    let client;
-    try {
-        console.log('📊 Querying all hashes...');
-        const connection = await connectToNetwork();
-        gateway = connection.gateway;
-        client = connection.client;
-        const contract = connection.contract;
+    if (connection) {
+        try { connection.gateway.close(); } catch (error) { /* already closed */ }
+        if (connection.client) {
+            try { connection.client.close(); } catch (error) { /* already closed */ }
+        }
+    }
+}
 
-        const resultBytes = await contract.evaluateTransaction('GetAllHashes');
-        const resultString = new TextDecoder().decode(resultBytes);
-        
-        console.log('📦 Raw result:', resultString);
-        const data = JSON.parse(resultString);
+// Watch the gRPC channel and tear the connection down as soon as it reports a
+// failure, so the next attempt starts from a fresh client. The backoff only
+// resets once the channel is READY: the gateway itself connects lazily, so a
+// dead peer would otherwise be redialed at the initial delay forever.
+function watchChannel(peer, connection) {
+    const channel = connection.client.getChannel();
 
-        res.json({
-            success: true,
-            count: data.data ? data.data.length : 0,
-            data: data.data || [],
-            timestamp: new Date().toISOString()
+    const watch = (currentState) => {
+        channel.watchConnectivityState(currentState, Infinity, (error) => {
+            if (error || peer.state.connection !== connection) {
+                return;
+            }
+
+            const nextState = channel.getConnectivityState(false);
+            if (nextState === grpc.connectivityState.TRANSIENT_FAILURE
+                || nextState === grpc.connectivityState.SHUTDOWN) {
+                log.error('gRPC channel failed', { peer: peer.name, state: grpc.connectivityState[nextState] });
+                scheduleReconnect(peer, new Error(`gRPC channel ${grpc.connectivityState[nextState]}`));
+                return;
+            }
+            if (nextState === grpc.connectivityState.READY) {
+                peer.state.reconnectAttempts = 0;
+            }
+            watch(nextState);
         });
+    };
 
-    } catch (error) {
-        console.error(`❌ Query failed: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
-    } finally {
-        if (gateway) gateway.close();
-        if (client) client.close();
+    watch(channel.getConnectivityState(true));
+}
+
+function scheduleReconnect(peer, error) {
+    recordConnectionError(peer, error);
+    metrics.connectionFailures.inc({ peer: peer.name });
+    closeConnection(peer);
+
+    if (peer.state.reconnectTimer) {
+        return;
     }
-});
 
-// Get hash by document ID WITH BLOCK INFO
-app.get('/api/hash/:documentId', async (req, res) => {
-    let gateway;
-    let client;
-    try {
-        const { documentId } = req.params;
-        console.log(`🔍 Querying document: ${documentId}`);
-        
-        const connection = await connectToNetwork();
-        gateway = connection.gateway;
-        client = connection.client;
-        const contract = connection.contract;
-        const network = connection.network;
-
-        const resultBytes = await contract.evaluateTransaction('GetAllHashes');
-        const resultString = new TextDecoder().decode(resultBytes);
-        const data = JSON.parse(resultString);
-
-        if (data.status === 'success' && data.data) {
-            const found = data.data.find(item => item.documentID === documentId);
-            if (found) {
-                // Get block info if transaction ID exists
-                let blockInfo = null;
-                if (found.txId) {
-                    console.log(`🔗 Fetching block info for txId: ${found.txId}`);
-                    blockInfo = await getBlockInfoFromTxId(network, found.txId);
-                }
-                
-                res.json({
-                    success: true,
-                    data: found,
-                    blockInfo: blockInfo,
-                    shareLink: `${req.protocol}://${req.get('host')}/api/hash/${documentId}`
-                });
-            } else {
-                res.status(404).json({ success: false, message: `Document ID '${documentId}' not found` });
-            }
-        } else {
-            res.status(404).json({ success: false, message: 'No data available' });
+    const delay = Math.min(
+        connectionSettings.reconnectInitialDelayMs * 2 ** peer.state.reconnectAttempts,
+        connectionSettings.reconnectMaxDelayMs
+    );
+    peer.state.reconnectAttempts++;
+    peer.state.status = 'reconnecting';
+
+    log.info('Reconnecting', { peer: peer.name, delayMs: delay, attempt: peer.state.reconnectAttempts });
+
+    peer.state.reconnectTimer = setTimeout(() => {
+        peer.state.reconnectTimer = null;
+        beginConnect(peer).catch((reconnectError) => {
+            log.error('Reconnect failed', { peer: peer.name, error: reconnectError });
+        });
+    }, delay);
+    peer.state.reconnectTimer.unref();
+}
+
+// Errors that say the peer itself is gone, as opposed to a failing query
+function isPeerUnavailable(error) {
+    return error.code === grpc.status.UNAVAILABLE || error.code === grpc.status.DEADLINE_EXCEEDED;
+}
+
+// Peers to try for the next call: connected peers first, taken in turn so the
+// load is spread across them, then the others as a last resort.
+let nextPeerIndex = 0;
+
+function peerOrder() {
+    const start = nextPeerIndex++ % peers.length;
+    const rotated = [...peers.slice(start), ...peers.slice(0, start)];
+    return [
+        ...rotated.filter(peer => peer.state.status === 'connected'),
+        ...rotated.filter(peer => peer.state.status !== 'connected')
+    ];
+}
+
+// Run a call against the first peer that can take it. A peer that cannot be
+// reached, or answers UNAVAILABLE or a deadline error, is skipped (and
+// reconnected in the background). Any other error is the call's own.
+async function withPeer(call) {
+    let lastError = null;
+
+    for (const peer of peerOrder()) {
+        let gateway;
+        try {
+            ({ gateway } = await getGateway(peer));
+        } catch (error) {
+            lastError = error;
+            continue;
         }
-    } catch (error) {
-        console.error(`❌ Query failed: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
-    } finally {
-        if (gateway) gateway.close();
-        if (client) client.close();
-    }
-});
 
-// Search by hash value
-app.get('/api/search/:hashValue', async (req, res) => {
-    let gateway;
-    let client;
-    try {
-        const { hashValue } = req.params;
-        
-        const connection = await connectToNetwork();
-        gateway = connection.gateway;
-        client = connection.client;
-        const contract = connection.contract;
-
-        const resultBytes = await contract.evaluateTransaction('GetAllHashes');
-        const resultString = new TextDecoder().decode(resultBytes);
-        const data = JSON.parse(resultString);
-
-        if (data.status === 'success' && data.data) {
-            const found = data.data.find(item => item.hash === hashValue);
-            if (found) {
-                res.json({ success: true, data: found });
-            } else {
-                res.status(404).json({ success: false, message: 'Hash not found' });
+        try {
+            return await call(gateway, peer);
+        } catch (error) {
+            if (!isPeerUnavailable(error)) {
+                throw error;
             }
-        } else {
-            res.status(404).json({ success: false, message: 'No data available' });
+            log.warn('Peer unavailable, failing over', { peer: peer.name, error });
+            scheduleReconnect(peer, error);
+            lastError = error;
         }
-    } catch (error) {
-        console.error(`❌ Query failed: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
-    } finally {
-        if (gateway) gateway.close();
-        if (client) client.close();
     }
-});
 
-// Get blockchain info endpoint
-app.get('/api/blockchain/info', async (req, res) => {
-    let gateway;
-    let client;
-    try {
-        console.log('ℹ️  Querying blockchain info...');
-        
-        const connection = await connectToNetwork();
-        gateway = connection.gateway;
-        client = connection.client;
-        const network = connection.network;
+    throw lastError;
+}
 
-        const chainInfo = await getChainInfo(network);
-        
-        res.json(chainInfo);
-        
-    } catch (error) {
-        console.error(`❌ Query failed: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
-    } finally {
-        if (gateway) gateway.close();
-        if (client) client.close();
+// Network and registry contract of one channel. They have the shape of the
+// Fabric gateway's Network and Contract, but every evaluate goes through
+// withPeer, and network.lastPeer is the peer that answered the latest one.
+async function getConnection(channel = defaultChannel) {
+    const network = {
+        lastPeer: null,
+        getName: () => channel.name,
+        getContract: chaincodeName => ({
+            getChaincodeName: () => chaincodeName,
+            evaluateTransaction: (name, ...args) => withPeer(async (gateway, peer) => {
+                const result = await observeEvaluate(
+                    { channel: channel.name, chaincode: chaincodeName, function: name, peer: peer.name },
+                    () => gateway.getNetwork(channel.name).getContract(chaincodeName).evaluateTransaction(name, ...args)
+                );
+                network.lastPeer = peer;
+                return result;
+            })
+        }),
+        // The event stream stays on one peer. When that peer goes away the
+        // stream breaks and the consumer reopens it on the next one.
+        getBlockEvents: options => withPeer(gateway => gateway.getNetwork(channel.name).getBlockEvents(options))
+    };
+
+    return { network, contract: network.getContract(channel.chaincode) };
+}
+
+// Measure a round trip to the peer with the cheapest ledger query there is.
+// Resolves to the latency and the peer's ledger height on the channel.
+async function probePeer(peer, channel = defaultChannel) {
+    const { gateway } = await getGateway(peer);
+    const started = Date.now();
+    const infoBytes = await observeEvaluate(
+        { channel: channel.name, chaincode: 'qscc', function: 'GetChainInfo', peer: peer.name },
+        () => gateway.getNetwork(channel.name).getContract('qscc').evaluateTransaction('GetChainInfo', channel.name)
+    );
+    peer.state.latencyMs = Date.now() - started;
+    peer.state.lastProbeAt = new Date().toISOString();
+    return { latencyMs: peer.state.latencyMs, height: decodeBlockchainInfo(infoBytes).height };
+}
+
+function handleProbeError(peer, error) {
+    recordConnectionError(peer, error);
+    if (isPeerUnavailable(error)) {
+        scheduleReconnect(peer, error);
     }
-});
+}
 
-// Get block info directly by transaction ID (API endpoint - returns JSON)
-app.get('/api/block/txid/:txId', async (req, res) => {
-    let gateway;
-    let client;
-    try {
-        const { txId } = req.params;
-        console.log(`📦 Querying block for transaction: ${txId}`);
-        
-        const connection = await connectToNetwork();
-        gateway = connection.gateway;
-        client = connection.client;
-        const network = connection.network;
+function heartbeat(peer) {
+    if (peer.state.status !== 'connected') {
+        return;
+    }
+    probePeer(peer).catch((error) => {
+        log.error('Peer probe failed', { peer: peer.name, error });
+        handleProbeError(peer, error);
+    });
+}
 
-        const blockInfo = await getBlockInfoFromTxId(network, txId);
-        
-        res.json(blockInfo);
-        
-    } catch (error) {
-        console.error(`❌ Query failed: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
-    } finally {
-        if (gateway) gateway.close();
-        if (client) client.close();
-    }
-});
-
-// Block Explorer Page - Pretty HTML display for block info
-app.get('/block/:txId', (req, res) => {
-    const { txId } = req.params;
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Block Info - ${txId}</title>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <style>
-                body { font-family: sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; background: #f5f7fa; }
-                .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; margin-bottom: 30px; }
-                .back-link { color: white; text-decoration: none; display: inline-block; margin-top: 10px; opacity: 0.9; }
-                .back-link:hover { opacity: 1; text-decoration: underline; }
-                .block-container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-                .block-info { background: #e3f2fd; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #2196F3; }
-                .info-row { margin: 15px 0; padding: 12px; border-bottom: 1px solid #eee; }
-                .info-row:last-child { border-bottom: none; }
-                .label { font-weight: bold; color: #555; display: block; margin-bottom: 5px; font-size: 14px; text-transform: uppercase; letter-spacing: 0.5px; }
-                .value { color: #333; font-size: 16px; }
-                .hash { font-family: monospace; background: #f8f9fa; padding: 12px; word-break: break-all; border-radius: 5px; margin-top: 8px; font-size: 13px; line-height: 1.6; }
-                .loading { text-align: center; padding: 60px 20px; color: #666; font-size: 18px; }
-                .error { background: #ffebee; color: #c62828; padding: 20px; border-radius: 8px; border-left: 4px solid #c62828; }
-                .success-badge { display: inline-block; background: #4caf50; color: white; padding: 4px 12px; border-radius: 12px; font-size: 12px; font-weight: bold; margin-left: 10px; }
-                .error-badge { display: inline-block; background: #f44336; color: white; padding: 4px 12px; border-radius: 12px; font-size: 12px; font-weight: bold; margin-left: 10px; }
-                .stat-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; margin: 20px 0; }
-                .stat-card { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 8px; text-align: center; }
-                .stat-value { font-size: 32px; font-weight: bold; margin: 10px 0; }
-                .stat-label { font-size: 14px; opacity: 0.9; text-transform: uppercase; letter-spacing: 1px; }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>📦 PARA Block Explorer</h1>
-                <p>Transaction ID: <code style="background: rgba(255,255,255,0.2); padding: 5px 10px; border-radius: 4px;">${txId}</code></p>
-                <a href="/" class="back-link">← Back to Hash Explorer</a>
-            </div>
-            
-            <div class="block-container">
-                <div id="content" class="loading">
-                    <div>⏳ Loading block information...</div>
-                </div>
-            </div>
-
-            <script>
-                async function loadBlockInfo() {
-                    try {
-                        const res = await fetch('/api/block/txid/${txId}');
-                        const data = await res.json();
-                        
-                        if (!data.success) {
-                            document.getElementById('content').innerHTML = 
-                                '<div class="error"><strong>❌ Error:</strong> ' + (data.error || 'Block not found') + '</div>';
-                            return;
+// Probes once on every (re)connect, so /health has a latency to report
+// straight away, then on the interval
+function startHeartbeat(peer) {
+    if (!connectionSettings.heartbeatIntervalMs) {
+        return;
+    }
+    heartbeat(peer);
+
+    if (!peer.state.heartbeatTimer) {
+        peer.state.heartbeatTimer = setInterval(() => heartbeat(peer), connectionSettings.heartbeatIntervalMs);
+        peer.state.heartbeatTimer.unref();
+    }
+}
+
+function getPeerStatus(peer) {
+    return {
+        name: peer.name,
+        endpoint: peer.endpoint,
+        hostAlias: peer.hostAlias,
+        status: peer.state.status,
+        connectedSince: peer.state.connectedSince,
+        reconnectAttempts: peer.state.reconnectAttempts,
+        lastError: peer.state.lastError,
+        lastErrorAt: peer.state.lastErrorAt,
+        latencyMs: peer.state.latencyMs,
+        lastProbeAt: peer.state.lastProbeAt
+    };
+}
+
+// Overall connection state as shown on /health: that of the first connected
+// peer, or of the first peer when none is connected
+function getConnectionStatus() {
+    const statuses = peers.map(getPeerStatus);
+    const connected = statuses.filter(status => status.status === 'connected');
+    const primary = connected[0] || statuses[0];
+
+    return {
+        status: primary.status,
+        peer: primary.name,
+        connectedPeers: connected.length,
+        totalPeers: statuses.length,
+        connectedSince: primary.connectedSince,
+        reconnectAttempts: primary.reconnectAttempts,
+        lastError: primary.lastError,
+        lastErrorAt: primary.lastErrorAt,
+        peerLatencyMs: primary.latencyMs,
+        lastProbeAt: primary.lastProbeAt
+    };
+}
+
+// 3c. CHANNELS
+// Each configured channel/chaincode pair gets its own ledger index, live event
+// feed and history capability. The first channel is the default one, served
+// by the unscoped /api routes. A config with only channelName/chaincodeName
+// describes a single channel.
+function createChannel(channelConfig) {
+    // null turns the chaincode history query off, so only undefined falls through
+    const historyFunction = [channelConfig.historyFunction, config.historyFunction, 'GetHashHistory']
+        .find(value => value !== undefined);
+
+    return {
+        name: channelConfig.name,
+        chaincode: channelConfig.chaincode,
+        historyFunction,
+        historySupported: Boolean(historyFunction),
+        index: createIndexState(),
+        ledgerEvents: new EventEmitter().setMaxListeners(0)
+    };
+}
+
+const channels = new Map(
+    (config.channels || [{ name: config.channelName, chaincode: config.chaincodeName }])
+        .map(channelConfig => [channelConfig.name, createChannel(channelConfig)])
+);
+const defaultChannel = channels.values().next().value;
+
+function findChannel(name) {
+    return channels.get(name) || null;
+}
+
+// 3d. SIMULATED BACKEND
+// With "backend": "simulated" the explorer runs against an in-process ledger
+// instead of a Fabric network, so the UI and API can be developed and shown
+// without peers. Every channel gets its own ledger of real Fabric protobufs:
+// envelopes signed by the fixture's client and endorsers, blocks chained by
+// header hash and signed by its orderer. The ledger is seeded from the
+// fixture's blocks and, with simulation.blockIntervalMs, grows by one
+// registration per interval. The gateway answers qscc, the registry functions
+// and block events the way a single peer would.
+const simulationSettings = {
+    fixturePath: 'fixtures/simulated-network.json',
+    blockIntervalMs: 0,
+    ...config.simulation
+};
+
+const SIMULATED_CHAINCODE_VERSION = '1.0';
+// Orderer BatchSize of the genesis config, as in Fabric's sample configtx.yaml
+const SIMULATED_BATCH_SIZE = { maxMessageCount: 10, absoluteMaxBytes: 99 * 1024 * 1024, preferredMaxBytes: 512 * 1024 };
+
+let simulation = null;
+
+function protoVarint(value) {
+    let remaining = BigInt(value);
+    const bytes = [];
+    do {
+        const byte = Number(remaining & 0x7fn);
+        remaining >>= 7n;
+        bytes.push(remaining ? byte | 0x80 : byte);
+    } while (remaining);
+    return Buffer.from(bytes);
+}
+
+// fields: [fieldNumber, value] pairs. Numbers and booleans are varints and, as
+// in proto3, left out when zero; strings and buffers are length-delimited.
+// null and undefined leave the field out.
+function protoMessage(fields) {
+    return Buffer.concat(fields.map(([fieldNumber, value]) => {
+        if (value === null || value === undefined || value === 0 || value === false) {
+            return Buffer.alloc(0);
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return Buffer.concat([protoVarint(fieldNumber << 3), protoVarint(Number(value))]);
+        }
+        const bytes = Buffer.from(value);
+        return Buffer.concat([protoVarint((fieldNumber << 3) | 2), protoVarint(bytes.length), bytes]);
+    }));
+}
+
+function protoTimestamp(date) {
+    const ms = date.getTime();
+    return protoMessage([[1, Math.floor(ms / 1000)], [2, (ms % 1000) * 1e6]]);
+}
+
+// Fixture identity { mspId, certificate, privateKey } -> serialized identity and key
+function simulatedIdentity(entry) {
+    return {
+        mspId: entry.mspId,
+        serialized: protoMessage([[1, entry.mspId], [2, entry.certificate]]),
+        privateKey: crypto.createPrivateKey(entry.privateKey)
+    };
+}
+
+function validationCodeNumber(name = 'VALID') {
+    const code = Object.keys(TX_VALIDATION_CODES).find(key => TX_VALIDATION_CODES[key] === name);
+    if (code === undefined) {
+        throw new Error(`Unknown validation code ${name}`);
+    }
+    return Number(code);
+}
+
+// The registry chaincode: what a transaction reads, writes and emits
+function executeRegistry(ledger, name, args, txId, timestamp) {
+    const [documentId, hash] = args;
+    const current = ledger.state.get(documentId);
+    const reads = [{ key: documentId, version: current ? current.version : null }];
+
+    switch (name) {
+        case 'StoreHash': {
+            if (!documentId || !hash) {
+                throw new Error('StoreHash takes a document ID and a hash');
+            }
+            const record = JSON.stringify({ documentID: documentId, hash, timestamp: timestamp.toISOString(), txId });
+            return { reads, writes: [{ key: documentId, value: record }], event: { name: 'HashRegistered', payload: record } };
+        }
+        case 'DeleteHash':
+            if (!current) {
+                throw new Error(`DeleteHash: document ${documentId} does not exist`);
+            }
+            return {
+                reads,
+                writes: [{ key: documentId, isDelete: true }],
+                event: { name: 'HashDeleted', payload: JSON.stringify({ documentID: documentId }) }
+            };
+        default:
+            throw new Error(`Function ${name} not found in contract`);
+    }
+}
+
+function signWith(identity, bytes) {
+    return crypto.sign('sha256', bytes, identity.privateKey);
+}
+
+// The nonce, and so the txId, only depends on the transaction's position, so
+// fixture transactions keep their IDs across restarts
+function simulatedSignatureHeader(ledger, identity, position) {
+    const nonce = crypto.createHash('sha256').update(`${ledger.channel.name}/${position}`).digest().subarray(0, 24);
+    return {
+        bytes: protoMessage([[1, identity.serialized], [2, nonce]]),
+        txId: crypto.createHash('sha256').update(Buffer.concat([nonce, identity.serialized])).digest('hex')
+    };
+}
+
+function simulatedEnvelope(identity, channelHeader, signatureHeader, data) {
+    const payload = protoMessage([[1, protoMessage([[1, channelHeader], [2, signatureHeader]])], [2, data]]);
+    return protoMessage([[1, payload], [2, signWith(identity, payload)]]);
+}
+
+// Genesis block transaction: a channel configuration from the orderer that
+// only holds the orderer's BatchSize
+function simulatedConfigTransaction(ledger, timestamp) {
+    const { orderer } = simulation.identities;
+    const signatureHeader = simulatedSignatureHeader(ledger, orderer, '0/0');
+    const channelHeader = protoMessage([[1, 1], [3, protoTimestamp(timestamp)], [4, ledger.channel.name], [5, signatureHeader.txId]]);
+    const batchSize = protoMessage([
+        [1, SIMULATED_BATCH_SIZE.maxMessageCount],
+        [2, SIMULATED_BATCH_SIZE.absoluteMaxBytes],
+        [3, SIMULATED_BATCH_SIZE.preferredMaxBytes]
+    ]);
+    const ordererGroup = protoMessage([[3, protoMessage([[1, 'BatchSize'], [2, protoMessage([[2, batchSize]])]])]]);
+    const channelGroup = protoMessage([[2, protoMessage([[1, 'Orderer'], [2, ordererGroup]])]]);
+    const configEnvelope = protoMessage([[1, protoMessage([[2, channelGroup]])]]);
+
+    return {
+        txId: signatureHeader.txId,
+        envelope: simulatedEnvelope(orderer, channelHeader, signatureHeader.bytes, configEnvelope),
+        validationCode: 0,
+        writes: [],
+        timestamp
+    };
+}
+
+// Endorser transaction invoking the registry chaincode: the client's proposal,
+// the chaincode's read/write set and event, endorsed by every fixture endorser
+function simulatedChaincodeTransaction(ledger, transaction, position) {
+    const { client, endorsers } = simulation.identities;
+    const chaincode = ledger.channel.chaincode;
+    const timestamp = transaction.timestamp ? new Date(transaction.timestamp) : new Date();
+    if (Number.isNaN(timestamp.getTime())) {
+        throw new Error(`Invalid timestamp ${transaction.timestamp}`);
+    }
+    const signatureHeader = simulatedSignatureHeader(ledger, client, position);
+    const txId = signatureHeader.txId;
+    const args = transaction.args || [];
+    const result = executeRegistry(ledger, transaction.function, args, txId, timestamp);
+
+    const chaincodeId = protoMessage([[2, chaincode], [3, SIMULATED_CHAINCODE_VERSION]]);
+    const channelHeader = protoMessage([
+        [1, 3],
+        [3, protoTimestamp(timestamp)],
+        [4, ledger.channel.name],
+        [5, txId],
+        [7, protoMessage([[2, chaincodeId]])]
+    ]);
+    const chaincodeInput = protoMessage([[1, transaction.function], ...args.map(arg => [1, arg])]);
+    const proposalPayload = protoMessage([[1, protoMessage([[1, protoMessage([[1, 1], [2, protoMessage([[2, chaincode]])], [3, chaincodeInput]])]])]]);
+
+    const readWriteSet = protoMessage([
+        ...result.reads.map(read => [1, protoMessage([
+            [1, read.key],
+            [2, read.version ? protoMessage([[1, read.version.blockNumber], [2, read.version.txNumber]]) : null]
+        ])]),
+        ...result.writes.map(write => [3, protoMessage([[1, write.key], [2, write.isDelete], [3, write.value]])])
+    ]);
+    const chaincodeAction = protoMessage([
+        [1, protoMessage([[1, 0], [2, protoMessage([[1, chaincode], [2, readWriteSet]])]])],
+        [2, protoMessage([[1, chaincode], [2, txId], [3, result.event.name], [4, result.event.payload]])],
+        [3, protoMessage([[1, 200]])],
+        [4, chaincodeId]
+    ]);
+    const proposalHash = crypto.createHash('sha256').update(Buffer.concat([channelHeader, signatureHeader.bytes, proposalPayload])).digest();
+    const proposalResponsePayload = protoMessage([[1, proposalHash], [2, chaincodeAction]]);
+    const endorsements = endorsers.map(endorser => protoMessage([
+        [1, endorser.serialized],
+        [2, signWith(endorser, Buffer.concat([proposalResponsePayload, endorser.serialized]))]
+    ]));
+
+    const actionPayload = protoMessage([
+        [1, proposalPayload],
+        [2, protoMessage([[1, proposalResponsePayload], ...endorsements.map(endorsement => [2, endorsement])])]
+    ]);
+    const data = protoMessage([[1, protoMessage([[1, signatureHeader.bytes], [2, actionPayload]])]]);
+
+    return {
+        txId,
+        envelope: simulatedEnvelope(client, channelHeader, signatureHeader.bytes, data),
+        validationCode: validationCodeNumber(transaction.validationCode),
+        writes: result.writes,
+        timestamp
+    };
+}
+
+// Orderer signature over the block header, as in BlockMetadataIndex.SIGNATURES
+function simulatedBlockSignature(ledger, blockNumber, previousHash, dataHash) {
+    const { orderer } = simulation.identities;
+    const value = protoMessage([[1, protoMessage([[1, 0]])]]);
+    const signatureHeader = simulatedSignatureHeader(ledger, orderer, `block/${blockNumber}`).bytes;
+    const signature = signWith(orderer, Buffer.concat([value, signatureHeader, blockHeaderBytes(blockNumber, previousHash, dataHash)]));
+    return protoMessage([[1, value], [2, protoMessage([[1, signatureHeader], [2, signature]])]]);
+}
+
+// World state and key history follow the valid transactions only
+function applySimulatedWrites(ledger, transaction, blockNumber, txNumber) {
+    for (const write of transaction.writes) {
+        const version = { blockNumber, txNumber };
+        if (write.isDelete) {
+            ledger.state.delete(write.key);
+        } else {
+            ledger.state.set(write.key, { value: write.value, version });
+        }
+        if (!ledger.history.has(write.key)) {
+            ledger.history.set(write.key, []);
+        }
+        ledger.history.get(write.key).push({
+            txId: transaction.txId,
+            timestamp: transaction.timestamp.toISOString(),
+            isDelete: Boolean(write.isDelete),
+            value: write.isDelete ? null : JSON.parse(write.value)
+        });
+    }
+}
+
+// Cut a block from fixture transactions (the genesis block when there are none)
+function appendSimulatedBlock(ledger, transactions, genesisTimestamp) {
+    const blockNumber = ledger.blocks.length;
+    const committed = blockNumber === 0
+        ? [simulatedConfigTransaction(ledger, genesisTimestamp)]
+        : transactions.map((transaction, txNumber) => simulatedChaincodeTransaction(ledger, transaction, `${blockNumber}/${txNumber}`));
+
+    const envelopes = committed.map(transaction => transaction.envelope);
+    const previousHash = ledger.headerHash;
+    const dataHash = blockDataHash(envelopes);
+    const header = protoMessage([
+        [1, blockNumber],
+        [2, previousHash ? Buffer.from(previousHash, 'hex') : null],
+        [3, Buffer.from(dataHash, 'hex')]
+    ]);
+    const metadata = protoMessage([
+        [1, simulatedBlockSignature(ledger, blockNumber, previousHash, dataHash)],
+        [1, Buffer.alloc(0)],
+        [1, Buffer.from(committed.map(transaction => transaction.validationCode))],
+        [1, Buffer.alloc(0)],
+        [1, Buffer.alloc(0)]
+    ]);
+
+    ledger.blocks.push(protoMessage([
+        [1, header],
+        [2, protoMessage(envelopes.map(envelope => [1, envelope]))],
+        [3, metadata]
+    ]));
+    ledger.previousHash = previousHash;
+    ledger.headerHash = blockHeaderHash(blockNumber, previousHash, dataHash);
+
+    committed.forEach((transaction, txNumber) => {
+        ledger.transactions.set(transaction.txId, { blockNumber, envelope: transaction.envelope, validationCode: transaction.validationCode });
+        if (transaction.validationCode === 0) {
+            applySimulatedWrites(ledger, transaction, blockNumber, txNumber);
+        }
+    });
+    ledger.events.emit('block');
+}
+
+function createSimulatedLedger(channel, fixtureChannel) {
+    const ledger = {
+        channel,
+        blocks: [],
+        transactions: new Map(),  // txId -> { blockNumber, envelope, validationCode }
+        state: new Map(),         // key -> { value, version }
+        history: new Map(),       // key -> committed writes, oldest first
+        headerHash: null,
+        previousHash: null,
+        events: new EventEmitter().setMaxListeners(0)
+    };
+
+    appendSimulatedBlock(ledger, [], fixtureChannel.createdAt ? new Date(fixtureChannel.createdAt) : new Date());
+    for (const block of fixtureChannel.blocks || []) {
+        appendSimulatedBlock(ledger, block.transactions);
+    }
+    return ledger;
+}
+
+// A new document with a random hash, one block per interval
+function appendSimulatedRegistration(ledger) {
+    const documentId = `DEMO-${String(ledger.blocks.length).padStart(6, '0')}`;
+    const hash = crypto.createHash(verifySettings.hashAlgorithm).update(crypto.randomBytes(32)).digest('hex');
+    appendSimulatedBlock(ledger, [{ function: 'StoreHash', args: [documentId, hash] }]);
+}
+
+// Built on first use, one ledger per configured channel
+function getSimulation() {
+    if (simulation) {
+        return simulation;
+    }
+
+    const fixturePath = path.resolve(__dirname, simulationSettings.fixturePath);
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    simulation = {
+        fixture,
+        identities: {
+            client: simulatedIdentity(fixture.identities.client),
+            endorsers: fixture.identities.endorsers.map(simulatedIdentity),
+            orderer: simulatedIdentity(fixture.identities.orderer)
+        },
+        ledgers: new Map()
+    };
+
+    try {
+        for (const channel of channels.values()) {
+            const fixtureChannel = (fixture.channels || {})[channel.name] || {};
+            simulation.ledgers.set(channel.name, createSimulatedLedger(channel, fixtureChannel));
+        }
+    } catch (error) {
+        simulation = null;
+        throw new Error(`Invalid simulation fixture ${fixturePath}: ${error.message}`);
+    }
+
+    if (simulationSettings.blockIntervalMs > 0) {
+        setInterval(() => {
+            for (const ledger of simulation.ledgers.values()) {
+                appendSimulatedRegistration(ledger);
+            }
+        }, simulationSettings.blockIntervalMs).unref();
+    }
+
+    log.info('Simulated network ready', {
+        fixture: fixturePath,
+        channels: [...simulation.ledgers.values()].map(ledger => ({ name: ledger.channel.name, height: ledger.blocks.length })),
+        blockIntervalMs: simulationSettings.blockIntervalMs
+    });
+    return simulation;
+}
+
+function evaluateQscc(ledger, name, [channelName, arg]) {
+    if (channelName !== ledger.channel.name) {
+        throw new Error(`Invalid channel name ${channelName}`);
+    }
+    const transaction = ledger.transactions.get(arg);
+
+    switch (name) {
+        case 'GetChainInfo':
+            return protoMessage([
+                [1, ledger.blocks.length],
+                [2, Buffer.from(ledger.headerHash, 'hex')],
+                [3, ledger.previousHash ? Buffer.from(ledger.previousHash, 'hex') : null]
+            ]);
+        case 'GetBlockByNumber':
+            if (!ledger.blocks[Number(arg)]) {
+                throw new Error(`Failed to get block number ${arg}, error Entry not found in index`);
+            }
+            return ledger.blocks[Number(arg)];
+        case 'GetBlockByTxID':
+            if (!transaction) {
+                throw new Error(`Failed to get block for txID ${arg}, error no such transaction ID [${arg}] in index`);
+            }
+            return ledger.blocks[transaction.blockNumber];
+        case 'GetTransactionByID':
+            if (!transaction) {
+                throw new Error(`Failed to get transaction with id ${arg}, error no such transaction ID [${arg}] in index`);
+            }
+            return protoMessage([[1, transaction.envelope], [2, transaction.validationCode]]);
+        default:
+            throw new Error(`Requested function ${name} not found.`);
+    }
+}
+
+// Queries of the registry chaincode, answered from the committed world state
+function evaluateRegistry(ledger, name, [documentId]) {
+    switch (name) {
+        case 'GetAllHashes': {
+            const data = [...ledger.state.values()].map(entry => JSON.parse(entry.value));
+            return Buffer.from(JSON.stringify({ status: 'success', data }));
+        }
+        case 'GetHashHistory':
+            return Buffer.from(JSON.stringify([...(ledger.history.get(documentId) || [])].reverse()));
+        default:
+            throw new Error(`Function ${name} not found in contract`);
+    }
+}
+
+// Blocks from startBlock on: the ones already cut, then each new one
+function simulatedBlockEvents(ledger, options = {}) {
+    let nextBlock = Number(options.startBlock || 0);
+    let closed = false;
+    let wake = null;
+    const onBlock = () => {
+        if (wake) {
+            wake();
+            wake = null;
+        }
+    };
+    ledger.events.on('block', onBlock);
+
+    return {
+        close() {
+            closed = true;
+            ledger.events.off('block', onBlock);
+            onBlock();
+        },
+        async *[Symbol.asyncIterator]() {
+            while (!closed) {
+                if (nextBlock < ledger.blocks.length) {
+                    const blockBytes = ledger.blocks[nextBlock++];
+                    yield { serializeBinary: () => new Uint8Array(blockBytes) };
+                } else {
+                    await new Promise((resolve) => { wake = resolve; });
+                }
+            }
+        }
+    };
+}
+
+// Same surface as the Fabric gateway's Gateway, Network and Contract, as far
+// as the explorer uses it
+function createSimulatedGateway() {
+    return {
+        getNetwork: (channelName) => {
+            const ledger = getSimulation().ledgers.get(channelName);
+            if (!ledger) {
+                throw new Error(`Channel ${channelName} is not part of the simulated network`);
+            }
+            return {
+                getName: () => channelName,
+                getContract: chaincodeName => ({
+                    getChaincodeName: () => chaincodeName,
+                    evaluateTransaction: async (name, ...args) => {
+                        if (chaincodeName === 'qscc') {
+                            return new Uint8Array(evaluateQscc(ledger, name, args));
+                        }
+                        if (chaincodeName !== ledger.channel.chaincode) {
+                            throw new Error(`Chaincode ${chaincodeName} is not installed on channel ${channelName}`);
                         }
-                        
-                        document.getElementById('content').innerHTML = \`
-                            <h2>Block Information <span class="success-badge">✓ FOUND</span></h2>
-                            
-                            <div class="stat-grid">
-                                <div class="stat-card">
-                                    <div class="stat-label">Block Number</div>
-                                    <div class="stat-value">\${data.blockNumber !== null ? data.blockNumber : 'N/A'}</div>
-                                </div>
-                                <div class="stat-card">
-                                    <div class="stat-label">Block Size</div>
-                                    <div class="stat-value">\${data.blockSize ? (data.blockSize / 1024).toFixed(2) : 'N/A'} KB</div>
-                                </div>
-                                <div class="stat-card">
-                                    <div class="stat-label">Transactions</div>
-                                    <div class="stat-value">\${data.transactionCount !== null ? data.transactionCount : 'N/A'}</div>
-                                </div>
-                            </div>
-
-                            <div class="block-info">
-                                <div class="info-row">
-                                    <span class="label">🆔 Transaction ID</span>
-                                    <div class="hash">\${data.transactionId}</div>
-                                </div>
-                                
-                                <div class="info-row">
-                                    <span class="label">📺 Channel</span>
-                                    <span class="value">\${data.channel}</span>
-                                </div>
-                                
-                                <div class="info-row">
-                                    <span class="label">🔗 Previous Block Hash</span>
-                                    <div class="hash">\${data.previousBlockHash || 'N/A'}</div>
-                                </div>
-                                
-                                <div class="info-row">
-                                    <span class="label">📊 Data Hash</span>
-                                    <div class="hash">\${data.dataHash || 'N/A'}</div>
-                                </div>
-                            </div>
-                        \`;
-                    } catch (error) {
-                        document.getElementById('content').innerHTML = 
-                            '<div class="error"><strong>❌ Error loading block info:</strong> ' + error.message + '</div>';
+                        return new Uint8Array(evaluateRegistry(ledger, name, args));
                     }
-                }
-                
-                window.onload = loadBlockInfo;
-            </script>
-        </body>
-        </html>
-    `);
-});
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
+                }),
+                getBlockEvents: async options => simulatedBlockEvents(ledger, options)
+            };
+        },
+        close() {}
+    };
+}
+
+// 4. MANUAL PROTOBUF PARSING (NO LIBRARY NEEDED!)
+
+// Decode varint (variable-length integer) from buffer.
+// Uses arithmetic instead of bit shifts so values above 32 bits stay exact
+// (up to Number.MAX_SAFE_INTEGER, far beyond any block number).
+function decodeVarint(buffer, offset) {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    let pos = offset;
+    
+    do {
+        if (pos >= buffer.length) {
+            throw new Error('Varint extends beyond buffer');
+        }
+        if (pos - offset >= 10) {
+            throw new Error('Varint is longer than 10 bytes');
+        }
+        byte = buffer[pos++];
+        result += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+    } while (byte & 0x80);
+    
+    return { value: result, bytesRead: pos - offset };
+}
+
+function toBuffer(bytes) {
+    return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// Split a protobuf message into its fields: { fieldNumber: [value, ...] }.
+// Varints come back as numbers, everything else as Buffer slices.
+function decodeFields(bytes) {
+    const buffer = toBuffer(bytes || Buffer.alloc(0));
+    const fields = {};
+    let pos = 0;
+
+    while (pos < buffer.length) {
+        const tag = decodeVarint(buffer, pos);
+        pos += tag.bytesRead;
+        const fieldNumber = Math.floor(tag.value / 8);
+        const wireType = tag.value % 8;
+        let value;
+
+        if (wireType === 0) {
+            // Varint
+            const varint = decodeVarint(buffer, pos);
+            value = varint.value;
+            pos += varint.bytesRead;
+        } else if (wireType === 2) {
+            // Length-delimited (bytes, strings, embedded messages)
+            const length = decodeVarint(buffer, pos);
+            pos += length.bytesRead;
+            if (pos + length.value > buffer.length) {
+                throw new Error(`Field ${fieldNumber} extends beyond buffer`);
+            }
+            value = buffer.subarray(pos, pos + length.value);
+            pos += length.value;
+        } else if (wireType === 1) {
+            // Fixed 64-bit
+            value = buffer.subarray(pos, pos + 8);
+            pos += 8;
+        } else if (wireType === 5) {
+            // Fixed 32-bit
+            value = buffer.subarray(pos, pos + 4);
+            pos += 4;
+        } else {
+            throw new Error(`Unsupported wire type ${wireType} for field ${fieldNumber}`);
+        }
+
+        if (!fields[fieldNumber]) {
+            fields[fieldNumber] = [];
+        }
+        fields[fieldNumber].push(value);
+    }
+
+    return fields;
+}
+
+function fieldBytes(fields, fieldNumber) {
+    return fields[fieldNumber] ? fields[fieldNumber][0] : Buffer.alloc(0);
+}
+
+function fieldString(fields, fieldNumber) {
+    return fields[fieldNumber] ? fields[fieldNumber][0].toString('utf8') : '';
+}
+
+function fieldNumberValue(fields, fieldNumber) {
+    return fields[fieldNumber] ? fields[fieldNumber][0] : 0;
+}
+
+function fieldRepeated(fields, fieldNumber) {
+    return fields[fieldNumber] || [];
+}
+
+function toHex(bytes) {
+    return bytes && bytes.length ? bytes.toString('hex') : null;
+}
+
+// common.HeaderType
+const HEADER_TYPES = {
+    0: 'MESSAGE',
+    1: 'CONFIG',
+    2: 'CONFIG_UPDATE',
+    3: 'ENDORSER_TRANSACTION',
+    4: 'ORDERER_TRANSACTION',
+    5: 'DELIVER_SEEK_INFO',
+    6: 'CHAINCODE_PACKAGE'
+};
+
+// peer.TxValidationCode
+const TX_VALIDATION_CODES = {
+    0: 'VALID',
+    1: 'NIL_ENVELOPE',
+    2: 'BAD_PAYLOAD',
+    3: 'BAD_COMMON_HEADER',
+    4: 'BAD_CREATOR_SIGNATURE',
+    5: 'INVALID_ENDORSER_TRANSACTION',
+    6: 'INVALID_CONFIG_TRANSACTION',
+    7: 'UNSUPPORTED_TX_PAYLOAD',
+    8: 'BAD_PROPOSAL_TXID',
+    9: 'DUPLICATE_TXID',
+    10: 'ENDORSEMENT_POLICY_FAILURE',
+    11: 'MVCC_READ_CONFLICT',
+    12: 'PHANTOM_READ_CONFLICT',
+    13: 'UNKNOWN_TX_TYPE',
+    14: 'TARGET_CHAIN_NOT_FOUND',
+    15: 'MARSHAL_TX_ERROR',
+    16: 'NIL_TXACTION',
+    17: 'EXPIRED_CHAINCODE',
+    18: 'CHAINCODE_VERSION_CONFLICT',
+    19: 'BAD_HEADER_EXTENSION',
+    20: 'BAD_CHANNEL_HEADER',
+    21: 'BAD_RESPONSE_PAYLOAD',
+    22: 'BAD_RWSET',
+    23: 'ILLEGAL_WRITESET',
+    24: 'INVALID_WRITESET',
+    25: 'INVALID_CHAINCODE',
+    254: 'NOT_VALIDATED',
+    255: 'INVALID_OTHER_REASON'
+};
+
+// common.BlockMetadataIndex
+const BLOCK_METADATA_INDEX = {
+    SIGNATURES: 0,
+    LAST_CONFIG: 1,
+    TRANSACTIONS_FILTER: 2,
+    ORDERER: 3,
+    COMMIT_HASH: 4
+};
+
+// google.protobuf.Timestamp -> ISO string
+function decodeTimestamp(bytes) {
+    if (!bytes || !bytes.length) return null;
+    const fields = decodeFields(bytes);
+    const seconds = fieldNumberValue(fields, 1);
+    const nanos = fieldNumberValue(fields, 2);
+    return new Date(seconds * 1000 + Math.floor(nanos / 1e6)).toISOString();
+}
+
+// common.ChannelHeader
+function decodeChannelHeader(bytes) {
+    const fields = decodeFields(bytes);
+    const type = fieldNumberValue(fields, 1);
+    return {
+        type: HEADER_TYPES[type] || `UNKNOWN(${type})`,
+        typeCode: type,
+        version: fieldNumberValue(fields, 2),
+        timestamp: decodeTimestamp(fieldBytes(fields, 3)),
+        channelId: fieldString(fields, 4),
+        txId: fieldString(fields, 5),
+        epoch: fieldNumberValue(fields, 6),
+        extension: fieldBytes(fields, 7)
+    };
+}
+
+// Human-readable subject of a PEM certificate ("CN=User1@..., OU=client, ...")
+function certificateSubject(pem) {
+    try {
+        const certificate = new crypto.X509Certificate(pem);
+        return certificate.subject.split('\n').reverse().join(', ');
+    } catch (error) {
+        return null;
+    }
+}
+
+// msp.SerializedIdentity
+function decodeIdentity(bytes) {
+    const fields = decodeFields(bytes);
+    const certificate = fieldString(fields, 2);
+    return {
+        mspId: fieldString(fields, 1),
+        subject: certificateSubject(certificate),
+        certificate
+    };
+}
+
+// common.SignatureHeader
+function decodeSignatureHeader(bytes) {
+    const fields = decodeFields(bytes);
+    return {
+        creator: decodeIdentity(fieldBytes(fields, 1)),
+        nonce: fieldBytes(fields, 2)
+    };
+}
+
+// peer.ChaincodeID
+function decodeChaincodeId(bytes) {
+    const fields = decodeFields(bytes);
+    return {
+        path: fieldString(fields, 1),
+        name: fieldString(fields, 2),
+        version: fieldString(fields, 3)
+    };
+}
+
+// peer.ChaincodeProposalPayload -> ChaincodeInvocationSpec -> ChaincodeSpec
+function decodeChaincodeInvocation(proposalPayloadBytes) {
+    const proposalPayload = decodeFields(proposalPayloadBytes);
+    const invocationSpec = decodeFields(fieldBytes(proposalPayload, 1));
+    const chaincodeSpec = decodeFields(fieldBytes(invocationSpec, 1));
+    const chaincodeId = decodeChaincodeId(fieldBytes(chaincodeSpec, 2));
+    const input = decodeFields(fieldBytes(chaincodeSpec, 3));
+    const args = fieldRepeated(input, 1);
+
+    return {
+        name: chaincodeId.name,
+        function: args.length ? args[0].toString('utf8') : null,
+        args: args.slice(1)
+    };
+}
+
+// peer.ChaincodeAction carried in ProposalResponsePayload.extension
+function decodeChaincodeAction(proposalResponsePayloadBytes) {
+    const responsePayload = decodeFields(proposalResponsePayloadBytes);
+    const action = decodeFields(fieldBytes(responsePayload, 2));
+    const response = decodeFields(fieldBytes(action, 3));
+
+    return {
+        proposalHash: fieldBytes(responsePayload, 1),
+        results: fieldBytes(action, 1),
+        events: fieldBytes(action, 2),
+        response: {
+            status: fieldNumberValue(response, 1),
+            message: fieldString(response, 2),
+            payload: fieldBytes(response, 3)
+        },
+        chaincodeId: decodeChaincodeId(fieldBytes(action, 4))
+    };
+}
+
+// peer.ChaincodeEvent, as emitted by the chaincode's SetEvent()
+function decodeChaincodeEvent(bytes) {
+    if (!bytes || !bytes.length) return null;
+    const event = decodeFields(bytes);
+    return {
+        chaincodeId: fieldString(event, 1),
+        txId: fieldString(event, 2),
+        eventName: fieldString(event, 3),
+        payload: fieldBytes(event, 4)
+    };
+}
+
+// kvrwset.Version -> { blockNumber, txNumber }
+function decodeVersion(bytes) {
+    if (!bytes || !bytes.length) return null;
+    const version = decodeFields(bytes);
+    return {
+        blockNumber: fieldNumberValue(version, 1),
+        txNumber: fieldNumberValue(version, 2)
+    };
+}
+
+// rwset.CollectionHashedReadWriteSet: private data is only on the ledger as
+// hashes of its keys and values
+function decodeCollectionHashedReadWriteSet(bytes) {
+    const collection = decodeFields(bytes);
+    const hashedRwSet = decodeFields(fieldBytes(collection, 2));
+
+    return {
+        collection: fieldString(collection, 1),
+        pvtRwSetHash: toHex(fieldBytes(collection, 3)),
+        hashedReads: fieldRepeated(hashedRwSet, 1).map((readBytes) => {
+            const read = decodeFields(readBytes);
+            return {
+                keyHash: toHex(fieldBytes(read, 1)),
+                version: decodeVersion(fieldBytes(read, 2))
+            };
+        }),
+        hashedWrites: fieldRepeated(hashedRwSet, 2).map((writeBytes) => {
+            const write = decodeFields(writeBytes);
+            return {
+                keyHash: toHex(fieldBytes(write, 1)),
+                isDelete: fieldNumberValue(write, 2) === 1,
+                valueHash: toHex(fieldBytes(write, 3)),
+                isPurge: fieldNumberValue(write, 4) === 1
+            };
+        })
+    };
+}
+
+// rwset.TxReadWriteSet -> reads, range queries, writes and private data
+// collection hashes per chaincode namespace
+function decodeReadWriteSets(resultsBytes) {
+    const txReadWriteSet = decodeFields(resultsBytes);
+
+    return fieldRepeated(txReadWriteSet, 2).map((namespaceBytes) => {
+        const namespaceSet = decodeFields(namespaceBytes);
+        const kvReadWriteSet = decodeFields(fieldBytes(namespaceSet, 2));
+
+        return {
+            namespace: fieldString(namespaceSet, 1),
+            reads: fieldRepeated(kvReadWriteSet, 1).map((readBytes) => {
+                const read = decodeFields(readBytes);
+                return {
+                    key: fieldString(read, 1),
+                    version: decodeVersion(fieldBytes(read, 2))
+                };
+            }),
+            rangeQueries: fieldRepeated(kvReadWriteSet, 2).map((rangeBytes) => {
+                const rangeQuery = decodeFields(rangeBytes);
+                return {
+                    startKey: fieldString(rangeQuery, 1),
+                    endKey: fieldString(rangeQuery, 2),
+                    exhausted: fieldNumberValue(rangeQuery, 3) === 1
+                };
+            }),
+            writes: fieldRepeated(kvReadWriteSet, 3).map((writeBytes) => {
+                const write = decodeFields(writeBytes);
+                return {
+                    key: fieldString(write, 1),
+                    isDelete: fieldNumberValue(write, 2) === 1,
+                    value: fieldBytes(write, 3)
+                };
+            }),
+            collections: fieldRepeated(namespaceSet, 3).map(decodeCollectionHashedReadWriteSet)
+        };
+    });
+}
+
+// peer.Transaction: decode the first action's invocation and endorsed result
+function decodeEndorserTransaction(transactionBytes) {
+    const transaction = decodeFields(transactionBytes);
+    const actions = fieldRepeated(transaction, 1);
+    if (!actions.length) return null;
+
+    const transactionAction = decodeFields(actions[0]);
+    const actionPayload = decodeFields(fieldBytes(transactionAction, 2));
+    const endorsedAction = decodeFields(fieldBytes(actionPayload, 2));
+    const proposalResponsePayload = fieldBytes(endorsedAction, 1);
+
+    const invocation = decodeChaincodeInvocation(fieldBytes(actionPayload, 1));
+    const chaincodeAction = decodeChaincodeAction(proposalResponsePayload);
+    const endorsements = fieldRepeated(endorsedAction, 2).map((endorsementBytes) => {
+        const endorsement = decodeFields(endorsementBytes);
+        return {
+            endorser: decodeIdentity(fieldBytes(endorsement, 1)),
+            endorserBytes: fieldBytes(endorsement, 1),
+            signature: fieldBytes(endorsement, 2)
+        };
+    });
+
+    return {
+        chaincode: {
+            name: invocation.name || chaincodeAction.chaincodeId.name,
+            version: chaincodeAction.chaincodeId.version || null,
+            function: invocation.function,
+            args: invocation.args
+        },
+        chaincodeAction,
+        proposalResponsePayload,
+        endorsements
+    };
+}
+
+// common.Envelope -> one transaction entry of a block
+function decodeEnvelope(envelopeBytes) {
+    const envelope = decodeFields(envelopeBytes);
+    const payloadBytes = fieldBytes(envelope, 1);
+    const payload = decodeFields(payloadBytes);
+    const header = decodeFields(fieldBytes(payload, 1));
+
+    const channelHeader = decodeChannelHeader(fieldBytes(header, 1));
+    const signatureHeader = decodeSignatureHeader(fieldBytes(header, 2));
+
+    const result = {
+        channelHeader,
+        signatureHeader,
+        payloadBytes,
+        signature: fieldBytes(envelope, 2),
+        payloadData: fieldBytes(payload, 2),
+        endorserTransaction: null
+    };
+
+    if (channelHeader.typeCode === 3) {
+        result.endorserTransaction = decodeEndorserTransaction(result.payloadData);
+    }
+
+    return result;
+}
+
+// Summary of one envelope as returned by the API
+function summarizeTransaction(decoded, txNumber, validationCode) {
+    const { channelHeader, signatureHeader, endorserTransaction } = decoded;
+    const code = validationCode === undefined ? 254 : validationCode;
+
+    return {
+        txNumber,
+        txId: channelHeader.txId || null,
+        type: channelHeader.type,
+        timestamp: channelHeader.timestamp,
+        channel: channelHeader.channelId,
+        creator: {
+            mspId: signatureHeader.creator.mspId,
+            subject: signatureHeader.creator.subject
+        },
+        chaincode: endorserTransaction ? {
+            name: endorserTransaction.chaincode.name,
+            function: endorserTransaction.chaincode.function
+        } : null,
+        validationCode: TX_VALIDATION_CODES[code] || `UNKNOWN(${code})`,
+        valid: code === 0
+    };
+}
+
+// common.Block -> header, decoded transactions and metadata
+function decodeBlock(blockBytes) {
+    const block = decodeFields(blockBytes);
+    const header = decodeFields(fieldBytes(block, 1));
+    const data = decodeFields(fieldBytes(block, 2));
+    const metadata = decodeFields(fieldBytes(block, 3));
+
+    const metadataEntries = fieldRepeated(metadata, 1);
+    const transactionsFilter = metadataEntries[BLOCK_METADATA_INDEX.TRANSACTIONS_FILTER] || Buffer.alloc(0);
+
+    const envelopes = fieldRepeated(data, 1);
+    const decodedEnvelopes = [];
+    const transactions = envelopes.map((envelopeBytes, index) => {
+        try {
+            decodedEnvelopes[index] = decodeEnvelope(envelopeBytes);
+            return summarizeTransaction(decodedEnvelopes[index], index, transactionsFilter[index]);
+        } catch (error) {
+            decodedEnvelopes[index] = null;
+            const code = transactionsFilter[index];
+            return {
+                txNumber: index,
+                txId: null,
+                error: `Could not decode envelope: ${error.message}`,
+                validationCode: code === undefined ? 'NOT_VALIDATED' : (TX_VALIDATION_CODES[code] || `UNKNOWN(${code})`),
+                valid: code === 0
+            };
+        }
+    });
+
+    return {
+        blockNumber: fieldNumberValue(header, 1),
+        previousHash: toHex(fieldBytes(header, 2)),
+        dataHash: toHex(fieldBytes(header, 3)),
+        transactionCount: envelopes.length,
+        validTransactionCount: transactions.filter(tx => tx.valid).length,
+        size: blockBytes.length,
+        transactions,
+        envelopes,
+        decodedEnvelopes,
+        metadata: metadataEntries
+    };
+}
+
+// Entry of a protobuf map<string, bytes-like> (ConfigGroup.groups / .values)
+function mapEntry(entries, key) {
+    for (const entryBytes of entries) {
+        const entry = decodeFields(entryBytes);
+        if (fieldString(entry, 1) === key) {
+            return fieldBytes(entry, 2);
+        }
+    }
+    return null;
+}
+
+// orderer.BatchSize from the payload of a CONFIG transaction (common.ConfigEnvelope):
+// config.channel_group.groups["Orderer"].values["BatchSize"]. null when absent.
+function decodeBatchSize(configEnvelopeBytes) {
+    const config = decodeFields(fieldBytes(decodeFields(configEnvelopeBytes), 1));
+    const channelGroup = decodeFields(fieldBytes(config, 2));
+    const ordererGroup = mapEntry(fieldRepeated(channelGroup, 2), 'Orderer');
+    const batchSizeValue = ordererGroup && mapEntry(fieldRepeated(decodeFields(ordererGroup), 3), 'BatchSize');
+    if (!batchSizeValue) {
+        return null;
+    }
+
+    const batchSize = decodeFields(fieldBytes(decodeFields(batchSizeValue), 2));
+    return {
+        maxMessageCount: fieldNumberValue(batchSize, 1),
+        absoluteMaxBytes: fieldNumberValue(batchSize, 2),
+        preferredMaxBytes: fieldNumberValue(batchSize, 3)
+    };
+}
+
+// common.BlockchainInfo as returned by qscc GetChainInfo
+function decodeBlockchainInfo(infoBytes) {
+    const info = decodeFields(infoBytes);
+    const result = {
+        height: fieldNumberValue(info, 1),
+        currentBlockHash: toHex(fieldBytes(info, 2)),
+        previousBlockHash: toHex(fieldBytes(info, 3)),
+        bootstrappingSnapshotInfo: null
+    };
+
+    // Only present when the peer joined the channel from a snapshot
+    if (info[4]) {
+        const snapshotInfo = decodeFields(info[4][0]);
+        result.bootstrappingSnapshotInfo = {
+            lastBlockInSnapshot: fieldNumberValue(snapshotInfo, 1)
+        };
+    }
+    return result;
+}
+
+// 5. GET BLOCK INFO FROM TRANSACTION ID
+
+// Common response fields for a decoded block. Previous/next links are added
+// when the chain height is known, so callers can walk the chain. Signature
+// checks cost a certificate chain walk per signer, so only the single block
+// responses ask for them.
+function summarizeBlock(blockBytes, channelName, height, { signatures = false } = {}) {
+    const blockData = decodeBlock(blockBytes);
+    const summary = {
+        blockNumber: blockData.blockNumber,
+        previousBlockHash: blockData.previousHash,
+        dataHash: blockData.dataHash,
+        transactionCount: blockData.transactionCount,
+        validTransactionCount: blockData.validTransactionCount,
+        blockSize: blockBytes.length,
+        channel: channelName,
+        transactions: blockData.transactions
+    };
+
+    if (signatures) {
+        summary.ordererSignatures = checkOrdererSignatures(blockData);
+        summary.transactions = blockData.transactions.map((tx, txNumber) => {
+            const decoded = blockData.decodedEnvelopes[txNumber];
+            return decoded ? { ...tx, ...checkTransactionSignatures(decoded) } : tx;
+        });
+    }
+
+    if (height !== undefined) {
+        summary.links = blockLinks(channelName, blockData.blockNumber, height);
+    }
+    return summary;
+}
+
+function blockLinks(channelName, blockNumber, height) {
+    const base = `/api/${encodeURIComponent(channelName)}/block`;
+    return {
+        self: `${base}/${blockNumber}`,
+        previous: blockNumber > 0 ? `${base}/${blockNumber - 1}` : null,
+        next: blockNumber + 1 < height ? `${base}/${blockNumber + 1}` : null
+    };
+}
+
+async function getBlockInfoFromTxId(network, txId, options = {}) {
+    try {
+        log.debug('Querying block for transaction', { txId });
+        const qscc = network.getContract('qscc');
+        
+        const blockBytes = await qscc.evaluateTransaction(
+            'GetBlockByTxID',
+            network.getName(),
+            txId
+        );
+        
+        // Decode the full block: header, every envelope and validation codes
+        return {
+            success: true,
+            transactionId: txId,
+            ...summarizeBlock(blockBytes, network.getName(), undefined, options)
+        };
+        
+    } catch (error) {
+        log.error('Could not fetch block', { txId, error });
+        return { 
+            success: false, 
+            error: error.message 
+        };
+    }
+}
+
+// 5b. GET BLOCKS BY NUMBER
+const MAX_BLOCK_RANGE = 50;
+
+async function getChainHeight(network) {
+    const qscc = network.getContract('qscc');
+    const infoBytes = await qscc.evaluateTransaction('GetChainInfo', network.getName());
+    return decodeBlockchainInfo(infoBytes).height;
+}
+
+async function getBlockByNumber(network, blockNumber, height, options = {}) {
+    try {
+        log.debug('Querying block', { blockNumber });
+        const qscc = network.getContract('qscc');
+
+        const blockBytes = await qscc.evaluateTransaction(
+            'GetBlockByNumber',
+            network.getName(),
+            String(blockNumber)
+        );
+
+        return {
+            success: true,
+            ...summarizeBlock(blockBytes, network.getName(), height, options)
+        };
+
+    } catch (error) {
+        log.error('Could not fetch block', { blockNumber, error });
+        return { success: false, blockNumber, error: error.message };
+    }
+}
+
+// Fetch blocks [from, to] (inclusive). Lists leave out the per-transaction
+// details; fetch a single block for those.
+async function getBlockRange(network, from, to, height) {
+    const numbers = [];
+    for (let n = from; n <= to; n++) {
+        numbers.push(n);
+    }
+
+    const blocks = await Promise.all(numbers.map(n => getBlockByNumber(network, n, height)));
+    return blocks.map(({ transactions, ...block }) => block);
+}
+
+// Parse a block number from a path/query string; returns null when invalid
+function parseBlockNumber(value) {
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : null;
+}
+
+// 5c. TRANSACTION DETAIL
+// qscc GetTransactionByID returns a peer.ProcessedTransaction: the envelope as
+// submitted and the validation code the committing peer gave it. Decoded in
+// full, with every key the transaction read or wrote, so a registration that
+// looks wrong can be traced to exactly what it touched.
+
+// Arguments, values and payloads are passed through as text when they are UTF-8
+function bytesValue(bytes) {
+    const text = bytes.toString('utf8');
+    if (Buffer.from(text, 'utf8').equals(bytes)) {
+        return { value: text, encoding: 'utf8' };
+    }
+    return { value: bytes.toString('base64'), encoding: 'base64' };
+}
+
+// peer.ProcessedTransaction
+function decodeProcessedTransaction(bytes) {
+    const processed = decodeFields(bytes);
+    return {
+        decoded: decodeEnvelope(fieldBytes(processed, 1)),
+        validationCode: fieldNumberValue(processed, 2)
+    };
+}
+
+// Read/write sets of an endorser transaction, ready for JSON
+function describeReadWriteSets(results) {
+    return decodeReadWriteSets(results).map(rwSet => ({
+        namespace: rwSet.namespace,
+        reads: rwSet.reads,
+        rangeQueries: rwSet.rangeQueries,
+        writes: rwSet.writes.map(write => ({
+            key: write.key,
+            isDelete: write.isDelete,
+            ...(write.isDelete ? { value: null, encoding: null } : bytesValue(write.value))
+        })),
+        collections: rwSet.collections
+    }));
+}
+
+function describeTransaction(processed, position) {
+    const { decoded, validationCode } = processed;
+    const { endorserTransaction } = decoded;
+    const summary = summarizeTransaction(decoded, position ? position.txNumber : null, validationCode);
+    const signatures = checkTransactionSignatures(decoded);
+    const detail = {
+        txId: summary.txId,
+        channel: summary.channel,
+        blockNumber: position ? position.blockNumber : null,
+        txNumber: summary.txNumber,
+        type: summary.type,
+        timestamp: summary.timestamp,
+        validationCode: summary.validationCode,
+        valid: summary.valid,
+        creator: signatures.creator,
+        chaincode: null,
+        response: null,
+        event: null,
+        endorsements: [],
+        rwSets: []
+    };
+    if (!endorserTransaction) {
+        return detail;
+    }
+
+    const { chaincode, chaincodeAction, endorsements } = endorserTransaction;
+    const event = decodeChaincodeEvent(chaincodeAction.events);
+    return {
+        ...detail,
+        chaincode: {
+            name: chaincode.name,
+            version: chaincode.version,
+            function: chaincode.function,
+            args: chaincode.args.map(bytesValue)
+        },
+        response: {
+            status: chaincodeAction.response.status,
+            message: chaincodeAction.response.message || null,
+            ...eventPayload(chaincodeAction.response.payload)
+        },
+        event: event ? { name: event.eventName, ...eventPayload(event.payload) } : null,
+        endorsements: endorsements.map((endorsement, index) => ({
+            ...signatures.endorsements[index],
+            signature: toHex(endorsement.signature)
+        })),
+        rwSets: describeReadWriteSets(chaincodeAction.results)
+    };
+}
+
+// Block number and position of a transaction: from the ledger index when it
+// has the transaction, from its block otherwise
+async function transactionPosition(channel, network, txId) {
+    const indexed = indexerSettings.enabled ? channel.index.transactions.get(txId) : null;
+    if (indexed) {
+        return { blockNumber: indexed.blockNumber, txNumber: indexed.txNumber };
+    }
+
+    const blockBytes = await network.getContract('qscc').evaluateTransaction('GetBlockByTxID', network.getName(), txId);
+    const block = decodeBlock(blockBytes);
+    const tx = block.transactions.find(item => item.txId === txId);
+    return { blockNumber: block.blockNumber, txNumber: tx ? tx.txNumber : null };
+}
+
+async function getTransaction(channel, txId) {
+    const { network } = await getConnection(channel);
+    let processedBytes;
+    try {
+        processedBytes = await network.getContract('qscc').evaluateTransaction('GetTransactionByID', network.getName(), txId);
+    } catch (error) {
+        if (/no such transaction|not found/i.test(errorText(error))) {
+            return null;
+        }
+        throw error;
+    }
+
+    const position = await transactionPosition(channel, network, txId);
+    return describeTransaction(decodeProcessedTransaction(processedBytes), position);
+}
+
+// 6. GET BLOCKCHAIN INFO
+// The document count comes from the ledger index once it is live; only before
+// that does it cost a full registry query.
+async function getChainInfo(network, contract, channel) {
+    try {
+        const qscc = network.getContract('qscc');
+        
+        const infoBytes = await qscc.evaluateTransaction(
+            'GetChainInfo',
+            network.getName()
+        );
+        const info = decodeBlockchainInfo(infoBytes);
+        // The peer that answered, before the calls below may move to another one
+        const peer = network.lastPeer;
+
+        // Derived figures: when the chain last moved and how much is registered
+        const [latestBlock, totalDocuments] = await Promise.all([
+            info.height > 0
+                ? qscc.evaluateTransaction('GetBlockByNumber', network.getName(), String(info.height - 1))
+                : null,
+            isIndexCurrent(channel)
+                ? channel.index.documents.size
+                : queryAllHashes(contract).then(registry => (registry.data ? registry.data.length : 0))
+        ]);
+
+        let latestBlockTimestamp = null;
+        if (latestBlock) {
+            const timestamps = decodeBlock(latestBlock).transactions
+                .map(tx => tx.timestamp)
+                .filter(Boolean)
+                .sort();
+            latestBlockTimestamp = timestamps.length ? timestamps[timestamps.length - 1] : null;
+        }
+        
+        return {
+            success: true,
+            channel: network.getName(),
+            height: info.height,
+            latestBlockNumber: info.height > 0 ? info.height - 1 : null,
+            currentBlockHash: info.currentBlockHash,
+            previousBlockHash: info.previousBlockHash,
+            bootstrappingSnapshotInfo: info.bootstrappingSnapshotInfo,
+            latestBlockTimestamp,
+            totalDocuments,
+            peer: {
+                name: peer.name,
+                endpoint: peer.endpoint,
+                hostAlias: peer.hostAlias
+            },
+            chaincode: contract.getChaincodeName(),
+            mspId: identitySettings.mspId
+        };
+        
+    } catch (error) {
+        log.error('Could not fetch chain info', { error });
+        return { success: false, error: error.message };
+    }
+}
+
+// 7. QUERY THE HASH REGISTRY
+async function queryAllHashes(contract) {
+    const resultBytes = await contract.evaluateTransaction('GetAllHashes');
+    const resultString = new TextDecoder().decode(resultBytes);
+    log.debug('GetAllHashes result', { bytes: resultBytes.length, payload: resultString });
+    return JSON.parse(resultString);
+}
+
+// 8. LEDGER INDEXER
+// Replays blocks from the gateway's block event stream into a local index keyed
+// by documentID, hash and txId. The index and its checkpoint are persisted
+// together, so a restart resumes from the last indexed block instead of genesis.
+// The same block loop feeds the live event stream (section 15); with the index
+// disabled it only follows new blocks from the chain tip.
+const indexerSettings = {
+    enabled: true,
+    path: 'data/ledger-index.json',
+    saveIntervalMs: 5000,
+    retryDelayMs: 5000,
+    heightPollIntervalMs: 10000,
+    ...config.indexer
+};
+
+const INDEX_FORMAT_VERSION = 3;
+
+// One per channel, see createChannel()
+function createIndexState() {
+    return {
+        status: 'stopped',        // stopped | catching-up | live | retrying
+        nextBlock: 0,             // checkpoint: first block not yet processed (null = start at the tip)
+        chainHeight: null,
+        documents: new Map(),     // documentID -> record
+        hashes: new Map(),        // hash -> Set of documentIDs
+        transactions: new Map(),  // txId -> { blockNumber, txNumber, valid, validationCode, mspId, documentIDs }
+        history: new Map(),       // documentID -> every committed write, oldest first
+        blocks: [],               // blockNumber -> { timestamp, transactions, validTransactions, bytes }
+        batchSize: null,          // orderer BatchSize of the latest config block
+        events: null,
+        dirty: false,
+        saving: null,
+        lastSavedAt: null,
+        lastBlockAt: null,
+        lastError: null,
+        stopped: false
+    };
+}
+
+// With several channels each index gets its own file: ledger-index-<channel>.json
+function indexFilePath(channel) {
+    if (channels.size === 1) {
+        return path.resolve(__dirname, indexerSettings.path);
+    }
+    const { dir, name, ext } = path.parse(indexerSettings.path);
+    return path.resolve(__dirname, dir, `${name}-${channel.name}${ext}`);
+}
+
+// Hex digests are matched case-insensitively; other encodings (base64) as-is
+function normalizeHash(hash) {
+    return /^[0-9a-f]+$/i.test(hash) ? hash.toLowerCase() : hash;
+}
+
+function addHashEntry(channel, hash, documentId) {
+    if (!hash) return;
+    hash = normalizeHash(hash);
+    if (!channel.index.hashes.has(hash)) {
+        channel.index.hashes.set(hash, new Set());
+    }
+    channel.index.hashes.get(hash).add(documentId);
+}
+
+function removeHashEntry(channel, hash, documentId) {
+    if (!hash) return;
+    hash = normalizeHash(hash);
+    const documentIds = channel.index.hashes.get(hash);
+    if (!documentIds) return;
+    documentIds.delete(documentId);
+    if (documentIds.size === 0) {
+        channel.index.hashes.delete(hash);
+    }
+}
+
+function setDocument(channel, documentId, record) {
+    const previous = channel.index.documents.get(documentId);
+    if (previous) {
+        removeHashEntry(channel, previous.hash, documentId);
+    }
+    if (record) {
+        channel.index.documents.set(documentId, record);
+        addHashEntry(channel, record.hash, documentId);
+    } else {
+        channel.index.documents.delete(documentId);
+    }
+}
+
+function loadIndex(channel) {
+    const file = indexFilePath(channel);
+    if (!fs.existsSync(file)) {
+        log.info('No ledger index on disk, indexing from genesis', { channel: channel.name });
+        return;
+    }
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (saved.version !== INDEX_FORMAT_VERSION
+            || saved.channel !== channel.name
+            || saved.chaincode !== channel.chaincode) {
+            log.warn('Ledger index belongs to another channel/chaincode or format, rebuilding', { channel: channel.name });
+            return;
+        }
+
+        channel.index.nextBlock = saved.checkpoint.nextBlock;
+        for (const [documentId, record] of Object.entries(saved.documents)) {
+            setDocument(channel, documentId, record);
+        }
+        channel.index.transactions = new Map(Object.entries(saved.transactions));
+        channel.index.history = new Map(Object.entries(saved.history));
+        channel.index.blocks = saved.blocks;
+        channel.index.batchSize = saved.batchSize;
+        channel.index.lastSavedAt = saved.savedAt;
+
+        log.info('Loaded ledger index', { channel: channel.name, documents: channel.index.documents.size, nextBlock: channel.index.nextBlock });
+    } catch (error) {
+        log.error('Could not load ledger index, rebuilding', { channel: channel.name, error });
+    }
+}
+
+// Write the index and checkpoint atomically (temp file + rename), and only
+// when something changed. Changes made during a save are written by the next
+// one, so waiting for the save in progress is not enough.
+async function saveIndex(channel) {
+    while (channel.index.saving) {
+        await channel.index.saving;
+    }
+    if (!channel.index.dirty) {
+        return;
+    }
+
+    const file = indexFilePath(channel);
+    const savedAt = new Date().toISOString();
+    // Serialized right away: history arrays and blocks keep growing while the file is written
+    const contents = JSON.stringify({
+        version: INDEX_FORMAT_VERSION,
+        channel: channel.name,
+        chaincode: channel.chaincode,
+        savedAt,
+        checkpoint: { nextBlock: channel.index.nextBlock },
+        documents: Object.fromEntries(channel.index.documents),
+        transactions: Object.fromEntries(channel.index.transactions),
+        history: Object.fromEntries(channel.index.history),
+        blocks: channel.index.blocks,
+        batchSize: channel.index.batchSize
+    });
+    channel.index.dirty = false;
+
+    channel.index.saving = (async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // Flushed before the rename, so a crash cannot leave an empty index in place
+        const handle = await fs.promises.open(`${file}.tmp`, 'w');
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(`${file}.tmp`, file);
+        channel.index.lastSavedAt = savedAt;
+    })()
+        .catch((error) => {
+            channel.index.dirty = true;
+            log.error('Could not save ledger index', { channel: channel.name, error });
+        })
+        .finally(() => {
+            channel.index.saving = null;
+        });
+
+    return channel.index.saving;
+}
+
+function parseWriteValue(write) {
+    if (write.isDelete) return null;
+    const text = write.value.toString('utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Turn a world-state write of the registry chaincode into an index record
+function recordFromWrite(write, tx, blockNumber) {
+    const value = parseWriteValue(write);
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+
+    return {
+        ...value,
+        documentID: value.documentID || write.key,
+        txId: value.txId || tx.channelHeader.txId,
+        blockNumber
+    };
+}
+
+// Transactions of a decoded block that wrote keys of the registry chaincode
+function registryTransactions(channel, block) {
+    const result = [];
+
+    block.decodedEnvelopes.forEach((decoded, txNumber) => {
+        if (!decoded || !decoded.endorserTransaction) return;
+
+        const rwSets = decodeReadWriteSets(decoded.endorserTransaction.chaincodeAction.results)
+            .filter(rwSet => rwSet.namespace === channel.chaincode);
+        const writes = rwSets.flatMap(rwSet => rwSet.writes);
+
+        if (writes.length) {
+            const reads = rwSets.flatMap(rwSet => rwSet.reads);
+            result.push({ decoded, summary: block.transactions[txNumber], txNumber, writes, reads });
+        }
+    });
+
+    return result;
+}
+
+// One entry of a document's change history
+function historyEntry(write, decoded, blockNumber) {
+    return {
+        txId: decoded.channelHeader.txId,
+        blockNumber,
+        timestamp: decoded.channelHeader.timestamp,
+        mspId: decoded.signatureHeader.creator.mspId,
+        isDelete: write.isDelete,
+        value: parseWriteValue(write)
+    };
+}
+
+// Apply one block to the index. Only valid transactions change document state;
+// invalid ones are still indexed by txId so lookups can report them. Every
+// block also leaves its size and transaction counts for the statistics.
+function indexBlock(channel, block) {
+    const firstTransaction = block.transactions.find(tx => tx.timestamp);
+    channel.index.blocks[block.blockNumber] = {
+        timestamp: firstTransaction ? firstTransaction.timestamp : null,
+        transactions: block.transactionCount,
+        validTransactions: block.validTransactionCount,
+        bytes: block.size
+    };
+    block.decodedEnvelopes.forEach((decoded) => {
+        // Config blocks carry the orderer's batch size, the yardstick for block fill
+        if (decoded && decoded.channelHeader.typeCode === 1) {
+            channel.index.batchSize = decodeBatchSize(decoded.payloadData) || channel.index.batchSize;
+        }
+    });
+
+    for (const { decoded, summary, txNumber, writes } of registryTransactions(channel, block)) {
+        channel.index.transactions.set(decoded.channelHeader.txId, {
+            blockNumber: block.blockNumber,
+            txNumber,
+            timestamp: decoded.channelHeader.timestamp,
+            valid: summary.valid,
+            validationCode: summary.validationCode,
+            mspId: decoded.signatureHeader.creator.mspId,
+            documentIDs: writes.map(write => write.key)
+        });
+
+        if (!summary.valid) continue;
+
+        for (const write of writes) {
+            if (!channel.index.history.has(write.key)) {
+                channel.index.history.set(write.key, []);
+            }
+            channel.index.history.get(write.key).push(historyEntry(write, decoded, block.blockNumber));
+
+            if (write.isDelete) {
+                setDocument(channel, write.key, null);
+                continue;
+            }
+            const record = recordFromWrite(write, decoded, block.blockNumber);
+            if (record) {
+                setDocument(channel, write.key, record);
+            }
+        }
+    }
+
+    channel.index.dirty = true;
+}
+
+// Handle one block from the event stream: index it, advance the checkpoint and
+// hand it to live stream subscribers
+function processBlock(channel, blockBytes) {
+    const block = decodeBlock(blockBytes);
+    if (block.blockNumber < channel.index.nextBlock) {
+        return;
+    }
+
+    if (indexerSettings.enabled) {
+        indexBlock(channel, block);
+    }
+    channel.index.nextBlock = block.blockNumber + 1;
+    channel.index.chainHeight = Math.max(channel.index.chainHeight || 0, channel.index.nextBlock);
+    channel.index.lastBlockAt = new Date().toISOString();
+    publishBlock(channel, block);
+}
+
+function updateIndexerStatus(channel) {
+    if (channel.index.chainHeight !== null && channel.index.nextBlock >= channel.index.chainHeight) {
+        channel.index.status = 'live';
+    } else {
+        channel.index.status = 'catching-up';
+    }
+}
+
+// Follow the block event stream from the checkpoint, forever. When the stream
+// breaks (peer restart, reconnect) wait and resume from the last indexed block.
+async function runIndexer(channel) {
+    while (!channel.index.stopped) {
+        try {
+            const { network } = await getConnection(channel);
+            channel.index.chainHeight = await getChainHeight(network);
+            if (channel.index.nextBlock === null) {
+                channel.index.nextBlock = channel.index.chainHeight;
+            }
+            updateIndexerStatus(channel);
+
+            log.info(`${indexerSettings.enabled ? 'Indexer' : 'Live stream'} following block events`, { channel: channel.name, fromBlock: channel.index.nextBlock, chainHeight: channel.index.chainHeight });
+            channel.index.events = await network.getBlockEvents({ startBlock: BigInt(channel.index.nextBlock) });
+
+            for await (const block of channel.index.events) {
+                processBlock(channel, block.serializeBinary());
+                updateIndexerStatus(channel);
+            }
+        } catch (error) {
+            if (channel.index.stopped) break;
+            channel.index.status = 'retrying';
+            channel.index.lastError = error.message;
+            log.error('Indexer stream failed', { channel: channel.name, error });
+        } finally {
+            if (channel.index.events) {
+                channel.index.events.close();
+                channel.index.events = null;
+            }
+        }
+
+        if (!channel.index.stopped) {
+            await new Promise(resolve => setTimeout(resolve, indexerSettings.retryDelayMs).unref());
+        }
+    }
+}
+
+// The simulated ledger is rebuilt on every start, and so is its index
+function indexPersisted() {
+    return indexerSettings.enabled && backendSettings.backend !== 'simulated';
+}
+
+function startIndexer(channel) {
+    if (indexPersisted()) {
+        loadIndex(channel);
+        setInterval(() => saveIndex(channel), indexerSettings.saveIntervalMs).unref();
+    } else if (indexerSettings.enabled) {
+        log.info('Ledger index kept in memory for the simulated network', { channel: channel.name });
+    } else {
+        log.info('Ledger indexer disabled, lookups query the chaincode directly', { channel: channel.name });
+        channel.index.nextBlock = null;
+    }
+
+    channel.index.stopped = false;
+    channel.index.status = 'catching-up';
+    runIndexer(channel);
+
+    // Keep the chain height fresh so the reported lag is accurate between blocks
+    setInterval(async () => {
+        try {
+            const { network } = await getConnection(channel);
+            channel.index.chainHeight = await getChainHeight(network);
+            updateIndexerStatus(channel);
+        } catch (error) {
+            channel.index.lastError = error.message;
+        }
+    }, indexerSettings.heightPollIntervalMs).unref();
+}
+
+async function stopIndexer(channel) {
+    channel.index.stopped = true;
+    if (channel.index.events) {
+        channel.index.events.close();
+    }
+    if (indexPersisted()) {
+        await saveIndex(channel);
+    }
+}
+
+function getIndexStatus(channel) {
+    if (!indexerSettings.enabled) {
+        return { enabled: false };
+    }
+
+    return {
+        enabled: true,
+        status: channel.index.status,
+        indexedHeight: channel.index.nextBlock,
+        chainHeight: channel.index.chainHeight,
+        lag: channel.index.chainHeight === null ? null : Math.max(0, channel.index.chainHeight - channel.index.nextBlock),
+        documents: channel.index.documents.size,
+        lastBlockAt: channel.index.lastBlockAt,
+        lastSavedAt: channel.index.lastSavedAt,
+        lastError: channel.index.lastError
+    };
+}
+
+function isIndexCurrent(channel) {
+    return indexerSettings.enabled && channel.index.status === 'live';
+}
+
+// 9. REGISTRY LOOKUPS
+// Served from the index in O(1) once it has caught up with the chain. Before
+// that the chaincode answers: a hit may since have been updated or deleted,
+// a miss registered in a block not indexed yet.
+async function findDocument(channel, documentId) {
+    if (isIndexCurrent(channel)) {
+        return channel.index.documents.get(documentId) || null;
+    }
+
+    const { contract } = await getConnection(channel);
+    const data = await queryAllHashes(contract);
+    return (data.data || []).find(item => item.documentID === documentId) || null;
+}
+
+async function findByHash(channel, hashValue) {
+    const hash = normalizeHash(hashValue);
+
+    if (isIndexCurrent(channel)) {
+        const documentIds = channel.index.hashes.get(hash);
+        return documentIds ? channel.index.documents.get(documentIds.values().next().value) : null;
+    }
+
+    const { contract } = await getConnection(channel);
+    const data = await queryAllHashes(contract);
+    return (data.data || []).find(item => item.hash && normalizeHash(item.hash) === hash) || null;
+}
+
+async function listDocuments(channel) {
+    if (isIndexCurrent(channel)) {
+        return [...channel.index.documents.values()]
+            .sort((a, b) => (a.documentID < b.documentID ? -1 : a.documentID > b.documentID ? 1 : 0));
+    }
+
+    const { contract } = await getConnection(channel);
+    const data = await queryAllHashes(contract);
+    return data.data || [];
+}
+
+// 10. LIST QUERIES (pagination, filters, sorting)
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const SORT_FIELDS = ['timestamp', 'documentID'];
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === 2 ? values : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Parse a date filter. A bare date as upper bound covers that whole day.
+function parseDateFilter(value, endOfDay) {
+    if (value === undefined) return undefined;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Validate the list query string. Returns { options } or { error }.
+function parseListQuery(query) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    const sort = query.sort || 'timestamp';
+    if (!SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+
+    const order = query.order || (sort === 'timestamp' ? 'desc' : 'asc');
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be asc or desc' };
+    }
+
+    const from = parseDateFilter(query.from, false);
+    const to = parseDateFilter(query.to, true);
+    if (from === null || to === null) {
+        return { error: 'from and to must be ISO 8601 dates' };
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor || typeof cursor[0] !== (sort === 'timestamp' ? 'number' : 'string')) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return {
+        options: {
+            limit,
+            sort,
+            order,
+            from,
+            to,
+            cursor,
+            hashPrefix: query.hashPrefix ? query.hashPrefix.toLowerCase() : undefined,
+            documentIdPrefix: query.documentIdPrefix,
+            txId: query.txId
+        }
+    };
+}
+
+function recordTime(record) {
+    const time = Date.parse(record.timestamp);
+    return Number.isNaN(time) ? 0 : time;
+}
+
+// [sort field value, documentID] - documentID breaks ties so every record has
+// a unique position, which is what a cursor points at
+function sortKey(record, sort) {
+    const value = sort === 'timestamp' ? recordTime(record) : String(record.documentID);
+    return [value, String(record.documentID)];
+}
+
+function compareKeys(a, b, order) {
+    const direction = order === 'desc' ? -1 : 1;
+    for (let i = 0; i < 2; i++) {
+        if (a[i] !== b[i]) {
+            return (a[i] < b[i] ? -1 : 1) * direction;
+        }
+    }
+    return 0;
+}
+
+function matchesFilters(record, options) {
+    if (options.documentIdPrefix && !String(record.documentID).startsWith(options.documentIdPrefix)) return false;
+    if (options.hashPrefix && !String(record.hash || '').toLowerCase().startsWith(options.hashPrefix)) return false;
+    if (options.txId && record.txId !== options.txId) return false;
+    if (options.from !== undefined && recordTime(record) < options.from) return false;
+    if (options.to !== undefined && recordTime(record) > options.to) return false;
+    return true;
+}
+
+// Filter, sort and page a list of registry records (keyset pagination)
+function queryDocuments(records, options) {
+    const matching = records
+        .filter(record => matchesFilters(record, options))
+        .map(record => ({ record, key: sortKey(record, options.sort) }))
+        .sort((a, b) => compareKeys(a.key, b.key, options.order));
+
+    let start = 0;
+    if (options.cursor) {
+        start = matching.findIndex(entry => compareKeys(entry.key, options.cursor, options.order) > 0);
+        if (start === -1) start = matching.length;
+    }
+
+    const page = matching.slice(start, start + options.limit);
+    const hasMore = start + page.length < matching.length;
+
+    return {
+        total: matching.length,
+        data: page.map(entry => entry.record),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null
+    };
+}
+
+// 11. DOCUMENT VERIFICATION
+// Uploaded files are hashed as they stream in and never buffered or stored.
+const verifySettings = {
+    hashAlgorithm: 'sha256',
+    maxFileSizeBytes: 50 * 1024 * 1024,
+    batchMaxItems: 10000,
+    batchSyncLimit: 100,
+    batchMaxBytes: 4 * 1024 * 1024,
+    ...config.verify
+};
+
+// Node digest name -> WebCrypto name, for hashing in the browser
+const WEBCRYPTO_ALGORITHMS = {
+    sha1: 'SHA-1',
+    sha256: 'SHA-256',
+    sha384: 'SHA-384',
+    sha512: 'SHA-512'
+};
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Hash a raw request body (application/octet-stream)
+function hashRawUpload(req) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(verifySettings.hashAlgorithm);
+        let size = 0;
+
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > verifySettings.maxFileSizeBytes) {
+                // The rest of the body is discarded until the 413 closes the connection
+                req.off('data', onData);
+                req.resume();
+                reject(httpError(413, `File exceeds the ${verifySettings.maxFileSizeBytes} byte limit`));
+                return;
+            }
+            hash.update(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve({ hash: hash.digest('hex'), size, fileName: null }));
+        req.on('error', reject);
+    });
+}
+
+// Hash the first file of a multipart/form-data upload
+function hashMultipartUpload(req) {
+    return new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { files: 1, fileSize: verifySettings.maxFileSizeBytes }
+            });
+        } catch (error) {
+            reject(httpError(400, error.message));
+            return;
+        }
+
+        let result = null;
+        let failed = false;
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            req.unpipe(parser);
+            req.resume();
+            reject(error);
+        };
+
+        parser.on('file', (fieldName, file, info) => {
+            const hash = crypto.createHash(verifySettings.hashAlgorithm);
+            let size = 0;
+
+            file.on('data', (chunk) => {
+                size += chunk.length;
+                hash.update(chunk);
+            });
+            file.on('limit', () => {
+                fail(httpError(413, `File exceeds the ${verifySettings.maxFileSizeBytes} byte limit`));
+            });
+            file.on('end', () => {
+                result = { hash: hash.digest('hex'), size, fileName: info.filename || null };
+            });
+        });
+        parser.on('error', error => fail(httpError(400, error.message)));
+        parser.on('close', () => {
+            if (failed) return;
+            if (!result) {
+                reject(httpError(400, 'No file found in upload'));
+                return;
+            }
+            resolve(result);
+        });
+
+        req.pipe(parser);
+    });
+}
+
+// Look a hash up on the ledger and build the verification verdict
+async function verifyHash(channel, hashValue) {
+    const found = await findByHash(channel, hashValue);
+    if (!found) {
+        return { match: false, hash: hashValue };
+    }
+
+    let blockNumber = found.blockNumber !== undefined ? found.blockNumber : null;
+    if (blockNumber === null && found.txId) {
+        const { network } = await getConnection(channel);
+        const blockInfo = await getBlockInfoFromTxId(network, found.txId);
+        blockNumber = blockInfo.success ? blockInfo.blockNumber : null;
+    }
+
+    return {
+        match: true,
+        hash: hashValue,
+        documentID: found.documentID,
+        txId: found.txId || null,
+        blockNumber,
+        timestamp: found.timestamp || null
+    };
+}
+
+// 12. BACKGROUND JOBS
+// Long-running work (audits, batch checks) runs in the background; clients
+// poll the job for progress. Jobs live in memory and expire after a while.
+// At most MAX_JOBS are kept: the oldest finished job makes room for a new one
+// early, and when all of them are still running new jobs are refused.
+const JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_JOBS = 100;
+const jobs = new Map();
+
+// owner is the rate limit bucket of the client that may read the job, or null
+// for a job anyone may read
+function createJob(type, total, run, owner = null) {
+    if (jobs.size >= MAX_JOBS) {
+        const finished = [...jobs.values()].find(job => job.status !== 'running');
+        if (!finished) {
+            throw httpError(503, 'Too many background jobs running, try again later');
+        }
+        jobs.delete(finished.id);
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        owner,
+        status: 'running',        // running | completed | failed
+        total,
+        processed: 0,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        result: null,
+        error: null
+    };
+    jobs.set(job.id, job);
+
+    run(job)
+        .then((result) => {
+            job.result = result;
+            job.status = 'completed';
+        })
+        .catch((error) => {
+            log.error('Job failed', { jobId: job.id, type, error });
+            job.error = error.message;
+            job.status = 'failed';
+        })
+        .finally(() => {
+            job.finishedAt = new Date().toISOString();
+            setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+        });
+
+    return job;
+}
+
+function jobStatus(job) {
+    return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        progress: {
+            processed: job.processed,
+            total: job.total,
+            percent: job.total ? Math.floor((job.processed / job.total) * 100) : 100
+        },
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        result: job.result
+    };
+}
+
+// 13. CHAIN INTEGRITY AUDIT
+// Fabric links blocks by the SHA-256 of the ASN.1 DER encoding of
+// SEQUENCE { INTEGER number, OCTET STRING previous_hash, OCTET STRING data_hash },
+// and data_hash is the SHA-256 of all data entries concatenated.
+const AUDIT_SYNC_LIMIT = 100;
+const AUDIT_BATCH_SIZE = 10;
+
+function asn1Length(length) {
+    if (length < 0x80) {
+        return Buffer.from([length]);
+    }
+    const bytes = [];
+    for (let n = length; n > 0; n = Math.floor(n / 256)) {
+        bytes.unshift(n % 256);
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function asn1Element(tag, content) {
+    return Buffer.concat([Buffer.from([tag]), asn1Length(content.length), content]);
+}
+
+// Minimal two's complement encoding of a non-negative integer
+function asn1Integer(value) {
+    let hex = BigInt(value).toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+    let bytes = Buffer.from(hex, 'hex');
+    if (bytes[0] & 0x80) {
+        bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    }
+    return asn1Element(0x02, bytes);
+}
+
+function blockHeaderBytes(blockNumber, previousHash, dataHash) {
+    return asn1Element(0x30, Buffer.concat([
+        asn1Integer(blockNumber),
+        asn1Element(0x04, Buffer.from(previousHash || '', 'hex')),
+        asn1Element(0x04, Buffer.from(dataHash || '', 'hex'))
+    ]));
+}
+
+function blockHeaderHash(blockNumber, previousHash, dataHash) {
+    return crypto.createHash('sha256').update(blockHeaderBytes(blockNumber, previousHash, dataHash)).digest('hex');
+}
+
+function blockDataHash(envelopes) {
+    return crypto.createHash('sha256').update(Buffer.concat(envelopes)).digest('hex');
+}
+
+async function fetchBlockBytes(network, blockNumber) {
+    const qscc = network.getContract('qscc');
+    return qscc.evaluateTransaction('GetBlockByNumber', network.getName(), String(blockNumber));
+}
+
+// Walk blocks [from, to], recomputing each header and data hash. Every break is
+// reported with its block number and the field that does not match.
+async function auditChain(network, from, to, chainInfo, job) {
+    const breaks = [];
+    let previousHeaderHash = null;
+
+    if (from > 0) {
+        const previous = decodeBlock(await fetchBlockBytes(network, from - 1));
+        previousHeaderHash = blockHeaderHash(previous.blockNumber, previous.previousHash, previous.dataHash);
+    }
+
+    for (let start = from; start <= to; start += AUDIT_BATCH_SIZE) {
+        const numbers = [];
+        for (let n = start; n <= Math.min(to, start + AUDIT_BATCH_SIZE - 1); n++) {
+            numbers.push(n);
+        }
+        const blocks = await Promise.all(numbers.map(n => fetchBlockBytes(network, n)));
+
+        blocks.forEach((blockBytes, i) => {
+            const expectedNumber = numbers[i];
+            const block = decodeBlock(blockBytes);
+
+            if (block.blockNumber !== expectedNumber) {
+                breaks.push({ blockNumber: expectedNumber, field: 'number', expected: expectedNumber, actual: block.blockNumber });
+            }
+
+            const dataHash = blockDataHash(block.envelopes);
+            if (dataHash !== block.dataHash) {
+                breaks.push({ blockNumber: expectedNumber, field: 'data_hash', expected: dataHash, actual: block.dataHash });
+            }
+
+            if (previousHeaderHash !== null && previousHeaderHash !== block.previousHash) {
+                breaks.push({ blockNumber: expectedNumber, field: 'previous_hash', expected: previousHeaderHash, actual: block.previousHash });
+            }
+
+            previousHeaderHash = blockHeaderHash(block.blockNumber, block.previousHash, block.dataHash);
+        });
+
+        if (job) {
+            job.processed += numbers.length;
+        }
+    }
+
+    // The tip is also checked against the hash the peer reports for it
+    if (to === chainInfo.height - 1 && previousHeaderHash !== chainInfo.currentBlockHash) {
+        breaks.push({ blockNumber: to, field: 'current_block_hash', expected: previousHeaderHash, actual: chainInfo.currentBlockHash });
+    }
+
+    return {
+        channel: network.getName(),
+        from,
+        to,
+        chainHeight: chainInfo.height,
+        blocksChecked: to - from + 1,
+        intact: breaks.length === 0,
+        breaks
+    };
+}
+
+// 14. DOCUMENT HISTORY
+// Prefer the chaincode's own history query (GetHistoryForKey under the hood).
+// Chaincodes without one fall back to the write sets the indexer decoded, or to
+// a scan of every block when the indexer is off. The history function is set
+// per channel (see createChannel).
+
+// Gateway errors keep the chaincode's message in details[]
+function errorText(error) {
+    const details = (error.details || []).map(detail => detail.message);
+    return [error.message, ...details].join(' | ');
+}
+
+function isMissingFunctionError(error) {
+    return /function .*(not found|does not exist)|unknown function|invalid function/i.test(errorText(error));
+}
+
+function historyTimestamp(value) {
+    if (!value) return null;
+    if (typeof value === 'object' && value.seconds !== undefined) {
+        return new Date(Number(value.seconds) * 1000 + Math.floor((value.nanos || 0) / 1e6)).toISOString();
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Accepts the usual shapes of a chaincode history result
+function normalizeChaincodeHistory(result) {
+    const items = Array.isArray(result) ? result : (result && result.data) || [];
+
+    return items.map((item) => {
+        let value = item.value !== undefined ? item.value : (item.Value !== undefined ? item.Value : item.record);
+        if (typeof value === 'string') {
+            try { value = JSON.parse(value); } catch (error) { /* keep the raw string */ }
+        }
+        return {
+            txId: item.txId || item.TxId || null,
+            blockNumber: null,
+            timestamp: historyTimestamp(item.timestamp || item.Timestamp),
+            mspId: null,
+            isDelete: Boolean(item.isDelete !== undefined ? item.isDelete : item.IsDelete),
+            value: value === undefined ? null : value
+        };
+    });
+}
+
+// Fill in block number and submitting MSP, from the index when possible
+async function enrichHistory(channel, network, entries) {
+    const blocks = new Map();
+
+    for (const entry of entries) {
+        const indexed = entry.txId && channel.index.transactions.get(entry.txId);
+        if (indexed) {
+            entry.blockNumber = indexed.blockNumber;
+            entry.mspId = indexed.mspId;
+            continue;
+        }
+        if (!entry.txId) continue;
+
+        if (!blocks.has(entry.txId)) {
+            blocks.set(entry.txId, await getBlockInfoFromTxId(network, entry.txId));
+        }
+        const blockInfo = blocks.get(entry.txId);
+        if (blockInfo.success) {
+            const tx = blockInfo.transactions.find(t => t.txId === entry.txId);
+            entry.blockNumber = blockInfo.blockNumber;
+            entry.mspId = tx && tx.creator ? tx.creator.mspId : null;
+        }
+    }
+    return entries;
+}
+
+// Walk every block and collect the committed writes to one key
+async function scanDocumentHistory(channel, network, documentId) {
+    const height = await getChainHeight(network);
+    const history = [];
+
+    for (let start = 0; start < height; start += AUDIT_BATCH_SIZE) {
+        const numbers = [];
+        for (let n = start; n < Math.min(height, start + AUDIT_BATCH_SIZE); n++) {
+            numbers.push(n);
+        }
+        const blocks = await Promise.all(numbers.map(n => fetchBlockBytes(network, n)));
+
+        for (const blockBytes of blocks) {
+            const block = decodeBlock(blockBytes);
+            for (const { decoded, summary, writes } of registryTransactions(channel, block)) {
+                if (!summary.valid) continue;
+                writes
+                    .filter(write => write.key === documentId)
+                    .forEach(write => history.push(historyEntry(write, decoded, block.blockNumber)));
+            }
+        }
+    }
+    return history;
+}
+
+async function getDocumentHistory(channel, documentId) {
+    const { network, contract } = await getConnection(channel);
+
+    if (channel.historySupported) {
+        try {
+            const resultBytes = await contract.evaluateTransaction(channel.historyFunction, documentId);
+            const entries = normalizeChaincodeHistory(JSON.parse(new TextDecoder().decode(resultBytes)));
+            await enrichHistory(channel, network, entries);
+            entries.sort((a, b) => (a.blockNumber ?? 0) - (b.blockNumber ?? 0)
+                || String(a.timestamp).localeCompare(String(b.timestamp)));
+            return { source: 'chaincode', history: entries };
+        } catch (error) {
+            if (isMissingFunctionError(error)) {
+                log.info('Chaincode has no history function, using decoded write sets for history', { channel: channel.name, chaincode: channel.chaincode, function: channel.historyFunction });
+                channel.historySupported = false;
+            } else {
+                log.error('Chaincode history query failed, using decoded write sets', { channel: channel.name, error });
+            }
+        }
+    }
+
+    if (indexerSettings.enabled) {
+        return { source: 'index', history: channel.index.history.get(documentId) || [] };
+    }
+
+    log.debug('Scanning blocks for document history', { documentId });
+    return { source: 'ledger-scan', history: await scanDocumentHistory(channel, network, documentId) };
+}
+
+// 15. LIVE EVENT STREAM
+// Every block processed by a channel's indexer loop is turned into stream
+// events on that channel's emitter, so the gateway is followed once no matter
+// how many clients are listening.
+// Event ids are "<blockNumber>-<position>"; a client that reconnects with
+// fromBlock or Last-Event-ID has the blocks it missed replayed from the ledger
+// before it rejoins the live feed.
+const streamSettings = {
+    heartbeatIntervalMs: 15000,
+    maxReplayBlocks: 1000,
+    maxStreamsPerClient: 5,
+    ...config.stream
+};
+
+// Open SSE and WebSocket streams per rate limit bucket ("key:<id>" | "ip:<address>")
+const openStreamCounts = new Map();
+
+// Reserve one of the client's concurrent streams; false when all are in use.
+// Only enforced together with the rate limits.
+function acquireStreamSlot(client) {
+    if (!rateLimitSettings.enabled) {
+        return true;
+    }
+    const open = openStreamCounts.get(client.bucketKey) || 0;
+    if (open >= streamSettings.maxStreamsPerClient) {
+        return false;
+    }
+    openStreamCounts.set(client.bucketKey, open + 1);
+    return true;
+}
+
+function releaseStreamSlot(client) {
+    const open = openStreamCounts.get(client.bucketKey);
+    if (open > 1) {
+        openStreamCounts.set(client.bucketKey, open - 1);
+    } else {
+        openStreamCounts.delete(client.bucketKey);
+    }
+}
+
+const STREAM_EVENT_TYPES = ['block', 'registration', 'chaincode'];
+
+// Chaincode event payloads, as text when they are UTF-8 (see bytesValue)
+function eventPayload(payload) {
+    const { value, encoding } = bytesValue(payload);
+    return { payload: value, payloadEncoding: encoding };
+}
+
+// A write counts as an update when the transaction read the key and found an
+// existing version; chaincodes that write blindly only ever report "registered"
+function registrationAction(write, reads) {
+    if (write.isDelete) return 'deleted';
+    return reads.some(read => read.key === write.key && read.version) ? 'updated' : 'registered';
+}
+
+function ledgerEventsForBlock(channel, block) {
+    const events = [{
+        type: 'block',
+        blockNumber: block.blockNumber,
+        transactionCount: block.transactionCount,
+        validTransactionCount: block.validTransactionCount,
+        dataHash: block.dataHash,
+        previousHash: block.previousHash,
+        timestamp: block.transactions.length ? block.transactions[0].timestamp || null : null
+    }];
+
+    for (const { decoded, summary, writes, reads } of registryTransactions(channel, block)) {
+        if (!summary.valid) continue;
+
+        for (const write of writes) {
+            const value = parseWriteValue(write);
+            const record = value && typeof value === 'object' ? value : null;
+            events.push({
+                type: 'registration',
+                action: registrationAction(write, reads),
+                blockNumber: block.blockNumber,
+                txId: decoded.channelHeader.txId,
+                timestamp: decoded.channelHeader.timestamp,
+                mspId: decoded.signatureHeader.creator.mspId,
+                documentID: write.key,
+                hash: record ? record.hash || null : null,
+                record: write.isDelete ? null : value
+            });
+        }
+    }
+
+    // Fabric only delivers chaincode events of valid transactions
+    block.decodedEnvelopes.forEach((decoded, txNumber) => {
+        if (!decoded || !decoded.endorserTransaction || !block.transactions[txNumber].valid) return;
+
+        const event = decodeChaincodeEvent(decoded.endorserTransaction.chaincodeAction.events);
+        if (!event) return;
+        events.push({
+            type: 'chaincode',
+            blockNumber: block.blockNumber,
+            txId: event.txId || decoded.channelHeader.txId,
+            chaincode: event.chaincodeId,
+            eventName: event.eventName,
+            ...eventPayload(event.payload)
+        });
+    });
+
+    return events.map((event, position) => ({ id: `${block.blockNumber}-${position}`, channel: channel.name, ...event }));
+}
+
+function publishBlock(channel, block) {
+    if (channel.ledgerEvents.listenerCount('event') === 0) return;
+    for (const event of ledgerEventsForBlock(channel, block)) {
+        channel.ledgerEvents.emit('event', event);
+    }
+}
+
+// types, documentIdPrefix, fromBlock and lastEventId (the Last-Event-ID header
+// for SSE) -> { options } or { error }
+function parseStreamQuery(query, lastEventIdHeader) {
+    const options = {
+        types: STREAM_EVENT_TYPES,
+        documentIdPrefix: typeof query.documentIdPrefix === 'string' ? query.documentIdPrefix : '',
+        fromBlock: null,
+        after: null
+    };
+
+    if (query.types !== undefined) {
+        options.types = String(query.types).split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = options.types.find(type => !STREAM_EVENT_TYPES.includes(type));
+        if (unknown || options.types.length === 0) {
+            return { error: `types must be a comma-separated list of: ${STREAM_EVENT_TYPES.join(', ')}` };
+        }
+    }
+
+    const lastEventId = query.lastEventId !== undefined ? String(query.lastEventId) : lastEventIdHeader;
+    if (lastEventId) {
+        const match = /^(\d+)-(\d+)$/.exec(lastEventId);
+        if (!match) {
+            return { error: 'lastEventId must look like <blockNumber>-<position>' };
+        }
+        options.fromBlock = Number(match[1]);
+        options.after = { blockNumber: Number(match[1]), position: Number(match[2]) };
+    }
+
+    if (query.fromBlock !== undefined) {
+        options.fromBlock = parseBlockNumber(query.fromBlock);
+        options.after = null;
+        if (options.fromBlock === null) {
+            return { error: 'fromBlock must be a non-negative integer' };
+        }
+    }
+
+    return { options };
+}
+
+function matchesStream(event, options) {
+    if (!options.types.includes(event.type)) return false;
+    if (options.fromBlock !== null && event.blockNumber < options.fromBlock) return false;
+
+    if (options.after && event.blockNumber === options.after.blockNumber) {
+        const position = Number(event.id.split('-')[1]);
+        if (position <= options.after.position) return false;
+    }
+
+    if (options.documentIdPrefix && event.type === 'registration') {
+        return event.documentID.startsWith(options.documentIdPrefix);
+    }
+    return true;
+}
+
+// Subscribe to the live feed straight away and buffer until startStream() has
+// replayed everything before it, so no block falls between replay and live
+function openStream(channel, options) {
+    const liveFrom = channel.index.nextBlock;
+    if (options.fromBlock !== null && liveFrom !== null
+        && liveFrom - options.fromBlock > streamSettings.maxReplayBlocks) {
+        throw httpError(400, `fromBlock is more than ${streamSettings.maxReplayBlocks} blocks behind the chain, use /api/hashes or /api/blocks to catch up`);
+    }
+
+    const stream = { channel, options, liveFrom, send: null, pending: [], closed: false };
+    stream.listener = (event) => {
+        if (!matchesStream(event, options)) return;
+        if (stream.send) {
+            stream.send(event);
+        } else {
+            stream.pending.push(event);
+        }
+    };
+    channel.ledgerEvents.on('event', stream.listener);
+    return stream;
+}
+
+async function startStream(stream, send) {
+    const { fromBlock } = stream.options;
+
+    if (fromBlock !== null) {
+        const { network } = await getConnection(stream.channel);
+        const replayTo = stream.liveFrom !== null ? stream.liveFrom : await getChainHeight(network);
+
+        for (let blockNumber = fromBlock; blockNumber < replayTo && !stream.closed; blockNumber++) {
+            const block = decodeBlock(await fetchBlockBytes(network, blockNumber));
+            for (const event of ledgerEventsForBlock(stream.channel, block)) {
+                if (matchesStream(event, stream.options)) send(event);
+            }
+        }
+        stream.options.fromBlock = Math.max(fromBlock, replayTo);
+    }
+
+    for (const event of stream.pending) {
+        if (matchesStream(event, stream.options)) send(event);
+    }
+    stream.pending = [];
+    stream.send = send;
+}
+
+function closeStream(stream) {
+    stream.closed = true;
+    stream.channel.ledgerEvents.off('event', stream.listener);
+}
+
+function tooManyStreams() {
+    return `Too many open streams (at most ${streamSettings.maxStreamsPerClient} per client)`;
+}
+
+function formatSseEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// WebSocket clients connect to /api/stream/ws (or /api/<channel>/stream/ws)
+// with the same query parameters
+const streamSocketServer = new WebSocketServer({ noServer: true });
+
+// message is the error text, or a whole error body such as a rate limit refusal
+function rejectUpgrade(socket, status, message, headers = {}) {
+    const body = JSON.stringify(typeof message === 'string' ? { success: false, error: message } : message);
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+        'Content-Type: application/json\r\n' +
+        Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('') +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+        'Connection: close\r\n\r\n' + body);
+}
+
+function upgradeToStream(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = /^\/api(?:\/([^/]+))?\/stream\/ws$/.exec(url.pathname);
+    if (!match) {
+        return rejectUpgrade(socket, 404, 'Not found');
+    }
+
+    let channelName = null;
+    if (match[1]) {
+        try {
+            channelName = decodeURIComponent(match[1]);
+        } catch (error) {
+            return rejectUpgrade(socket, 400, 'Malformed channel name in path');
+        }
+    }
+    const channel = channelName === null ? defaultChannel : findChannel(channelName);
+    if (!channel) {
+        return rejectUpgrade(socket, 404, `Unknown channel '${match[1]}'`);
+    }
+
+    // Upgrades bypass the Express middleware, so the key check and rate limit run here
+    const client = resolveApiClient(req.headers['x-api-key'], proxyAddr(req, app.get('trust proxy fn')));
+    if (!client) {
+        return rejectUpgrade(socket, 401, 'Invalid API key');
+    }
+    if (rateLimitSettings.enabled) {
+        const { headers, refusal } = chargeRequest(client);
+        if (refusal) {
+            return rejectUpgrade(socket, 429, refusal, headers);
+        }
+    }
+
+    const { options, error } = parseStreamQuery(Object.fromEntries(url.searchParams), null);
+    if (error) {
+        return rejectUpgrade(socket, 400, error);
+    }
+
+    if (!acquireStreamSlot(client)) {
+        return rejectUpgrade(socket, 429, tooManyStreams());
+    }
+    // The socket closes however the stream ends, including a refused handshake
+    socket.once('close', () => releaseStreamSlot(client));
+
+    let stream;
+    try {
+        stream = openStream(channel, options);
+    } catch (error) {
+        return rejectUpgrade(socket, error.status || 500, error.message);
+    }
+    // Not on the WebSocket: a handshake that fails never opens one
+    socket.once('close', () => closeStream(stream));
+
+    streamSocketServer.handleUpgrade(req, socket, head, (ws) => {
+        const heartbeat = setInterval(() => ws.ping(), streamSettings.heartbeatIntervalMs);
+        ws.on('close', () => clearInterval(heartbeat));
+        ws.on('error', () => ws.terminate());
+
+        startStream(stream, (event) => {
+            if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(event));
+        }).catch((error) => {
+            log.error('Stream replay failed', { error });
+            ws.close(1011, error.message.slice(0, 120));
+        });
+    });
+}
+
+// The 'upgrade' listener runs outside Express: anything it throws would take
+// the process down, so every failure ends as an error response on the socket
+function handleStreamUpgrade(req, socket, head) {
+    socket.on('error', () => socket.destroy());
+    try {
+        upgradeToStream(req, socket, head);
+    } catch (error) {
+        log.error('Stream upgrade failed', { error });
+        rejectUpgrade(socket, 500, 'Internal error');
+    }
+}
+
+// 16. GRAPHQL
+// One round trip for screens that would otherwise chain /api/hash, /api/block
+// and /api/blockchain/info. Resolvers go through the same helpers as the REST
+// routes; the loaders below memoise each Fabric call for the duration of a
+// request, so a list of fifty records sharing a block fetches that block once.
+const graphqlSchema = buildSchema(`
+    enum SortField { timestamp documentID }
+    enum SortOrder { asc desc }
+
+    input HashFilter {
+        documentIdPrefix: String
+        hashPrefix: String
+        txId: String
+        "ISO 8601 date or timestamp, inclusive"
+        from: String
+        "ISO 8601 date or timestamp, inclusive"
+        to: String
+    }
+
+    type Query {
+        hash(documentID: String!): HashRecord
+        hashByValue(hash: String!): HashRecord
+        hashes(first: Int, after: String, sort: SortField, order: SortOrder, filter: HashFilter): HashConnection!
+        transaction(txId: String!): Transaction
+        block(number: Int!): Block
+        "At most ${MAX_BLOCK_RANGE} blocks, inclusive"
+        blocks(from: Int!, to: Int!): [Block!]!
+        channel: Channel!
+    }
+
+    type HashConnection {
+        totalCount: Int!
+        nodes: [HashRecord!]!
+        pageInfo: PageInfo!
+    }
+
+    type PageInfo {
+        endCursor: String
+        hasNextPage: Boolean!
+    }
+
+    type HashRecord {
+        documentID: String!
+        hash: String
+        timestamp: String
+        txId: String
+        transaction: Transaction
+    }
+
+    type Creator {
+        mspId: String
+        subject: String
+    }
+
+    type ChaincodeCall {
+        name: String
+        function: String
+    }
+
+    type Transaction {
+        txId: String
+        txNumber: Int!
+        type: String
+        timestamp: String
+        creator: Creator
+        chaincode: ChaincodeCall
+        validationCode: String!
+        valid: Boolean!
+        error: String
+        block: Block!
+    }
+
+    type Block {
+        number: Int!
+        previousHash: String
+        dataHash: String
+        transactionCount: Int!
+        validTransactionCount: Int!
+        size: Int!
+        transactions: [Transaction!]!
+        channel: Channel!
+    }
+
+    type Peer {
+        name: String!
+        endpoint: String!
+        hostAlias: String
+    }
+
+    type Channel {
+        name: String!
+        chaincode: String!
+        mspId: String!
+        height: Int!
+        latestBlockNumber: Int
+        currentBlockHash: String
+        previousBlockHash: String
+        latestBlockTimestamp: String
+        totalDocuments: Int!
+        peer: Peer!
+        latestBlock: Block
+    }
+`);
+
+function createGraphqlLoaders(channel) {
+    const cache = new Map();
+    const once = (key, load) => {
+        if (!cache.has(key)) {
+            cache.set(key, load());
+        }
+        return cache.get(key);
+    };
+
+    const loaders = {
+        documents: () => once('documents', () => listDocuments(channel)),
+
+        document: documentId => isIndexCurrent(channel)
+            ? findDocument(channel, documentId)
+            : loaders.documents().then(records => records.find(record => record.documentID === documentId) || null),
+
+        documentByHash: hash => isIndexCurrent(channel)
+            ? findByHash(channel, hash)
+            : loaders.documents().then(records => records.find(record => record.hash && normalizeHash(record.hash) === normalizeHash(hash)) || null),
+
+        chainInfo: () => once('chainInfo', async () => {
+            const { network, contract } = await getConnection(channel);
+            const info = await getChainInfo(network, contract, channel);
+            if (!info.success) throw new Error(info.error);
+            return info;
+        }),
+
+        blockByNumber: blockNumber => once(`block:${blockNumber}`, async () => {
+            const { network } = await getConnection(channel);
+            const block = await getBlockByNumber(network, blockNumber);
+            if (!block.success) throw new Error(block.error);
+            return block;
+        }),
+
+        // A block found by txId is also cached under its number
+        blockByTxId: txId => once(`tx:${txId}`, async () => {
+            const { network } = await getConnection(channel);
+            const block = await getBlockInfoFromTxId(network, txId);
+            if (!block.success) throw new Error(block.error);
+            if (!cache.has(`block:${block.blockNumber}`)) {
+                cache.set(`block:${block.blockNumber}`, Promise.resolve(block));
+            }
+            return block;
+        })
+    };
+    return loaders;
+}
+
+// Linked fields are methods; graphql-js calls them with (args, context)
+function hashRecordNode(record) {
+    return {
+        ...record,
+        transaction: async (args, loaders) => {
+            if (!record.txId) return null;
+            const block = await loaders.blockByTxId(record.txId);
+            const tx = block.transactions.find(item => item.txId === record.txId);
+            return tx ? transactionNode(tx, block) : null;
+        }
+    };
+}
+
+function transactionNode(tx, block) {
+    return {
+        ...tx,
+        block: () => blockNode(block)
+    };
+}
+
+function blockNode(block) {
+    return {
+        number: block.blockNumber,
+        previousHash: block.previousBlockHash,
+        dataHash: block.dataHash,
+        transactionCount: block.transactionCount,
+        validTransactionCount: block.validTransactionCount,
+        size: block.blockSize,
+        transactions: () => block.transactions.map(tx => transactionNode(tx, block)),
+        channel: (args, loaders) => loaders.chainInfo().then(channelNode)
+    };
+}
+
+function channelNode(info) {
+    return {
+        ...info,
+        name: info.channel,
+        latestBlock: async (args, loaders) => info.latestBlockNumber === null
+            ? null
+            : blockNode(await loaders.blockByNumber(info.latestBlockNumber))
+    };
+}
+
+const graphqlRoot = {
+    hash: async ({ documentID }, loaders) => {
+        const record = await loaders.document(documentID);
+        return record ? hashRecordNode(record) : null;
+    },
+
+    hashByValue: async ({ hash }, loaders) => {
+        const record = await loaders.documentByHash(hash);
+        return record ? hashRecordNode(record) : null;
+    },
+
+    hashes: async (args, loaders) => {
+        const { options, error } = parseListQuery({
+            limit: args.first === undefined ? undefined : String(args.first),
+            cursor: args.after,
+            sort: args.sort,
+            order: args.order,
+            ...args.filter
+        });
+        if (error) throw new GraphQLError(error);
+
+        const page = queryDocuments(await loaders.documents(), options);
+        return {
+            totalCount: page.total,
+            nodes: page.data.map(hashRecordNode),
+            pageInfo: { endCursor: page.nextCursor, hasNextPage: page.nextCursor !== null }
+        };
+    },
+
+    transaction: async ({ txId }, loaders) => {
+        const block = await loaders.blockByTxId(txId);
+        const tx = block.transactions.find(item => item.txId === txId);
+        return tx ? transactionNode(tx, block) : null;
+    },
+
+    block: async ({ number }, loaders) => {
+        if (number < 0) throw new GraphQLError('number must be a non-negative integer');
+        return blockNode(await loaders.blockByNumber(number));
+    },
+
+    blocks: async ({ from, to }, loaders) => {
+        if (from < 0 || to < from) throw new GraphQLError('from and to must satisfy 0 <= from <= to');
+        if (to - from + 1 > MAX_BLOCK_RANGE) throw new GraphQLError(`At most ${MAX_BLOCK_RANGE} blocks per query`);
+
+        const numbers = Array.from({ length: to - from + 1 }, (_, i) => from + i);
+        return Promise.all(numbers.map(async n => blockNode(await loaders.blockByNumber(n))));
+    },
+
+    channel: (args, loaders) => loaders.chainInfo().then(channelNode)
+};
+
+// 17. REGISTRY EXPORT
+// Rows are written one at a time and wait for the socket to drain, so a large
+// registry never turns into one big response string. The chain height the
+// export was taken at travels in the X-Chain-Height header, the file name and,
+// for JSON, the body.
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    json: { contentType: 'application/json', extension: 'json' }
+};
+const EXPORT_COLUMNS = ['documentID', 'hash', 'timestamp', 'txId'];
+const EXPORT_EXTRA_COLUMNS = ['blockNumber', 'validationCode'];
+
+// format, include and the /api/hashes filters -> { options } or { error }
+function parseExportQuery(query) {
+    const format = query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
+
+    const include = query.include ? String(query.include).split(',').map(column => column.trim()).filter(Boolean) : [];
+    const unknown = include.find(column => !EXPORT_EXTRA_COLUMNS.includes(column));
+    if (unknown) {
+        return { error: `include must be a comma-separated list of: ${EXPORT_EXTRA_COLUMNS.join(', ')}` };
+    }
+
+    const { options, error } = parseListQuery({ ...query, limit: undefined, cursor: undefined });
+    if (error) {
+        return { error };
+    }
+
+    return { options: { ...options, limit: Infinity, format, include } };
+}
+
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR) gets
+// a leading ' and quotes, so an exported document ID cannot inject one
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        return `"'${text.replace(/"/g, '""')}"`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Block number and validation code of a registry transaction: from the index
+// when it has the transaction, otherwise from the block that contains it
+function createTxInfoLookup(channel) {
+    const cache = new Map();
+
+    return (txId) => {
+        if (!txId) return Promise.resolve(null);
+
+        const indexed = indexerSettings.enabled ? channel.index.transactions.get(txId) : null;
+        if (indexed) {
+            return Promise.resolve({ blockNumber: indexed.blockNumber, validationCode: indexed.validationCode });
+        }
+
+        if (!cache.has(txId)) {
+            cache.set(txId, (async () => {
+                const { network } = await getConnection(channel);
+                const block = await getBlockInfoFromTxId(network, txId);
+                if (!block.success) return null;
+                const tx = block.transactions.find(item => item.txId === txId);
+                return { blockNumber: block.blockNumber, validationCode: tx ? tx.validationCode : null };
+            })());
+        }
+        return cache.get(txId);
+    };
+}
+
+// Waits out backpressure. A client that disconnects meanwhile never drains,
+// so 'close' and 'error' settle it too; callers stop once res is destroyed.
+async function writeChunk(res, chunk) {
+    if (res.destroyed || res.write(chunk)) {
+        return;
+    }
+    await new Promise((resolve) => {
+        const settle = () => {
+            res.off('drain', settle);
+            res.off('close', settle);
+            res.off('error', settle);
+            resolve();
+        };
+        res.on('drain', settle);
+        res.on('close', settle);
+        res.on('error', settle);
+    });
+}
+
+async function streamExport(res, channel, records, options, meta) {
+    const columns = [...EXPORT_COLUMNS, ...options.include];
+    const lookupTx = createTxInfoLookup(channel);
+
+    if (options.format === 'csv') {
+        await writeChunk(res, columns.join(',') + '\r\n');
+    } else if (options.format === 'json') {
+        // Open the metadata object and leave it waiting for the data array
+        const header = JSON.stringify(meta);
+        await writeChunk(res, `${header.slice(0, -1)},"data":[`);
+    }
+
+    for (let i = 0; i < records.length; i++) {
+        if (res.destroyed) return;
+
+        const record = records[i];
+        const row = {};
+        for (const column of EXPORT_COLUMNS) {
+            row[column] = record[column] === undefined ? null : record[column];
+        }
+        if (options.include.length) {
+            const txInfo = await lookupTx(record.txId);
+            for (const column of options.include) {
+                row[column] = txInfo ? txInfo[column] : null;
+            }
+        }
+
+        if (options.format === 'csv') {
+            await writeChunk(res, columns.map(column => csvField(row[column])).join(',') + '\r\n');
+        } else if (options.format === 'ndjson') {
+            await writeChunk(res, JSON.stringify(row) + '\n');
+        } else {
+            await writeChunk(res, (i ? ',' : '') + JSON.stringify(row));
+        }
+    }
+
+    if (options.format === 'json') {
+        await writeChunk(res, ']}');
+    }
+    res.end();
+}
+
+// 18. RESPONSE CACHE
+// Serialized JSON responses, kept in process and evicted least recently used
+// first. Committed blocks never change, so block lookups are kept for good.
+// Everything else is tied to the chain height of the channel(s) it was read
+// from and dropped once the height moves. Those entries are only trusted while
+// the live stream is following the chain, since that is what keeps the height
+// current.
+const cacheSettings = {
+    enabled: true,
+    maxEntries: 1000,
+    maxBytes: 33554432,
+    ...config.cache
+};
+
+const responseCache = {
+    entries: new Map(),
+    bytes: 0,
+    stats: { hits: 0, misses: 0, stale: 0, bypassed: 0, notModified: 0, evictions: 0 }
+};
+
+// "paralite:21,acme:8" for the channels a response was read from, or null
+// when one of them is not live and its height cannot be trusted
+function cacheVersion(watched) {
+    if (watched.some(channel => channel.index.status !== 'live')) {
+        return null;
+    }
+    return watched.map(channel => `${channel.name}:${channel.index.chainHeight}`).join(',');
+}
+
+function evictCacheEntry(key) {
+    const entry = responseCache.entries.get(key);
+    if (entry) {
+        responseCache.entries.delete(key);
+        responseCache.bytes -= entry.size;
+    }
+}
+
+function storeCacheEntry(key, entry) {
+    evictCacheEntry(key);
+    if (entry.size > cacheSettings.maxBytes) {
+        return;
+    }
+
+    responseCache.entries.set(key, entry);
+    responseCache.bytes += entry.size;
+
+    // Map iteration order is insertion order, so the first key is the oldest
+    while (responseCache.entries.size > cacheSettings.maxEntries || responseCache.bytes > cacheSettings.maxBytes) {
+        evictCacheEntry(responseCache.entries.keys().next().value);
+        responseCache.stats.evictions++;
+    }
+}
+
+function sendCacheEntry(req, res, entry) {
+    res.set({
+        'ETag': entry.etag,
+        'Last-Modified': entry.lastModified,
+        'Cache-Control': entry.version === null
+            ? 'public, max-age=31536000, immutable'
+            : 'no-cache',
+        'Content-Type': 'application/json; charset=utf-8'
+    });
+    // Express answers 304 itself when the conditional headers match
+    if (req.fresh) {
+        responseCache.stats.notModified++;
+    }
+    res.send(entry.body);
+}
+
+// A route marks its response as never changing, e.g. a block below the tip
+function markImmutable(res) {
+    res.locals.immutable = true;
+}
+
+// Route middleware. Only successful JSON responses are stored. allChannels
+// ties an unscoped request to the height of every channel (cross-channel
+// search).
+function cacheResponse({ allChannels = false, immutable = false } = {}) {
+    return (req, res, next) => {
+        if (!cacheSettings.enabled) {
+            return next();
+        }
+
+        const watched = allChannels && !req.channelScoped ? [...channels.values()] : [req.channel];
+        const version = cacheVersion(watched);
+        const key = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+        const entry = responseCache.entries.get(key);
+        if (entry && (entry.version === null || entry.version === version)) {
+            // Move it to the back of the eviction order
+            responseCache.entries.delete(key);
+            responseCache.entries.set(key, entry);
+            responseCache.stats.hits++;
+            return sendCacheEntry(req, res, entry);
+        }
+        if (entry) {
+            evictCacheEntry(key);
+            responseCache.stats.stale++;
+        }
+
+        if (!immutable && version === null) {
+            responseCache.stats.bypassed++;
+            return next();
+        }
+        responseCache.stats.misses++;
+
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+            if (res.statusCode !== 200 || !payload || payload.success === false) {
+                return json(payload);
+            }
+
+            const body = JSON.stringify(payload);
+            const cached = {
+                body,
+                size: Buffer.byteLength(body),
+                etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+                lastModified: new Date().toUTCString(),
+                version: immutable || res.locals.immutable === true ? null : version
+            };
+            storeCacheEntry(key, cached);
+            sendCacheEntry(req, res, cached);
+            return res;
+        };
+        next();
+    };
+}
+
+function getCacheStats() {
+    const { hits, misses } = responseCache.stats;
+    return {
+        enabled: cacheSettings.enabled,
+        entries: responseCache.entries.size,
+        bytes: responseCache.bytes,
+        maxEntries: cacheSettings.maxEntries,
+        maxBytes: cacheSettings.maxBytes,
+        ...responseCache.stats,
+        hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null
+    };
+}
+
+// 19. API KEYS AND RATE LIMITING
+// Every /api and /graphql request takes a token from a bucket: one per API key
+// (X-API-Key header), or one per client IP for anonymous requests. The tier of
+// the key sets the refill rate, the burst size, an optional daily quota and
+// whether the heavy endpoints (export, audit) are open to it.
+// Keys are managed with scripts/api-keys.js. The key file only holds their
+// SHA-256 and is re-read whenever it changes. Usage counters are saved to
+// their own file, so daily quotas survive a restart.
+const DEFAULT_TIERS = {
+    public: { requestsPerSecond: 10, burst: 20, requestsPerDay: null, heavy: false },
+    standard: { requestsPerSecond: 25, burst: 50, requestsPerDay: 100000, heavy: true },
+    partner: { requestsPerSecond: 100, burst: 200, requestsPerDay: null, heavy: true }
+};
+
+const rateLimitConfig = config.rateLimit || {};
+const rateLimitSettings = {
+    enabled: true,
+    keysPath: 'data/api-keys.json',
+    usagePath: 'data/api-key-usage.json',
+    anonymousTier: 'public',
+    saveIntervalMs: 10000,
+    ...rateLimitConfig,
+    tiers: Object.fromEntries(
+        Object.entries({ ...DEFAULT_TIERS, ...rateLimitConfig.tiers })
+            .map(([name, tier]) => [name, { ...DEFAULT_TIERS.public, ...DEFAULT_TIERS[name], ...tier }])
+    )
+};
+
+// Behind a reverse proxy, trustProxy makes req.ip the client's address
+if (config.trustProxy !== undefined) {
+    app.set('trust proxy', config.trustProxy);
+}
+
+const rateLimitState = {
+    keys: new Map(),      // SHA-256 of the key -> key record
+    buckets: new Map(),   // "key:<id>" | "ip:<address>" -> token bucket
+    usage: new Map(),     // key id -> usage counters
+    usageDirty: false,
+    saving: null
+};
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Keep the previous keys when the file cannot be read, e.g. mid-write
+function loadApiKeys() {
+    const file = path.resolve(__dirname, rateLimitSettings.keysPath);
+    const keys = new Map();
+
+    if (fs.existsSync(file)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const record of saved.keys || []) {
+                if (record.revoked) {
+                    continue;
+                }
+                if (!rateLimitSettings.tiers[record.tier]) {
+                    log.warn('API key has an unknown tier, ignoring it', { apiKey: record.id, tier: record.tier });
+                    continue;
+                }
+                keys.set(record.hash, record);
+            }
+        } catch (error) {
+            log.error('Could not load API keys', { error });
+            return;
+        }
+    }
+
+    rateLimitState.keys = keys;
+    log.info('Loaded API keys', { count: keys.size });
+}
+
+function loadKeyUsage() {
+    const file = path.resolve(__dirname, rateLimitSettings.usagePath);
+    if (!fs.existsSync(file)) {
+        return;
+    }
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        rateLimitState.usage = new Map(Object.entries(saved.usage || {}));
+    } catch (error) {
+        log.error('Could not load API key usage', { error });
+    }
+}
+
+async function saveKeyUsage() {
+    if (rateLimitState.saving) {
+        return rateLimitState.saving;
+    }
+
+    const file = path.resolve(__dirname, rateLimitSettings.usagePath);
+    const snapshot = { savedAt: new Date().toISOString(), usage: Object.fromEntries(rateLimitState.usage) };
+    rateLimitState.usageDirty = false;
+
+    rateLimitState.saving = (async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(snapshot));
+        await fs.promises.rename(`${file}.tmp`, file);
+    })()
+        .catch((error) => {
+            rateLimitState.usageDirty = true;
+            log.error('Could not save API key usage', { error });
+        })
+        .finally(() => {
+            rateLimitState.saving = null;
+        });
+
+    return rateLimitState.saving;
+}
+
+// Usage counters of a key, with the daily count rolled over at UTC midnight
+function keyUsage(id) {
+    let usage = rateLimitState.usage.get(id);
+    if (!usage) {
+        usage = { requests: 0, rejected: 0, day: null, dayRequests: 0, lastUsedAt: null };
+        rateLimitState.usage.set(id, usage);
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (usage.day !== today) {
+        usage.day = today;
+        usage.dayRequests = 0;
+    }
+    return usage;
+}
+
+// Refill the bucket for the time since it was last touched, then take a token
+function takeToken(bucketKey, tier) {
+    const now = Date.now();
+    let bucket = rateLimitState.buckets.get(bucketKey);
+    if (!bucket) {
+        bucket = { tokens: tier.burst, updatedAt: now, tier };
+        rateLimitState.buckets.set(bucketKey, bucket);
+    }
+
+    bucket.tokens = Math.min(tier.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * tier.requestsPerSecond);
+    bucket.updatedAt = now;
+    bucket.tier = tier;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+        bucket.tokens -= 1;
+    }
+
+    return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil((tier.burst - bucket.tokens) / tier.requestsPerSecond),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / tier.requestsPerSecond)
+    };
+}
+
+// A bucket that has refilled completely is the same as no bucket
+function pruneBuckets() {
+    const now = Date.now();
+    for (const [bucketKey, bucket] of rateLimitState.buckets) {
+        const refilled = bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.tier.requestsPerSecond;
+        if (refilled >= bucket.tier.burst) {
+            rateLimitState.buckets.delete(bucketKey);
+        }
+    }
+}
+
+function secondsUntilUtcMidnight() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Resolve the caller to an API key (or the anonymous tier). Returns null for
+// an unknown key, which is refused rather than treated as anonymous.
+function resolveApiClient(apiKey, ip) {
+    let client;
+    if (!apiKey) {
+        client = { key: null, tierName: rateLimitSettings.anonymousTier, bucketKey: `ip:${ip}` };
+    } else {
+        const record = rateLimitState.keys.get(hashApiKey(apiKey));
+        if (!record) {
+            return null;
+        }
+        client = { key: record, tierName: record.tier, bucketKey: `key:${record.id}` };
+    }
+
+    client.tier = rateLimitSettings.tiers[client.tierName];
+    return client;
+}
+
+function identifyClient(req, res, next) {
+    req.apiClient = resolveApiClient(req.get('X-API-Key'), req.ip);
+    if (!req.apiClient) {
+        return res.status(401).json({ success: false, error: 'Invalid API key' });
+    }
+    next();
+}
+
+// Charge one request to the client's daily quota and token bucket. Returns the
+// headers to send and, when the request is refused, the 429 body.
+function chargeRequest(client) {
+    const { key, tier, tierName, bucketKey } = client;
+    const usage = key ? keyUsage(key.id) : null;
+
+    // Daily quotas are counted per API key
+    if (usage && tier.requestsPerDay && usage.dayRequests >= tier.requestsPerDay) {
+        usage.rejected++;
+        rateLimitState.usageDirty = true;
+        const retryAfterSeconds = secondsUntilUtcMidnight();
+        return {
+            headers: { 'Retry-After': String(retryAfterSeconds) },
+            refusal: {
+                success: false,
+                error: `Daily quota of ${tier.requestsPerDay} requests exceeded`,
+                tier: tierName,
+                retryAfterSeconds
+            }
+        };
+    }
+
+    const result = takeToken(bucketKey, tier);
+    const headers = {
+        'RateLimit-Limit': String(tier.burst),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.resetSeconds),
+        'RateLimit-Policy': `${tier.burst};w=${Math.ceil(tier.burst / tier.requestsPerSecond)}`
+    };
+
+    if (usage) {
+        usage.lastUsedAt = new Date().toISOString();
+        rateLimitState.usageDirty = true;
+    }
+
+    if (!result.allowed) {
+        if (usage) usage.rejected++;
+        headers['Retry-After'] = String(result.retryAfterSeconds);
+        return {
+            headers,
+            refusal: {
+                success: false,
+                error: 'Rate limit exceeded',
+                tier: tierName,
+                retryAfterSeconds: result.retryAfterSeconds
+            }
+        };
+    }
+
+    if (usage) {
+        usage.requests++;
+        usage.dayRequests++;
+    }
+    return { headers, refusal: null };
+}
+
+function rateLimiter(req, res, next) {
+    if (!rateLimitSettings.enabled) {
+        return next();
+    }
+
+    const { headers, refusal } = chargeRequest(req.apiClient);
+    res.set(headers);
+    if (refusal) {
+        return res.status(429).json(refusal);
+    }
+    next();
+}
+
+// Route middleware for endpoints that cost a full registry or chain walk
+function heavyEndpoint(req, res, next) {
+    const { key, tier, tierName } = req.apiClient;
+    if (!rateLimitSettings.enabled || tier.heavy) {
+        return next();
+    }
+
+    if (!key) {
+        return res.status(401).json({ success: false, error: 'This endpoint requires an API key' });
+    }
+    res.status(403).json({ success: false, error: `The '${tierName}' tier has no access to this endpoint` });
+}
+
+function adminOnly(req, res, next) {
+    const { key } = req.apiClient;
+    if (key && key.admin) {
+        return next();
+    }
+    res.status(key ? 403 : 401).json({ success: false, error: 'An admin API key is required' });
+}
+
+function getKeyUsageReport() {
+    return [...rateLimitState.keys.values()].map((record) => {
+        const tier = rateLimitSettings.tiers[record.tier];
+        const usage = keyUsage(record.id);
+        const bucket = rateLimitState.buckets.get(`key:${record.id}`);
+
+        return {
+            id: record.id,
+            tier: record.tier,
+            admin: Boolean(record.admin),
+            createdAt: record.createdAt || null,
+            requests: usage.requests,
+            rejected: usage.rejected,
+            day: usage.day,
+            dayRequests: usage.dayRequests,
+            requestsPerDay: tier.requestsPerDay,
+            lastUsedAt: usage.lastUsedAt,
+            // No bucket means it is full
+            tokensRemaining: bucket ? Math.floor(bucket.tokens) : tier.burst
+        };
+    });
+}
+
+function startRateLimiter() {
+    loadApiKeys();
+    loadKeyUsage();
+
+    fs.watchFile(path.resolve(__dirname, rateLimitSettings.keysPath), { interval: 2000 }, loadApiKeys).unref();
+
+    setInterval(() => {
+        pruneBuckets();
+        if (rateLimitState.usageDirty) saveKeyUsage();
+    }, rateLimitSettings.saveIntervalMs).unref();
+}
+
+// 20. PROOF-OF-EXISTENCE RECEIPTS
+// A receipt is a JWS (flattened JSON serialization, ES256) signed with the
+// explorer's key. Its payload embeds the raw block that committed the
+// document, so it stays verifiable when this explorer is gone:
+// scripts/verify-receipt.js checks it offline against the Fabric CAs.
+const receiptSettings = {
+    keyPath: 'data/receipt-key.pem',
+    issuer: 'Veridat Hash Explorer',
+    caCertPaths: ['organizations/peerOrganizations/veridat.example.com/msp/cacerts'],
+    intermediateCertPaths: [],
+    maxReceiptBytes: 10485760,
+    ...config.receipts
+};
+
+let receiptKey = null;
+
+// Created on first use unless keyPath already holds a P-256 key
+function getReceiptKey() {
+    if (receiptKey) {
+        return receiptKey;
+    }
+
+    const file = path.resolve(__dirname, receiptSettings.keyPath);
+    let privateKey;
+    if (fs.existsSync(file)) {
+        privateKey = crypto.createPrivateKey(fs.readFileSync(file));
+    } else {
+        ({ privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        log.info('Created receipt signing key', { path: file });
+    }
+
+    if (privateKey.asymmetricKeyType !== 'ec' || privateKey.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+        throw new Error('The receipt signing key must be an EC P-256 key (ES256)');
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    const jwk = publicKey.export({ format: 'jwk' });
+    receiptKey = { privateKey, publicKey, jwk, kid: jwkThumbprint(jwk) };
+    return receiptKey;
+}
+
+// CA certificates trusted by POST /api/receipt/verify; missing paths are
+// skipped. The simulated network brings its own CAs.
+function loadTrustedCas() {
+    if (backendSettings.backend === 'simulated') {
+        return Object.values(getSimulation().fixture.caCertificates).flat();
+    }
+    return readCertificates(receiptSettings.caCertPaths.map(resolvePath).filter(caPath => fs.existsSync(caPath)));
+}
+
+// Intermediate CAs that link certificates to the trusted ones
+function loadIntermediateCas() {
+    if (backendSettings.backend === 'simulated') {
+        return [];
+    }
+    return readCertificates(receiptSettings.intermediateCertPaths.map(resolvePath).filter(caPath => fs.existsSync(caPath)));
+}
+
+function signReceipt(claims) {
+    const key = getReceiptKey();
+    const protectedHeader = Buffer.from(JSON.stringify({
+        alg: 'ES256',
+        typ: 'veridat-receipt+jws',
+        kid: key.kid,
+        jwk: key.jwk
+    })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${protectedHeader}.${payload}`), {
+        key: key.privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return { protected: protectedHeader, payload, signature: signature.toString('base64url') };
+}
+
+// Receipt for a document record, from the block that holds its transaction
+function buildReceipt(channel, record, blockBytes) {
+    const block = decodeBlock(blockBytes);
+    const txNumber = block.transactions.findIndex(tx => tx.txId === record.txId);
+    if (txNumber < 0) {
+        throw httpError(404, `Transaction ${record.txId} not found in block #${block.blockNumber}`);
+    }
+
+    const tx = block.transactions[txNumber];
+    const decoded = block.decodedEnvelopes[txNumber];
+    const endorsements = decoded && decoded.endorserTransaction ? decoded.endorserTransaction.endorsements : [];
+
+    return signReceipt({
+        version: 1,
+        type: 'proof-of-existence',
+        issuer: receiptSettings.issuer,
+        issuedAt: new Date().toISOString(),
+        channel: channel.name,
+        chaincode: channel.chaincode,
+        document: {
+            documentID: record.documentID,
+            hash: record.hash,
+            timestamp: record.timestamp || null
+        },
+        transaction: {
+            txId: record.txId,
+            txNumber,
+            timestamp: tx.timestamp,
+            validationCode: tx.validationCode,
+            creator: tx.creator,
+            endorsements: endorsements.map(endorsement => ({
+                mspId: endorsement.endorser.mspId,
+                subject: endorsement.endorser.subject,
+                signature: endorsement.signature.toString('base64')
+            })),
+            envelope: toBuffer(block.envelopes[txNumber]).toString('base64')
+        },
+        block: {
+            number: block.blockNumber,
+            previousHash: block.previousHash,
+            dataHash: block.dataHash,
+            headerHash: blockHeaderHash(block.blockNumber, block.previousHash, block.dataHash),
+            raw: toBuffer(blockBytes).toString('base64')
+        }
+    });
+}
+
+// 21. OPENAPI DOCUMENT AND REQUEST VALIDATION
+// openapi.json describes every route. validateRequest(operationId) checks a
+// request's path parameters, query and JSON body against it before the route
+// runs, so malformed IDs never reach the chaincode or qscc. The document is
+// served as written, except that the Hash schema follows verify.hashAlgorithm
+// and the batch lists follow verify.batchMaxItems.
+const openApiSpec = require('./openapi.json');
+
+const digestHexLength = crypto.createHash(verifySettings.hashAlgorithm).digest().length * 2;
+Object.assign(openApiSpec.components.schemas.Hash, {
+    pattern: `^[0-9a-fA-F]{${digestHexLength}}$`,
+    description: `a hex-encoded ${verifySettings.hashAlgorithm} digest (${digestHexLength} hexadecimal characters)`
+});
+for (const list of Object.values(openApiSpec.components.schemas.BatchRequest.properties)) {
+    list.maxItems = verifySettings.batchMaxItems;
+}
+
+const openApiOperations = new Map();
+for (const [specPath, pathItem] of Object.entries(openApiSpec.paths)) {
+    for (const [method, operation] of Object.entries(pathItem)) {
+        openApiOperations.set(operation.operationId, { method: method.toUpperCase(), path: specPath, operation });
+    }
+}
+
+function resolveSchemaRef(node) {
+    while (node && node.$ref) {
+        node = node.$ref.split('/').slice(1).reduce((parent, key) => parent[key], openApiSpec);
+    }
+    return node;
+}
+
+// Problem with one value, or null. Path and query values arrive as strings and
+// are checked as such; body values are checked as parsed JSON.
+function checkValue(value, schema, fromString) {
+    schema = resolveSchemaRef(schema);
+
+    if (schema.type === 'array') {
+        let items;
+        if (fromString) {
+            if (typeof value !== 'string') {
+                return 'must be a comma-separated list, given once';
+            }
+            items = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else {
+            if (!Array.isArray(value)) {
+                return 'must be an array';
+            }
+            items = value;
+        }
+        if (items.length < (schema.minItems || 0)) {
+            return `must list at least ${schema.minItems} value(s)`;
+        }
+        if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+            return `must list at most ${schema.maxItems} value(s)`;
+        }
+        for (let i = 0; i < items.length; i++) {
+            const problem = checkValue(items[i], schema.items, fromString);
+            if (problem) return fromString ? `${problem} (got '${items[i]}')` : `item ${i + 1} ${problem}`;
+        }
+        return null;
+    }
+
+    if (fromString && typeof value !== 'string') {
+        return 'must be given once';
+    }
+
+    if (schema.type === 'integer') {
+        const number = fromString ? (/^\d+$/.test(value) ? Number(value) : NaN) : value;
+        if (!Number.isSafeInteger(number)) {
+            return schema.minimum === 0 ? 'must be a non-negative integer' : 'must be an integer';
+        }
+        if (schema.minimum !== undefined && number < schema.minimum) return `must be at least ${schema.minimum}`;
+        if (schema.maximum !== undefined && number > schema.maximum) return `must be at most ${schema.maximum}`;
+        return null;
+    }
+
+    if (schema.type === 'object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    }
+
+    if (typeof value !== 'string') {
+        return 'must be a string';
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `must be one of: ${schema.enum.join(', ')}`;
+    }
+    if (schema.minLength && value.length < schema.minLength) {
+        return 'must not be empty';
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        return `must be ${schema.description || `a string matching ${schema.pattern}`}`;
+    }
+    return null;
+}
+
+function checkBody(req, operation) {
+    const jsonContent = operation.requestBody && operation.requestBody.content['application/json'];
+    if (!jsonContent || !req.is('application/json') || req.body === undefined) {
+        return [];
+    }
+
+    const schema = resolveSchemaRef(jsonContent.schema);
+    const problem = schema.type ? checkValue(req.body, { type: schema.type }, false) : null;
+    if (problem || !schema.properties) {
+        return problem ? [{ in: 'body', name: 'body', message: problem }] : [];
+    }
+
+    const details = [];
+    for (const name of schema.required || []) {
+        if (req.body[name] === undefined) {
+            details.push({ in: 'body', name, message: 'is required' });
+        }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+        const propertyProblem = req.body[name] === undefined ? null : checkValue(req.body[name], propertySchema, false);
+        if (propertyProblem) {
+            details.push({ in: 'body', name, message: propertyProblem });
+        }
+    }
+    return details;
+}
+
+function validateRequest(operationId) {
+    const entry = openApiOperations.get(operationId);
+    if (!entry) {
+        throw new Error(`No operation '${operationId}' in openapi.json`);
+    }
+    const parameters = (entry.operation.parameters || []).map(resolveSchemaRef);
+
+    return (req, res, next) => {
+        const details = [];
+
+        for (const parameter of parameters) {
+            const source = parameter.in === 'path' ? req.params : req.query;
+            const value = source[parameter.name];
+            if (value === undefined) {
+                if (parameter.required) {
+                    details.push({ in: parameter.in, name: parameter.name, message: 'is required' });
+                }
+                continue;
+            }
+            const problem = checkValue(value, parameter.schema, true);
+            if (problem) {
+                details.push({ in: parameter.in, name: parameter.name, message: problem });
+            }
+        }
+        details.push(...checkBody(req, entry.operation));
+
+        if (details.length) {
+            return res.status(400).json({
+                success: false,
+                error: details.map(detail => `${detail.name} ${detail.message}`).join('; '),
+                details
+            });
+        }
+        next();
+    };
+}
+
+// GET /api: every operation as "METHOD /path" -> summary, and the channel
+// prefixed forms of the channel-scoped ones
+function apiIndex() {
+    const endpoints = {};
+    const channelScoped = [];
+    for (const { method, path: specPath, operation } of openApiOperations.values()) {
+        const expressPath = specPath.replace(/\{(\w+)\}/g, ':$1');
+        endpoints[`${method} ${expressPath}`] = operation.summary;
+        if (operation['x-channel-scoped']) {
+            channelScoped.push(`${method} /api/:channel${expressPath.replace(/^\/api/, '')}`);
+        }
+    }
+
+    return {
+        name: openApiSpec.info.title,
+        version: openApiSpec.info.version,
+        openapi: '/api/openapi.json',
+        docs: '/docs',
+        channels: [...channels.keys()],
+        endpoints,
+        channelScoped
+    };
+}
+
+// 22. WEB INTERFACE
+// The explorer UI is a single-page app served from public/: index.html for
+// every UI path, with its scripts and styles under /assets. Nothing from the
+// request or the ledger is written into the markup by the server; the views
+// fetch the JSON API and escape what they render (public/js/html.js), so the
+// pages run under a CSP that allows no inline script or style at all.
+const publicDir = path.join(__dirname, 'public');
+
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "frame-ancestors 'none'",
+    "form-action 'self'"
+].join('; ');
+
+function securityHeaders(req, res, next) {
+    res.set({
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'same-origin'
+    });
+    next();
+}
+
+function sendExplorerShell(req, res) {
+    res.set('Cache-Control', 'no-cache');
+    res.sendFile(path.join(publicDir, 'index.html'));
+}
+
+// What the UI needs to know about this explorer
+function explorerConfig() {
+    return {
+        success: true,
+        name: openApiSpec.info.title,
+        hashAlgorithm: verifySettings.hashAlgorithm,
+        webCryptoAlgorithm: WEBCRYPTO_ALGORITHMS[verifySettings.hashAlgorithm] || null,
+        hashLength: digestHexLength,
+        maxFileSizeBytes: verifySettings.maxFileSizeBytes,
+        defaultChannel: defaultChannel.name,
+        channels: [...channels.values()].map(channel => ({
+            name: channel.name,
+            chaincode: channel.chaincode,
+            default: channel === defaultChannel
+        }))
+    };
+}
+
+// 23. SIGNATURE VERIFICATION
+// The explorer does not take qscc's word for who signed what. For every
+// transaction it served it checks the creator's signature over the envelope
+// payload and each endorser's signature over the proposal response, and for
+// every block the orderer's signature over the block header. Each signing
+// certificate must chain up to the root CAs of the MSP it claims, through the
+// MSP's intermediate CAs. CA certificates come from the MSP directories of
+// the organizations/ tree, listed per MSP ID in signatures.msps.
+const signatureConfig = config.signatures || {};
+const signatureSettings = {
+    msps: {
+        [identitySettings.mspId]: 'organizations/peerOrganizations/veridat.example.com/msp',
+        OrdererMSP: 'organizations/ordererOrganizations/example.com/msp',
+        ...signatureConfig.msps
+    }
+};
+
+let trustedMsps = null;
+
+// MSP ID -> { rootCas, intermediateCas }, read once. The simulated network
+// trusts the CAs of its fixture instead.
+function getTrustedMsps() {
+    if (trustedMsps) {
+        return trustedMsps;
+    }
+
+    trustedMsps = new Map();
+    if (backendSettings.backend === 'simulated') {
+        for (const [mspId, pems] of Object.entries(getSimulation().fixture.caCertificates)) {
+            trustedMsps.set(mspId, { rootCas: pems.map(pem => new crypto.X509Certificate(pem)), intermediateCas: [] });
+        }
+        return trustedMsps;
+    }
+    for (const [mspId, mspPath] of Object.entries(signatureSettings.msps)) {
+        const mspDir = resolvePath(mspPath);
+        const caDir = path.join(mspDir, 'cacerts');
+        const intermediateDir = path.join(mspDir, 'intermediatecerts');
+        if (!fs.existsSync(caDir)) {
+            log.warn('MSP CA certificates not found, signatures of this MSP will not verify', { mspId, path: caDir });
+            continue;
+        }
+        try {
+            trustedMsps.set(mspId, {
+                rootCas: readCertificates([caDir]).map(pem => new crypto.X509Certificate(pem)),
+                intermediateCas: fs.existsSync(intermediateDir)
+                    ? readCertificates([intermediateDir]).map(pem => new crypto.X509Certificate(pem))
+                    : []
+            });
+        } catch (error) {
+            log.error('Could not load MSP CA certificates', { mspId, path: mspDir, error });
+        }
+    }
+    return trustedMsps;
+}
+
+// { mspId, subject, valid, reason }: reason says what failed, null when valid
+function checkSignature(identity, signedBytes, signature, at) {
+    const result = { mspId: identity.mspId, subject: identity.subject, valid: false, reason: null };
+
+    if (!verifySignature(identity.certificate, signedBytes, signature)) {
+        result.reason = 'Signature does not match the signing certificate';
+        return result;
+    }
+    const msp = getTrustedMsps().get(identity.mspId);
+    if (!msp) {
+        result.reason = `No CA certificates configured for MSP ${identity.mspId}`;
+        return result;
+    }
+    try {
+        result.reason = checkCertificate(identity.certificate, msp.rootCas, at, msp.intermediateCas);
+    } catch (error) {
+        result.reason = `Unreadable certificate: ${error.message}`;
+    }
+    result.valid = result.reason === null;
+    return result;
+}
+
+// Certificates must have been valid when the transaction was created
+function signingTime(timestamp) {
+    return timestamp ? new Date(timestamp) : new Date();
+}
+
+// Creator and endorsement signatures of a decoded envelope
+function checkTransactionSignatures(decoded) {
+    const at = signingTime(decoded.channelHeader.timestamp);
+    const { endorserTransaction } = decoded;
+
+    return {
+        creator: checkSignature(decoded.signatureHeader.creator, decoded.payloadBytes, decoded.signature, at),
+        endorsements: endorserTransaction
+            ? endorserTransaction.endorsements.map(endorsement => checkSignature(
+                endorsement.endorser,
+                Buffer.concat([endorserTransaction.proposalResponsePayload, endorsement.endorserBytes]),
+                endorsement.signature,
+                at
+            ))
+            : []
+    };
+}
+
+// common.Metadata at BlockMetadataIndex.SIGNATURES: each orderer signs the
+// metadata value, its signature header and the DER-encoded block header
+function checkOrdererSignatures(block) {
+    const metadata = decodeFields(block.metadata[BLOCK_METADATA_INDEX.SIGNATURES]);
+    const value = fieldBytes(metadata, 1);
+    const headerBytes = blockHeaderBytes(block.blockNumber, block.previousHash, block.dataHash);
+    const firstTransaction = block.transactions.find(tx => tx.timestamp);
+    const at = signingTime(firstTransaction && firstTransaction.timestamp);
+
+    return fieldRepeated(metadata, 2).map((signatureBytes) => {
+        const metadataSignature = decodeFields(signatureBytes);
+        const signatureHeader = fieldBytes(metadataSignature, 1);
+        if (!signatureHeader.length) {
+            // BFT orderers identify themselves by consenter ID instead
+            return { mspId: null, subject: null, valid: false, reason: 'Signed by a consenter ID, which is not resolved' };
+        }
+        return checkSignature(
+            decodeSignatureHeader(signatureHeader).creator,
+            Buffer.concat([value, signatureHeader, headerBytes]),
+            fieldBytes(metadataSignature, 2),
+            at
+        );
+    });
+}
+
+// 24. BATCH VERIFICATION
+// POST /api/verify/batch checks many hashes and document IDs against one view
+// of the registry (the index when it is current, otherwise a single
+// GetAllHashes call) instead of scanning the ledger once per item. Batches
+// over verify.batchSyncLimit run as background jobs; their results are kept
+// with the job and downloaded as CSV, NDJSON or JSON.
+const BATCH_NDJSON_TYPES = ['application/x-ndjson', 'application/jsonl'];
+const BATCH_COLUMNS = ['type', 'value', 'found', 'documentID', 'hash', 'txId', 'blockNumber', 'timestamp', 'valid', 'validationCode'];
+
+const batchJsonBody = express.json({ limit: verifySettings.batchMaxBytes });
+const batchNdjsonBody = express.text({ limit: verifySettings.batchMaxBytes, type: BATCH_NDJSON_TYPES });
+
+function parseBatchBody(req, res, next) {
+    const parser = req.is(BATCH_NDJSON_TYPES) ? batchNdjsonBody : batchJsonBody;
+    parser(req, res, (parseError) => {
+        if (parseError) {
+            return res.status(parseError.status || 400).json({ success: false, error: parseError.message });
+        }
+        next();
+    });
+}
+
+// Request body -> { items: [{ type, value }] } or { error }. JSON bodies were
+// checked against openapi.json already; NDJSON lines are checked here against
+// the same Hash and DocumentId schemas.
+function parseBatchItems(body) {
+    let items = [];
+
+    if (typeof body === 'string') {
+        const lines = body.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (error) {
+                return { error: `line ${i + 1} is not valid JSON` };
+            }
+            const type = entry && typeof entry === 'object' && !Array.isArray(entry)
+                ? ['hash', 'documentId'].filter(key => entry[key] !== undefined)
+                : [];
+            if (type.length !== 1) {
+                return { error: `line ${i + 1} must be an object with either "hash" or "documentId"` };
+            }
+            const problem = checkValue(entry[type[0]], { $ref: `#/components/schemas/${type[0] === 'hash' ? 'Hash' : 'DocumentId'}` }, false);
+            if (problem) {
+                return { error: `line ${i + 1}: ${type[0]} ${problem}` };
+            }
+            items.push({ type: type[0], value: entry[type[0]] });
+        }
+    } else if (body && typeof body === 'object') {
+        items = [
+            ...(body.hashes || []).map(value => ({ type: 'hash', value })),
+            ...(body.documentIds || []).map(value => ({ type: 'documentId', value }))
+        ];
+    }
+
+    if (!items.length) {
+        return { error: 'Send JSON { "hashes": [...], "documentIds": [...] } or NDJSON lines { "hash": "..." } / { "documentId": "..." }' };
+    }
+    if (items.length > verifySettings.batchMaxItems) {
+        return { error: `A batch holds at most ${verifySettings.batchMaxItems} items (got ${items.length})` };
+    }
+    return { items };
+}
+
+// documentID -> record and hash -> record, and the chain height they reflect
+async function loadBatchRegistry(channel) {
+    if (isIndexCurrent(channel)) {
+        const { documents, hashes } = channel.index;
+        return {
+            source: 'index',
+            chainHeight: channel.index.nextBlock,
+            byDocumentId: documentId => documents.get(documentId) || null,
+            byHash: (hash) => {
+                const documentIds = hashes.get(hash);
+                return documentIds ? documents.get(documentIds.values().next().value) : null;
+            }
+        };
+    }
+
+    const { network, contract } = await getConnection(channel);
+    const chainHeight = await getChainHeight(network);
+    const records = (await queryAllHashes(contract)).data || [];
+    const documents = new Map(records.map(record => [record.documentID, record]));
+    const hashes = new Map();
+    for (const record of records) {
+        if (record.hash && !hashes.has(normalizeHash(record.hash))) {
+            hashes.set(normalizeHash(record.hash), record);
+        }
+    }
+    return {
+        source: 'chaincode',
+        chainHeight,
+        byDocumentId: documentId => documents.get(documentId) || null,
+        byHash: hash => hashes.get(hash) || null
+    };
+}
+
+async function verifyBatch(channel, items, job) {
+    const registry = await loadBatchRegistry(channel);
+    const checkedAt = new Date().toISOString();
+    // One synchronous pass, so a live index cannot move past chainHeight mid-batch
+    const records = items.map(item => (item.type === 'hash'
+        ? registry.byHash(normalizeHash(item.value))
+        : registry.byDocumentId(item.value)));
+
+    const lookupTx = createTxInfoLookup(channel);
+    const summary = { total: items.length, found: 0, notFound: 0, invalid: 0 };
+    const results = [];
+
+    for (let i = 0; i < items.length; i++) {
+        const record = records[i];
+        const result = { type: items[i].type, value: items[i].value, found: Boolean(record) };
+
+        if (record) {
+            const txInfo = await lookupTx(record.txId);
+            const validationCode = txInfo ? txInfo.validationCode : null;
+            Object.assign(result, {
+                documentID: record.documentID,
+                hash: record.hash || null,
+                txId: record.txId || null,
+                blockNumber: txInfo ? txInfo.blockNumber : null,
+                timestamp: record.timestamp || null,
+                valid: validationCode === null ? null : validationCode === 'VALID',
+                validationCode
+            });
+            summary.found++;
+            if (result.valid === false) summary.invalid++;
+        } else {
+            Object.assign(result, {
+                documentID: null, hash: null, txId: null, blockNumber: null, timestamp: null, valid: null, validationCode: null
+            });
+            summary.notFound++;
+        }
+
+        results.push(result);
+        if (job) job.processed = i + 1;
+    }
+
+    const report = {
+        channel: channel.name,
+        chainHeight: registry.chainHeight,
+        source: registry.source,
+        algorithm: verifySettings.hashAlgorithm,
+        checkedAt,
+        summary
+    };
+    return { report, results };
+}
+
+async function streamBatchResults(res, job, format) {
+    const { results, result: report } = job;
+
+    if (format === 'csv') {
+        await writeChunk(res, BATCH_COLUMNS.join(',') + '\r\n');
+    } else if (format === 'json') {
+        const header = JSON.stringify({ jobId: job.id, ...report });
+        await writeChunk(res, `${header.slice(0, -1)},"results":[`);
+    }
+
+    for (let i = 0; i < results.length; i++) {
+        if (res.destroyed) return;
+
+        if (format === 'csv') {
+            await writeChunk(res, BATCH_COLUMNS.map(column => csvField(results[i][column])).join(',') + '\r\n');
+        } else if (format === 'ndjson') {
+            await writeChunk(res, JSON.stringify(results[i]) + '\n');
+        } else {
+            await writeChunk(res, (i ? ',' : '') + JSON.stringify(results[i]));
+        }
+    }
+
+    if (format === 'json') {
+        await writeChunk(res, ']}');
+    }
+    res.end();
+}
+
+// 25. REGISTRY STATISTICS
+// GET /api/stats aggregates what the ledger index already holds: registrations
+// (valid writes of a document, re-registrations included) from the document
+// histories, and the transaction counts and sizes recorded for every block.
+// Buckets are UTC hours, days or months, and the series keeps empty buckets so
+// it can be charted as is. Block fill compares blocks with the orderer's
+// BatchSize from the latest config block.
+const STATS_BUCKETS = {
+    hour: { defaultSpan: 48 },
+    day: { defaultSpan: 90 },
+    month: { defaultSpan: 24 }
+};
+const STATS_MAX_BUCKETS = 1000;
+const DEFAULT_STATS_TOP = 10;
+
+// Start of the UTC bucket holding time, or of the bucket offset buckets later
+function bucketStart(time, bucket, offset = 0) {
+    const date = new Date(time);
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+    if (bucket === 'hour') return Date.UTC(year, month, day, date.getUTCHours() + offset);
+    if (bucket === 'day') return Date.UTC(year, month, day + offset);
+    return Date.UTC(year, month + offset, 1);
+}
+
+// bucket, from, to and top -> { options } or { error }. Without from, the
+// window is the last defaultSpan buckets up to to (default now).
+function parseStatsQuery(query) {
+    const bucket = query.bucket || 'day';
+    if (!STATS_BUCKETS[bucket]) {
+        return { error: `bucket must be one of: ${Object.keys(STATS_BUCKETS).join(', ')}` };
+    }
+
+    const to = query.to === undefined ? Date.now() : parseDateFilter(query.to, true);
+    const from = query.from === undefined
+        ? (to === null ? null : bucketStart(to, bucket, 1 - STATS_BUCKETS[bucket].defaultSpan))
+        : parseDateFilter(query.from, false);
+    if (from === null || to === null || from > to) {
+        return { error: 'from and to must be ISO 8601 dates with from <= to' };
+    }
+
+    const starts = [];
+    for (let start = bucketStart(from, bucket); start <= to; start = bucketStart(start, bucket, 1)) {
+        if (starts.length === STATS_MAX_BUCKETS) {
+            return { error: `A window holds at most ${STATS_MAX_BUCKETS} buckets; narrow from/to or use a larger bucket` };
+        }
+        starts.push(start);
+    }
+
+    const top = query.top === undefined ? DEFAULT_STATS_TOP : Number(query.top);
+    return { options: { bucket, from, to, starts, top } };
+}
+
+// Leading run of the ID before a digit or separator: DOC100 -> DOC, INV-2025-7 -> INV
+function documentIdPrefix(documentId) {
+    const match = /^[^\d\s\-_.:/]+/u.exec(documentId);
+    return match ? match[0] : '';
+}
+
+function ranked(counts, keyName, limit) {
+    return [...counts]
+        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+        .slice(0, limit)
+        .map(([key, registrations]) => ({ [keyName]: key, registrations }));
+}
+
+function average(total, count, digits = 2) {
+    return count ? Number((total / count).toFixed(digits)) : null;
+}
+
+function computeStats(channel, { bucket, from, to, starts, top }) {
+    const positions = new Map(starts.map((start, position) => [start, position]));
+    const positionOf = (timestamp) => {
+        const time = Date.parse(timestamp);
+        return time >= from && time <= to ? positions.get(bucketStart(time, bucket)) : undefined;
+    };
+    const series = starts.map(start => ({
+        start: new Date(start).toISOString(),
+        registrations: 0,
+        blocks: 0,
+        transactions: 0,
+        validTransactions: 0,
+        transactionsPerBlock: null
+    }));
+
+    let registrations = 0;
+    const msps = new Map();
+    const prefixes = new Map();
+    for (const [documentId, entries] of channel.index.history) {
+        for (const entry of entries) {
+            const position = entry.isDelete ? undefined : positionOf(entry.timestamp);
+            if (position === undefined) continue;
+
+            series[position].registrations++;
+            registrations++;
+            const mspId = entry.mspId || 'unknown';
+            msps.set(mspId, (msps.get(mspId) || 0) + 1);
+            const prefix = documentIdPrefix(documentId);
+            prefixes.set(prefix, (prefixes.get(prefix) || 0) + 1);
+        }
+    }
+
+    const blocks = { count: 0, transactions: 0, bytes: 0 };
+    for (const block of channel.index.blocks) {
+        const position = block && block.timestamp ? positionOf(block.timestamp) : undefined;
+        if (position === undefined) continue;
+
+        series[position].blocks++;
+        series[position].transactions += block.transactions;
+        series[position].validTransactions += block.validTransactions;
+        blocks.count++;
+        blocks.transactions += block.transactions;
+        blocks.bytes += block.bytes;
+    }
+    for (const point of series) {
+        point.transactionsPerBlock = average(point.transactions, point.blocks);
+    }
+
+    const { batchSize } = channel.index;
+    const averageTransactions = average(blocks.transactions, blocks.count);
+    const averageBytes = average(blocks.bytes, blocks.count, 0);
+
+    return {
+        channel: channel.name,
+        window: { from: new Date(from).toISOString(), to: new Date(to).toISOString(), bucket },
+        chainHeight: channel.index.nextBlock,
+        registrations: {
+            total: registrations,
+            byMsp: ranked(msps, 'mspId', Infinity),
+            topPrefixes: ranked(prefixes, 'prefix', top)
+        },
+        blocks: {
+            count: blocks.count,
+            transactions: blocks.transactions,
+            averageTransactions,
+            averageBytes,
+            batchSize,
+            fill: batchSize && blocks.count ? {
+                transactions: average(averageTransactions, batchSize.maxMessageCount, 4),
+                bytes: average(averageBytes, batchSize.preferredMaxBytes, 4)
+            } : null
+        },
+        series
+    };
+}
+
+// ===== ROUTES =====
+
+// Channel-scoped API: every route below registered on channelApi answers at
+// /api/<channel>/... and, for the default channel, at /api/... A first path
+// segment that is not a configured channel falls through to the unscoped routes.
+const channelApi = express.Router();
+const scopedApi = express.Router();
+
+app.use(['/api', '/graphql'], identifyClient, rateLimiter);
+
+scopedApi.use('/:channel', (req, res, next) => {
+    const channel = findChannel(req.params.channel);
+    if (!channel) {
+        return next('router');
+    }
+    req.channel = channel;
+    req.channelScoped = true;
+    next();
+}, channelApi);
+
+app.use('/api', scopedApi);
+app.use('/api', (req, res, next) => {
+    req.channel = defaultChannel;
+    next();
+}, channelApi);
+
+function channelSummaries() {
+    return [...channels.values()].map(channel => ({
+        name: channel.name,
+        chaincode: channel.chaincode,
+        default: channel === defaultChannel,
+        api: `/api/${encodeURIComponent(channel.name)}`,
+        index: getIndexStatus(channel)
+    }));
+}
+
+// Settings the web interface needs: hash algorithm and channels
+app.get('/api/config', validateRequest('getExplorerConfig'), (req, res) => {
+    res.json(explorerConfig());
+});
+
+// Endpoint index
+app.get('/api', validateRequest('getApiIndex'), (req, res) => {
+    res.json(apiIndex());
+});
+
+// The OpenAPI 3 document every route is validated against
+app.get('/api/openapi.json', validateRequest('getOpenApi'), (req, res) => {
+    res.json(openApiSpec);
+});
+
+// Per-key usage and remaining quota, for admin keys only
+app.get('/api/admin/usage', validateRequest('getKeyUsage'), adminOnly, (req, res) => {
+    res.json({
+        success: true,
+        rateLimit: { enabled: rateLimitSettings.enabled, anonymousTier: rateLimitSettings.anonymousTier, tiers: rateLimitSettings.tiers },
+        keys: getKeyUsageReport(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Hit/miss statistics of the response cache
+app.get('/api/cache/stats', validateRequest('getCacheStats'), (req, res) => {
+    res.json({ success: true, cache: getCacheStats() });
+});
+
+// Public key that signs receipts, for pinning in offline verification
+app.get('/api/receipt/key', validateRequest('getReceiptKey'), (req, res) => {
+    try {
+        const key = getReceiptKey();
+        res.json({
+            success: true,
+            kid: key.kid,
+            alg: 'ES256',
+            jwk: key.jwk,
+            pem: key.publicKey.export({ type: 'spki', format: 'pem' })
+        });
+    } catch (error) {
+        log.error('Receipt key unavailable', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Lenient, so a compact JWS can be posted as a JSON string
+const receiptBody = express.json({
+    limit: receiptSettings.maxReceiptBytes,
+    strict: false,
+    type: ['application/json', 'application/jose+json']
+});
+
+function parseReceiptBody(req, res, next) {
+    receiptBody(req, res, (parseError) => {
+        if (parseError) {
+            return res.status(parseError.status || 400).json({ success: false, error: parseError.message });
+        }
+        next();
+    });
+}
+
+// Check a receipt against this explorer's key and the configured Fabric CAs
+app.post('/api/receipt/verify', parseReceiptBody, validateRequest('verifyReceipt'), (req, res) => {
+    if (typeof req.body !== 'string' && (!req.body || typeof req.body !== 'object')) {
+        return res.status(400).json({ success: false, error: 'Request body must be a receipt (JSON)' });
+    }
+
+    try {
+        const result = verifyReceipt(req.body, {
+            explorerKey: getReceiptKey().publicKey,
+            caCertificates: loadTrustedCas(),
+            intermediateCertificates: loadIntermediateCas()
+        });
+        const failed = result.checks.filter(check => check.ok === false).map(check => check.check);
+        const skipped = result.checks.filter(check => check.ok === null).map(check => check.check);
+
+        res.json({
+            success: true,
+            valid: result.valid,
+            checks: result.checks,
+            summary: { passed: result.checks.length - failed.length - skipped.length, failed, skipped },
+            claims: result.claims
+        });
+    } catch (error) {
+        log.error('Receipt verification failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Configured channels, with index status for each
+app.get('/api/channels', validateRequest('listChannels'), (req, res) => {
+    res.json({ success: true, defaultChannel: defaultChannel.name, channels: channelSummaries() });
+});
+
+// List hashes - paginated, filterable and sortable
+channelApi.get('/hashes', validateRequest('listHashes'), cacheResponse(), async (req, res) => {
+    const { channel } = req;
+    try {
+        const { options, error } = parseListQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        log.debug('Querying hashes', { channel: channel.name });
+        const page = queryDocuments(await listDocuments(channel), options);
+
+        res.json({
+            success: true,
+            count: page.data.length,
+            total: page.total,
+            limit: options.limit,
+            sort: options.sort,
+            order: options.order,
+            nextCursor: page.nextCursor,
+            data: page.data,
+            index: getIndexStatus(channel),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get hash by document ID WITH BLOCK INFO
+channelApi.get('/hash/:documentId', validateRequest('getHash'), cacheResponse(), async (req, res) => {
+    const { channel } = req;
+    try {
+        const { documentId } = req.params;
+        log.debug('Querying document', { documentId });
+
+        const found = await findDocument(channel, documentId);
+        if (found) {
+            // Get block info if transaction ID exists
+            let blockInfo = null;
+            if (found.txId) {
+                log.debug('Fetching block info', { txId: found.txId });
+                const { network } = await getConnection(channel);
+                blockInfo = await getBlockInfoFromTxId(network, found.txId);
+            }
+            
+            res.json({
+                success: true,
+                data: found,
+                blockInfo: blockInfo,
+                index: getIndexStatus(channel),
+                shareLink: `${req.protocol}://${req.get('host')}/api/${encodeURIComponent(channel.name)}/hash/${encodeURIComponent(documentId)}`
+            });
+        } else {
+            res.status(404).json({ success: false, message: `Document ID '${documentId}' not found`, index: getIndexStatus(channel) });
+        }
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change history of a document: every transaction that wrote its key
+channelApi.get('/hash/:documentId/history', validateRequest('getHashHistory'), cacheResponse(), async (req, res) => {
+    const { channel } = req;
+    try {
+        const { documentId } = req.params;
+        log.debug('Querying document history', { documentId });
+
+        const { source, history } = await getDocumentHistory(channel, documentId);
+        if (history.length === 0) {
+            return res.status(404).json({ success: false, message: `No history found for document ID '${documentId}'`, index: getIndexStatus(channel) });
+        }
+
+        res.json({
+            success: true,
+            documentID: documentId,
+            source,
+            count: history.length,
+            history,
+            index: getIndexStatus(channel)
+        });
+
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Signed proof-of-existence receipt for a document (JWS, see section 20)
+channelApi.get('/hash/:documentId/receipt', validateRequest('getReceipt'), async (req, res) => {
+    const { channel } = req;
+    try {
+        const { documentId } = req.params;
+        log.info('Issuing receipt', { channel: channel.name, documentId });
+
+        const found = await findDocument(channel, documentId);
+        if (!found || !found.txId) {
+            return res.status(404).json({ success: false, message: `Document ID '${documentId}' not found`, index: getIndexStatus(channel) });
+        }
+
+        const { network } = await getConnection(channel);
+        const blockBytes = await network.getContract('qscc').evaluateTransaction('GetBlockByTxID', network.getName(), found.txId);
+
+        res.json({
+            success: true,
+            documentID: documentId,
+            receipt: buildReceipt(channel, found, blockBytes),
+            links: {
+                printable: `/receipt/${encodeURIComponent(documentId)}?channel=${encodeURIComponent(channel.name)}`,
+                verify: '/api/receipt/verify',
+                key: '/api/receipt/key'
+            }
+        });
+
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Search by hash value. /api/search looks in every channel and reports where
+// the hash was found; /api/<channel>/search only looks in that channel.
+channelApi.get('/search/:hashValue', validateRequest('searchHash'), cacheResponse({ allChannels: true }), async (req, res) => {
+    try {
+        const { hashValue } = req.params;
+        const searched = req.channelScoped ? [req.channel] : [...channels.values()];
+
+        const results = await Promise.all(searched.map(async channel => ({ channel, found: await findByHash(channel, hashValue) })));
+        const matches = results.filter(result => result.found);
+
+        if (matches.length) {
+            const [first] = matches;
+            res.json({
+                success: true,
+                channel: first.channel.name,
+                data: first.found,
+                matches: matches.map(match => ({ channel: match.channel.name, chaincode: match.channel.chaincode, data: match.found })),
+                index: getIndexStatus(first.channel)
+            });
+        } else {
+            res.status(404).json({ success: false, message: 'Hash not found', channels: searched.map(channel => channel.name) });
+        }
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Verify a document: upload the file (multipart field or raw body) to have it
+// hashed server-side, or send { "hash": "..." } computed on the client
+channelApi.post('/verify', validateRequest('verifyDocument'), async (req, res) => {
+    const { channel } = req;
+    try {
+        const contentType = req.headers['content-type'] || '';
+        let upload;
+
+        if (contentType.startsWith('multipart/form-data')) {
+            upload = await hashMultipartUpload(req);
+        } else if (contentType.startsWith('application/octet-stream')) {
+            upload = await hashRawUpload(req);
+        } else if (req.body && typeof req.body.hash === 'string' && req.body.hash.trim()) {
+            upload = { hash: req.body.hash.trim(), size: null, fileName: null };
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'Send a file as multipart/form-data or application/octet-stream, or JSON { "hash": "..." }'
+            });
+        }
+
+        log.debug('Verifying hash', { hash: upload.hash });
+        const verdict = await verifyHash(channel, upload.hash);
+
+        res.json({
+            success: true,
+            algorithm: verifySettings.hashAlgorithm,
+            ...verdict,
+            file: upload.size === null ? null : { name: upload.fileName, size: upload.size },
+            index: getIndexStatus(channel)
+        });
+
+    } catch (error) {
+        log.error('Verification failed', { error });
+        if (error.status === 413) {
+            res.set('Connection', 'close');
+        }
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Verify a batch of hashes and document IDs (JSON or NDJSON body). Small
+// batches are answered directly; larger ones start a background job (202)
+// whose results download from /api/verify/jobs/<jobId>/result. The tier is
+// checked before the body is read.
+channelApi.post('/verify/batch', heavyEndpoint, parseBatchBody, validateRequest('verifyBatch'), async (req, res) => {
+    const { channel } = req;
+    const { items, error } = parseBatchItems(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        if (items.length <= verifySettings.batchSyncLimit) {
+            log.debug('Verifying batch', { channel: channel.name, items: items.length });
+            const { report, results } = await verifyBatch(channel, items);
+            return res.json({ success: true, ...report, results });
+        }
+
+        log.info('Starting batch verification job', { channel: channel.name, items: items.length });
+        const job = createJob('batch-verify', items.length, async (runningJob) => {
+            const { report, results } = await verifyBatch(channel, items, runningJob);
+            runningJob.results = results;
+            return report;
+        }, req.apiClient.bucketKey);
+
+        res.status(202).json({
+            success: true,
+            ...jobStatus(job),
+            statusUrl: `/api/verify/jobs/${job.id}`,
+            resultUrl: `/api/verify/jobs/${job.id}/result`
+        });
+
+    } catch (error) {
+        log.error('Batch verification failed', { error });
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Batch results belong to the API key (or anonymous IP) that started the job;
+// anyone else is told it does not exist
+function findBatchJob(jobId, client) {
+    const job = jobs.get(jobId);
+    return job && job.type === 'batch-verify' && job.owner === client.bucketKey ? job : null;
+}
+
+// Progress and summary of a background batch verification
+app.get('/api/verify/jobs/:jobId', validateRequest('getVerifyJob'), (req, res) => {
+    const job = findBatchJob(req.params.jobId, req.apiClient);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, ...jobStatus(job), resultUrl: `/api/verify/jobs/${job.id}/result` });
+});
+
+// Per-item results of a finished batch verification as CSV, NDJSON or JSON
+app.get('/api/verify/jobs/:jobId/result', validateRequest('getVerifyJobResult'), async (req, res) => {
+    const job = findBatchJob(req.params.jobId, req.apiClient);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (job.status !== 'completed') {
+        return res.status(409).json({
+            success: false,
+            error: job.status === 'failed' ? `Job failed: ${job.error}` : 'Job is still running',
+            ...jobStatus(job)
+        });
+    }
+
+    const formatName = req.query.format || 'csv';
+    const format = EXPORT_FORMATS[formatName];
+    const { channel: channelName, chainHeight, summary } = job.result;
+    try {
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="verify-${channelName}-height-${chainHeight}-${job.id}.${format.extension}"`,
+            'X-Chain-Height': String(chainHeight),
+            'X-Total-Count': String(summary.total)
+        });
+        await streamBatchResults(res, job, formatName);
+    } catch (error) {
+        log.error('Batch result download failed', { error });
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Hash-chain integrity audit over a block range. Short ranges are answered
+// directly; longer ones start a background job (202) to poll for progress.
+channelApi.get('/audit/chain', validateRequest('auditChain'), heavyEndpoint, async (req, res) => {
+    const { channel } = req;
+    try {
+        const { network } = await getConnection(channel);
+        const qscc = network.getContract('qscc');
+        const chainInfo = decodeBlockchainInfo(await qscc.evaluateTransaction('GetChainInfo', channel.name));
+
+        const from = req.query.from === undefined ? 0 : parseBlockNumber(req.query.from);
+        const to = req.query.to === undefined ? chainInfo.height - 1 : parseBlockNumber(req.query.to);
+
+        if (from === null || to === null || from > to) {
+            return res.status(400).json({ success: false, error: 'from and to must be block numbers with from <= to' });
+        }
+        if (to >= chainInfo.height) {
+            return res.status(404).json({ success: false, error: `Block #${to} not found (chain height is ${chainInfo.height})` });
+        }
+
+        const total = to - from + 1;
+        if (total <= AUDIT_SYNC_LIMIT) {
+            log.info('Auditing blocks', { from, to });
+            const result = await auditChain(network, from, to, chainInfo);
+            return res.json({ success: true, ...result });
+        }
+
+        log.info('Starting audit job', { from, to });
+        const job = createJob('chain-audit', total, runningJob => auditChain(network, from, to, chainInfo, runningJob));
+
+        res.status(202).json({
+            success: true,
+            ...jobStatus(job),
+            statusUrl: `/api/audit/jobs/${job.id}`
+        });
+
+    } catch (error) {
+        log.error('Audit failed', { error });
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Progress and result of a background audit job
+app.get('/api/audit/jobs/:jobId', validateRequest('getAuditJob'), (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job || job.type !== 'chain-audit') {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, ...jobStatus(job) });
+});
+
+// Registry and block statistics over a time window, from the ledger index
+channelApi.get('/stats', validateRequest('getStats'), cacheResponse(), (req, res) => {
+    const { channel } = req;
+    if (!indexerSettings.enabled) {
+        return res.status(503).json({ success: false, error: 'Statistics are computed from the ledger index, which is disabled' });
+    }
+
+    const { options, error } = parseStatsQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    res.json({
+        success: true,
+        ...computeStats(channel, options),
+        index: getIndexStatus(channel),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Ledger indexer status
+channelApi.get('/index/status', validateRequest('getIndexStatus'), (req, res) => {
+    const { channel } = req;
+    res.json({ success: true, ...getIndexStatus(channel) });
+});
+
+// Export the registry as CSV, NDJSON or JSON (same filters as /api/hashes)
+channelApi.get('/export', validateRequest('exportRegistry'), heavyEndpoint, async (req, res) => {
+    const { channel } = req;
+    const { options, error } = parseExportQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        // The index answers synchronously, so its height matches the records exactly
+        const fromIndex = isIndexCurrent(channel);
+        const indexedHeight = channel.index.nextBlock;
+        const all = await listDocuments(channel);
+        const chainHeight = fromIndex ? indexedHeight : await getChainHeight((await getConnection(channel)).network);
+
+        const records = queryDocuments(all, options).data;
+        const format = EXPORT_FORMATS[options.format];
+        const exportedAt = new Date().toISOString();
+
+        log.info('Exporting registry', { records: records.length, format: options.format, chainHeight });
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="registry-${channel.name}-height-${chainHeight}.${format.extension}"`,
+            'X-Chain-Height': String(chainHeight),
+            'X-Total-Count': String(records.length)
+        });
+
+        await streamExport(res, channel, records, options, {
+            channel: channel.name,
+            chaincode: channel.chaincode,
+            chainHeight,
+            exportedAt,
+            source: fromIndex ? 'index' : 'chaincode',
+            total: records.length
+        });
+    } catch (error) {
+        log.error('Export failed', { error });
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GraphQL over hashes, transactions, blocks and the channel:
+// /graphql for the default channel, /api/<channel>/graphql for the others
+async function handleGraphql(req, res) {
+    const channel = req.channel || defaultChannel;
+    const { query, variables, operationName } = req.body || {};
+    if (typeof query !== 'string' || !query.trim()) {
+        return res.status(400).json({ errors: [{ message: 'Request body must be JSON with a "query" string' }] });
+    }
+
+    try {
+        const result = await graphql({
+            schema: graphqlSchema,
+            source: query,
+            rootValue: graphqlRoot,
+            contextValue: createGraphqlLoaders(channel),
+            variableValues: variables,
+            operationName
+        });
+        if (result.errors) {
+            log.error('GraphQL errors', { errors: result.errors.map(error => error.message) });
+        }
+        res.json(result);
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ errors: [{ message: error.message }] });
+    }
+}
+
+app.post('/graphql', validateRequest('graphql'), handleGraphql);
+channelApi.post('/graphql', validateRequest('graphql'), handleGraphql);
+
+// Live blocks and registrations as Server-Sent Events
+channelApi.get('/stream', validateRequest('streamEvents'), async (req, res) => {
+    const { channel } = req;
+    const { options, error } = parseStreamQuery(req.query, req.get('Last-Event-ID'));
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    if (!acquireStreamSlot(req.apiClient)) {
+        return res.status(429).json({ success: false, error: tooManyStreams() });
+    }
+    res.on('close', () => releaseStreamSlot(req.apiClient));
+
+    let stream;
+    try {
+        stream = openStream(channel, options);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${indexerSettings.retryDelayMs}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), streamSettings.heartbeatIntervalMs);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        closeStream(stream);
+    });
+
+    try {
+        await startStream(stream, event => res.write(formatSseEvent(event)));
+    } catch (error) {
+        log.error('Stream replay failed', { error });
+        res.write(`event: stream-error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+        res.end();
+    }
+});
+
+// Get blockchain info endpoint
+channelApi.get('/blockchain/info', validateRequest('getBlockchainInfo'), cacheResponse(), async (req, res) => {
+    const { channel } = req;
+    try {
+        log.debug('Querying blockchain info');
+        
+        const { network, contract } = await getConnection(channel);
+
+        const chainInfo = await getChainInfo(network, contract, channel);
+        
+        res.status(chainInfo.success ? 200 : 500).json(chainInfo);
+        
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Peer status: every configured peer is probed on the channel, so the heights
+// and latencies are current. lag counts blocks behind the highest peer.
+channelApi.get('/peers', validateRequest('getPeers'), async (req, res) => {
+    const { channel } = req;
+    try {
+        const results = await Promise.all(peers.map(async (peer) => {
+            try {
+                const { latencyMs, height } = await probePeer(peer, channel);
+                return { peer, reachable: true, latencyMs, ledgerHeight: height };
+            } catch (error) {
+                handleProbeError(peer, error);
+                return { peer, reachable: false, latencyMs: null, ledgerHeight: null };
+            }
+        }));
+
+        const heights = results.filter(result => result.reachable).map(result => result.ledgerHeight);
+        const maxHeight = heights.length ? Math.max(...heights) : null;
+
+        res.json({
+            success: true,
+            channel: channel.name,
+            reachable: heights.length,
+            total: peers.length,
+            peers: results.map(({ peer, reachable, latencyMs, ledgerHeight }) => ({
+                ...getPeerStatus(peer),
+                reachable,
+                ledgerHeight,
+                lag: reachable ? maxHeight - ledgerHeight : null,
+                latencyMs
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Transaction detail: header, invocation, read/write sets and endorsements (see section 5c)
+channelApi.get('/tx/:txId', validateRequest('getTransaction'), cacheResponse({ immutable: true }), async (req, res) => {
+    const { channel } = req;
+    try {
+        const { txId } = req.params;
+        log.debug('Querying transaction', { txId });
+
+        const transaction = await getTransaction(channel, txId);
+        if (!transaction) {
+            return res.status(404).json({ success: false, error: `Transaction ${txId} not found on channel ${channel.name}` });
+        }
+
+        const base = `/api/${encodeURIComponent(channel.name)}`;
+        res.json({
+            success: true,
+            ...transaction,
+            links: {
+                self: `${base}/tx/${txId}`,
+                block: transaction.blockNumber !== null ? `${base}/block/${transaction.blockNumber}` : null,
+                page: `/tx/${txId}?channel=${encodeURIComponent(channel.name)}`
+            }
+        });
+
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get block info directly by transaction ID (API endpoint - returns JSON)
+channelApi.get('/block/txid/:txId', validateRequest('getBlockByTxId'), cacheResponse({ immutable: true }), async (req, res) => {
+    const { channel } = req;
+    try {
+        const { txId } = req.params;
+        log.debug('Querying block for transaction', { txId });
+        
+        const { network } = await getConnection(channel);
+
+        const blockInfo = await getBlockInfoFromTxId(network, txId, { signatures: true });
+        
+        res.json(blockInfo);
+        
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get block by number (API endpoint - returns JSON)
+channelApi.get('/block/:number', validateRequest('getBlockByNumber'), cacheResponse(), async (req, res) => {
+    const { channel } = req;
+    try {
+        const blockNumber = parseBlockNumber(req.params.number);
+        if (blockNumber === null) {
+            return res.status(400).json({ success: false, error: 'Block number must be a non-negative integer' });
+        }
+
+        const { network } = await getConnection(channel);
+        const height = await getChainHeight(network);
+        if (blockNumber >= height) {
+            return res.status(404).json({ success: false, error: `Block #${blockNumber} not found (chain height is ${height})` });
+        }
+
+        const block = await getBlockByNumber(network, blockNumber, height, { signatures: true });
+        // Below the tip even the "next" link is final
+        if (block.success && block.links.next) {
+            markImmutable(res);
+        }
+        res.status(block.success ? 200 : 500).json(block);
+
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Latest blocks feed, newest first
+channelApi.get('/blocks/latest', validateRequest('getLatestBlocks'), cacheResponse(), async (req, res) => {
+    const { channel } = req;
+    try {
+        const limit = req.query.limit === undefined ? 10 : parseBlockNumber(req.query.limit);
+        if (!limit || limit > MAX_BLOCK_RANGE) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_BLOCK_RANGE}` });
+        }
+
+        const { network } = await getConnection(channel);
+        const height = await getChainHeight(network);
+        const to = height - 1;
+        const from = Math.max(0, to - limit + 1);
+
+        const blocks = await getBlockRange(network, from, to, height);
+
+        res.json({
+            success: true,
+            height,
+            count: blocks.length,
+            blocks: blocks.reverse()
+        });
+
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Block range, oldest first: /api/blocks?from=&to=
+channelApi.get('/blocks', validateRequest('getBlocks'), cacheResponse(), async (req, res) => {
+    const { channel } = req;
+    try {
+        const { network } = await getConnection(channel);
+        const height = await getChainHeight(network);
+
+        const to = req.query.to === undefined ? height - 1 : parseBlockNumber(req.query.to);
+        const from = req.query.from === undefined
+            ? Math.max(0, (to === null ? 0 : to) - 9)
+            : parseBlockNumber(req.query.from);
+
+        if (from === null || to === null || from > to) {
+            return res.status(400).json({ success: false, error: 'from and to must be block numbers with from <= to' });
+        }
+        if (to >= height) {
+            return res.status(404).json({ success: false, error: `Block #${to} not found (chain height is ${height})` });
+        }
+        if (to - from + 1 > MAX_BLOCK_RANGE) {
+            return res.status(400).json({ success: false, error: `A range may span at most ${MAX_BLOCK_RANGE} blocks` });
+        }
+
+        const blocks = await getBlockRange(network, from, to, height);
+
+        res.json({
+            success: true,
+            height,
+            from,
+            to,
+            count: blocks.length,
+            blocks
+        });
+
+    } catch (error) {
+        log.error('Query failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Web interface - static assets and the single-page app's routes
+app.use('/assets', express.static(publicDir, { index: false, maxAge: '1h' }));
+
+app.get('/', validateRequest('getWebInterface'), sendExplorerShell);
+app.get('/doc/:documentId', validateRequest('getDocumentPage'), sendExplorerShell);
+app.get('/tx/:txId', validateRequest('getTransactionPage'), sendExplorerShell);
+app.get('/block/number/:number', validateRequest('getBlockPageByNumber'), sendExplorerShell);
+app.get('/search', validateRequest('getSearchPage'), sendExplorerShell);
+app.get('/receipt/:documentId', validateRequest('getReceiptPage'), sendExplorerShell);
+app.get('/docs', validateRequest('getApiDocsPage'), sendExplorerShell);
+app.get('/stats', validateRequest('getStatsPage'), sendExplorerShell);
+
+// Old block links by transaction ID
+app.get('/block/:txId', validateRequest('getBlockPage'), (req, res) => {
+    const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    res.redirect(301, `/tx/${req.params.txId}${query}`);
+});
+
+// Prometheus metrics
+app.get('/metrics', validateRequest('getMetrics'), async (req, res) => {
+    if (!metricsSettings.enabled) {
+        return res.status(404).json({ success: false, error: 'Metrics are disabled' });
+    }
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.send(await metricsRegistry.metrics());
+    } catch (error) {
+        log.error('Could not collect metrics', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Health check - reports the real state of the shared Fabric connection
+// Latencies are the heartbeat's last probe: /health itself never calls a peer
+app.get('/health', validateRequest('getHealth'), (req, res) => {
+    const connection = getConnectionStatus();
+    const healthy = connection.status === 'connected';
+
+    res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'healthy' : 'unhealthy',
         sdk: '@hyperledger/fabric-gateway',
+        backend: backendSettings.backend,
         timestamp: new Date().toISOString(),
-        channel: config.channelName
+        channel: defaultChannel.name,
+        chaincode: defaultChannel.chaincode,
+        connection,
+        index: getIndexStatus(defaultChannel),
+        channels: channelSummaries()
     });
 });
 
-// Web Interface (Updated to show block info)
-app.get('/', (req, res) => {
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Veridat Hash Explorer</title>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <style>
-                body { font-family: sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; background: #f5f7fa; }
-                .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; }
-                .search-box { margin: 30px 0; background: white; padding: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-                input { padding: 12px; width: 400px; font-size: 16px; border: 1px solid #ddd; border-radius: 5px; }
-                button { padding: 12px 24px; background: #667eea; color: white; border: none; cursor: pointer; margin-left: 10px; border-radius: 5px;}
-                button:hover { background: #5568d3; }
-                .result { background: white; padding: 20px; margin: 15px 0; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-                .hash { font-family: monospace; background: #f8f9fa; padding: 10px; word-break: break-all; border-radius: 5px; margin: 5px 0; }
-                .block-info { background: #e3f2fd; padding: 15px; margin-top: 15px; border-radius: 5px; font-size: 14px; border-left: 4px solid #2196F3; }
-                .label { font-weight: bold; color: #555; display: inline-block; min-width: 150px; }
-                .value { color: #333; }
-                .info-row { margin: 8px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>🔍 Veridat Hash Explorer</h1>
-                <p>Query blockchain data with comprehensive block information</p>
-            </div>
-            <div class="search-box">
-                <input type="text" id="searchInput" placeholder="Enter document ID or hash value">
-                <button onclick="search()">🔍 Search</button>
-                <button onclick="loadAll()">📋 Load All</button>
-            </div>
-            <div id="results"></div>
-            <script>
-                async function loadAll() {
-                    document.getElementById('results').innerHTML = 'Loading...';
-                    const res = await fetch('/api/hashes');
-                    const data = await res.json();
-                    display(data.data);
-                }
-                async function search() {
-                    const q = document.getElementById('searchInput').value;
-                    if(!q) return loadAll();
-                    let res = await fetch('/api/hash/'+encodeURIComponent(q));
-                    if(!res.ok) res = await fetch('/api/search/'+encodeURIComponent(q));
-                    if(res.ok) {
-                        const data = await res.json();
-                        displayDetailed(data);
-                    } else {
-                        document.getElementById('results').innerHTML = '<div class="result">Not found</div>';
-                    }
-                }
-                function display(items) {
-                    if(!items || !items.length) { 
-                        document.getElementById('results').innerHTML = '<div class="result">No results</div>'; 
-                        return; 
-                    }
-                    document.getElementById('results').innerHTML = items.map(i => 
-                        \`<div class="result">
-                            <div class="info-row"><span class="label">Document ID:</span> <span class="value">\${i.documentID}</span></div>
-                            <div class="info-row"><span class="label">Hash:</span></div>
-                            <div class="hash">\${i.hash}</div>
-                            <div class="info-row"><span class="label">Transaction ID:</span></div>
-                            <div class="hash">\${i.txId || 'N/A'}</div>
-                            <div class="info-row"><span class="label">Timestamp:</span> <span class="value">\${i.timestamp || 'N/A'}</span></div>
-                        </div>\`
-                    ).join('');
-                }
-                function displayDetailed(result) {
-                    if(!result || !result.data) {
-                        document.getElementById('results').innerHTML = '<div class="result">No data</div>';
-                        return;
-                    }
-                    const i = result.data;
-                    const block = result.blockInfo;
-                    let blockHtml = '';
-                    if(block && block.success) {
-                        blockHtml = \`
-                            <div class="block-info">
-                                <strong>📦 Blockchain Information</strong>
-                                <div class="info-row"><span class="label">Block Number:</span> <strong>\${block.blockNumber}</strong></div>
-                                <div class="info-row"><span class="label">Channel:</span> \${block.channel}</div>
-                                <div class="info-row"><span class="label">Block Size:</span> \${block.blockSize} bytes</div>
-                                <div class="info-row"><span class="label">Transaction Count:</span> \${block.transactionCount}</div>
-                                <div class="info-row"><span class="label">Previous Block Hash:</span></div>
-                                <div class="hash">\${block.previousBlockHash || 'N/A'}</div>
-                                <div class="info-row"><span class="label">Data Hash:</span></div>
-                                <div class="hash">\${block.dataHash || 'N/A'}</div>
-                            </div>
-                        \`;
-                    }
-                    document.getElementById('results').innerHTML = \`
-                        <div class="result">
-                            <div class="info-row"><span class="label">Document ID:</span> <span class="value">\${i.documentID}</span></div>
-                            <div class="info-row"><span class="label">Hash:</span></div>
-                            <div class="hash">\${i.hash}</div>
-                            <div class="info-row"><span class="label">Transaction ID:</span></div>
-                            <div class="hash">\${i.txId || 'N/A'}</div>
-                            <div class="info-row"><span class="label">Timestamp:</span> <span class="value">\${i.timestamp || 'N/A'}</span></div>
-                            \${blockHtml}
-                        </div>
-                    \`;
-                }
-                window.onload = loadAll;
-            </script>
-        </body>
-        </html>
-    `);
+// Unknown API paths get a JSON 404 like every other API error
+app.use(['/api', '/graphql'], (req, res) => {
+    res.status(404).json({ success: false, error: `No endpoint ${req.method} ${req.originalUrl.split('?')[0]}` });
+});
+
+// Errors passed to next() or thrown by a route. Body parser errors carry their
+// 4xx status (malformed JSON, too large); anything else is a 500 whose
+// details stay in the log.
+app.use((error, req, res, next) => {
+    const errorStatus = error.status || error.statusCode;
+    const status = errorStatus >= 400 && errorStatus < 600 ? errorStatus : 500;
+    if (status >= 500) {
+        log.error('Unhandled error', { error });
+    }
+    if (res.headersSent) {
+        return res.destroy(error);
+    }
+    res.status(status).json({ success: false, error: status >= 500 ? 'Internal server error' : error.message });
 });
 
 const PORT = config.port || 3000;
-app.listen(PORT, () => {
-    console.log(`🚀 Veridat Explorer API running on port ${PORT}`);
-    console.log(`🔥 Using @hyperledger/fabric-gateway SDK`);
-    console.log(`📍 Web Interface:  http://localhost:${PORT}`);
-    console.log(`📍 API Endpoint:   http://localhost:${PORT}/api/hashes`);
-    console.log(`📍 Doc Query:      http://localhost:${PORT}/api/hash/{documentId}`);
-    console.log(`📍 Block Query:    http://localhost:${PORT}/api/block/txid/{txId}`);
-    console.log(`📍 Block Page:     http://localhost:${PORT}/block/{txId}`);
-    console.log(`📍 Health Check:   http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+
+function start() {
+    const server = app.listen(PORT, () => {
+        log.info('Veridat Explorer API listening', {
+            port: PORT,
+            web: `http://localhost:${PORT}`,
+            api: `http://localhost:${PORT}/api`,
+            graphql: `http://localhost:${PORT}/graphql`,
+            stream: `ws://localhost:${PORT}/api/stream/ws`,
+            health: `http://localhost:${PORT}/health`,
+            metrics: metricsSettings.enabled ? `http://localhost:${PORT}/metrics` : null,
+            logLevel: loggingSettings.level
+        });
+
+        // Open every peer's gateway up front so /health is meaningful immediately
+        log.info('Peers', { peers: peers.map(peer => ({ name: peer.name, endpoint: peer.endpoint })) });
+        for (const peer of peers) {
+            getGateway(peer).catch((error) => {
+                log.error('Initial connection failed', { peer: peer.name, error });
+            });
+        }
+
+        log.info('Channels', {
+            channels: [...channels.values()].map(channel => ({ name: channel.name, chaincode: channel.chaincode })),
+            defaultChannel: defaultChannel.name
+        });
+
+        startRateLimiter();
+
+        for (const channel of channels.values()) {
+            startIndexer(channel);
+        }
+    });
+
+    server.on('upgrade', handleStreamUpgrade);
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    return server;
+}
+
+async function shutdown(signal) {
+    log.info('Shutting down, closing Fabric gateway', { signal });
+    await Promise.all([...channels.values()].map(stopIndexer));
+    if (rateLimitState.usageDirty) {
+        await saveKeyUsage();
+    }
+    for (const peer of peers) {
+        clearTimeout(peer.state.reconnectTimer);
+        clearInterval(peer.state.heartbeatTimer);
+        closeConnection(peer);
+    }
+    process.exit(0);
+}
+
+// npm start runs the server; the tests require this file for the app and the
+// parts they check, and start nothing
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    app,
+    defaultChannel,
+    getConnection,
+    fetchBlockBytes,
+    decodeBlock,
+    listDocuments,
+    parseListQuery,
+    queryDocuments,
+    decodeBlockchainInfo,
+    blockHeaderHash,
+    auditChain,
+    rateLimitSettings,
+    getSimulation,
+    appendSimulatedRegistration,
+    startIndexer,
+    stopIndexer,
+    handleStreamUpgrade,
+    indexerSettings,
+    createChannel,
+    processBlock,
+    saveIndex,
+    loadIndex,
+    findDocument,
+    findByHash,
+    verifySettings,
+    streamExport,
+    csvField,
+    takeToken,
+    buildReceipt,
+    getReceiptKey,
+    loadTrustedCas,
+    parseBatchItems,
+    verifyBatch
+};
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+test('GET /api lists every operation of the OpenAPI document', async () => {
+    const [{ body: index }, { body: spec }] = await Promise.all([
+        request(explorer.app).get('/api').expect(200),
+        request(explorer.app).get('/api/openapi.json').expect(200)
+    ]);
+
+    assert.match(spec.openapi, /^3\./);
+    assert.equal(index.openapi, '/api/openapi.json');
+    assert.deepEqual(index.channels, ['paralite']);
+    assert.equal(Object.keys(index.endpoints).length,
+        Object.values(spec.paths).reduce((count, operations) => count + Object.keys(operations).filter(key => key !== 'parameters').length, 0));
+    assert.ok(index.endpoints['GET /api/hash/:documentId']);
+    assert.ok(index.channelScoped.includes('GET /api/:channel/hash/:documentId'));
+});
+
+test('parameters that break the spec are refused with 400 before reaching the ledger', async () => {
+    const { body, headers } = await request(explorer.app).get('/api/tx/not-a-tx-id').set('X-Request-Id', 'req-42').expect(400);
+    assert.equal(headers['x-request-id'], 'req-42');
+    assert.equal(body.success, false);
+    assert.equal(body.requestId, 'req-42');
+    assert.match(body.error, /txId/);
+    assert.ok(Array.isArray(body.details) && body.details.length > 0);
+
+    await request(explorer.app).get('/api/hashes?limit=zero').expect(400);
+});
+
+test('unknown API paths answer with a JSON 404', async () => {
+    const { body } = await request(explorer.app).get('/api/nowhere?x=1').expect(404);
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'No endpoint GET /api/nowhere');
+    assert.match(body.requestId, /^[\w-]+$/);
+});
+
+test('a malformed JSON body is a 400 with the usual error shape', async () => {
+    const { body } = await request(explorer.app)
+        .post('/api/verify')
+        .set('Content-Type', 'application/json')
+        .send('{"hash":')
+        .expect(400);
+    assert.equal(body.success, false);
+    assert.equal(typeof body.error, 'string');
+    assert.ok(body.requestId);
+});
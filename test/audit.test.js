@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+async function network() {
+    return (await explorer.getConnection(explorer.defaultChannel)).network;
+}
+
+async function block(blockNumber) {
+    return explorer.decodeBlock(await explorer.fetchBlockBytes(await network(), blockNumber));
+}
+
+async function chainInfo() {
+    const qscc = (await network()).getContract('qscc');
+    return explorer.decodeBlockchainInfo(await qscc.evaluateTransaction('GetChainInfo', explorer.defaultChannel.name));
+}
+
+test('every header hash is the previous hash of the next block', async () => {
+    const { height, currentBlockHash } = await chainInfo();
+    let previous = await block(0);
+    for (let blockNumber = 1; blockNumber < height; blockNumber++) {
+        const current = await block(blockNumber);
+        assert.equal(current.previousHash, explorer.blockHeaderHash(previous.blockNumber, previous.previousHash, previous.dataHash),
+            `block #${blockNumber}`);
+        previous = current;
+    }
+    assert.equal(explorer.blockHeaderHash(previous.blockNumber, previous.previousHash, previous.dataHash), currentBlockHash);
+});
+
+test('auditChain finds the simulated chain intact', async () => {
+    const info = await chainInfo();
+    const whole = await explorer.auditChain(await network(), 0, info.height - 1, info);
+    assert.equal(whole.intact, true);
+    assert.deepEqual(whole.breaks, []);
+    assert.equal(whole.blocksChecked, info.height);
+
+    const tail = await explorer.auditChain(await network(), 5, info.height - 1, info);
+    assert.equal(tail.intact, true);
+    assert.equal(tail.blocksChecked, info.height - 5);
+});
+
+test('auditChain reports a block served in place of another', async () => {
+    const real = await network();
+    // The peer answers block #6 when asked for #5
+    const tampered = {
+        getName: () => real.getName(),
+        getContract: name => ({
+            evaluateTransaction: (fn, channelName, blockNumber) => real.getContract(name)
+                .evaluateTransaction(fn, channelName, blockNumber === '5' ? '6' : blockNumber)
+        })
+    };
+
+    const info = await chainInfo();
+    const report = await explorer.auditChain(tampered, 3, 7, info);
+    assert.equal(report.intact, false);
+    assert.deepEqual(report.breaks.map(({ blockNumber, field }) => [blockNumber, field]), [
+        [5, 'number'],
+        [5, 'previous_hash'],
+        [6, 'previous_hash']
+    ]);
+});
+
+test('GET /api/audit/chain audits short ranges in the request', async () => {
+    const { height } = await chainInfo();
+    const { body } = await request(explorer.app).get('/api/audit/chain?from=2').expect(200);
+    assert.equal(body.success, true);
+    assert.equal(body.intact, true);
+    assert.equal(body.from, 2);
+    assert.equal(body.to, height - 1);
+    assert.equal(body.blocksChecked, height - 2);
+});
+
+test('GET /api/audit/chain refuses inverted ranges and blocks past the tip', async () => {
+    await request(explorer.app).get('/api/audit/chain?from=5&to=2').expect(400);
+    const { body } = await request(explorer.app).get('/api/audit/chain?to=9999').expect(404);
+    assert.match(body.error, /^Block #9999 not found/);
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+const HASH = 'a'.repeat(64);
+
+test('parseBatchItems reads JSON bodies, hashes first', () => {
+    assert.deepEqual(explorer.parseBatchItems({ documentIds: ['DOC100'], hashes: [HASH] }), {
+        items: [{ type: 'hash', value: HASH }, { type: 'documentId', value: 'DOC100' }]
+    });
+});
+
+test('parseBatchItems reads NDJSON bodies line by line, skipping blank lines', () => {
+    const body = `{"hash":"${HASH}"}\r\n\n{"documentId":"DOC100"}\n`;
+    assert.deepEqual(explorer.parseBatchItems(body), {
+        items: [{ type: 'hash', value: HASH }, { type: 'documentId', value: 'DOC100' }]
+    });
+});
+
+test('parseBatchItems names the NDJSON line that is wrong', () => {
+    assert.deepEqual(explorer.parseBatchItems(`{"hash":"${HASH}"}\n{oops`), { error: 'line 2 is not valid JSON' });
+    assert.deepEqual(explorer.parseBatchItems(`{"hash":"${HASH}","documentId":"DOC100"}`),
+        { error: 'line 1 must be an object with either "hash" or "documentId"' });
+    assert.deepEqual(explorer.parseBatchItems('[1]'), { error: 'line 1 must be an object with either "hash" or "documentId"' });
+    assert.match(explorer.parseBatchItems('{"hash":"abc"}').error, /^line 1: hash /);
+    assert.match(explorer.parseBatchItems('{"documentId":""}').error, /^line 1: documentId /);
+});
+
+test('parseBatchItems refuses empty and oversized batches', () => {
+    for (const body of [{}, { hashes: [] }, '', '\n\n', null]) {
+        assert.match(explorer.parseBatchItems(body).error, /^Send JSON/);
+    }
+
+    const documentIds = Array.from({ length: 10001 }, (value, i) => `DOC${i}`);
+    assert.deepEqual(explorer.parseBatchItems({ documentIds }), { error: 'A batch holds at most 10000 items (got 10001)' });
+});
+
+test('verifyBatch looks every item up against the registry', async () => {
+    const channel = explorer.defaultChannel;
+    const [record] = await explorer.listDocuments(channel);
+    const { items } = explorer.parseBatchItems({
+        hashes: [record.hash.toUpperCase(), HASH],
+        documentIds: [record.documentID, 'NOT-REGISTERED']
+    });
+
+    const { report, results } = await explorer.verifyBatch(channel, items);
+    assert.equal(report.source, 'chaincode');
+    assert.deepEqual(report.summary, { total: 4, found: 2, notFound: 2, invalid: 0 });
+    assert.deepEqual(results.map(result => [result.value, result.found, result.documentID]), [
+        [record.hash.toUpperCase(), true, record.documentID],
+        [HASH, false, null],
+        [record.documentID, true, record.documentID],
+        ['NOT-REGISTERED', false, null]
+    ]);
+    assert.equal(results[0].txId, record.txId);
+    assert.equal(results[0].valid, true);
+    assert.equal(Number.isInteger(results[0].blockNumber), true);
+});
+
+test('POST /api/verify/batch answers small batches directly', async () => {
+    const { body } = await request(explorer.app)
+        .post('/api/verify/batch')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(`{"documentId":"DOC104"}\n{"hash":"${HASH}"}\n`)
+        .expect(200);
+    assert.deepEqual(body.summary, { total: 2, found: 1, notFound: 1, invalid: 0 });
+    assert.deepEqual(body.results.map(result => [result.type, result.found]), [['documentId', true], ['hash', false]]);
+
+    const refused = await request(explorer.app).post('/api/verify/batch').send({ hashes: ['abc'] }).expect(400);
+    assert.equal(refused.body.success, false);
+});
+
+test('larger batches run as a job whose results download as CSV', async (t) => {
+    const syncLimit = explorer.verifySettings.batchSyncLimit;
+    explorer.verifySettings.batchSyncLimit = 1;
+    t.after(() => {
+        explorer.verifySettings.batchSyncLimit = syncLimit;
+    });
+
+    const started = await request(explorer.app).post('/api/verify/batch').send({ documentIds: ['DOC104', 'NOT-REGISTERED'] }).expect(202);
+    let status = started.body;
+    while (status.status !== 'completed') {
+        assert.notEqual(status.status, 'failed');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        status = (await request(explorer.app).get(started.body.statusUrl).expect(200)).body;
+    }
+    assert.equal(status.result.summary.found, 1);
+
+    const result = await request(explorer.app).get(status.resultUrl).expect(200);
+    assert.match(result.headers['content-type'], /^text\/csv/);
+    const lines = result.text.trim().split('\r\n');
+    assert.equal(lines[0], 'type,value,found,documentID,hash,txId,blockNumber,timestamp,valid,validationCode');
+    assert.deepEqual(lines.slice(1).map(line => line.split(',').slice(0, 3)), [
+        ['documentId', 'DOC104', 'true'],
+        ['documentId', 'NOT-REGISTERED', 'false']
+    ]);
+
+    await request(explorer.app).get('/api/verify/jobs/00000000-0000-4000-8000-000000000000').expect(404);
+});
+
+test('batch verification asks anonymous clients for an API key when rate limits apply', async (t) => {
+    explorer.rateLimitSettings.enabled = true;
+    t.after(() => {
+        explorer.rateLimitSettings.enabled = false;
+    });
+
+    const { body } = await request(explorer.app).post('/api/verify/batch').send({ hashes: [HASH] }).expect(401);
+    assert.equal(body.error, 'This endpoint requires an API key');
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+async function network() {
+    return (await explorer.getConnection(explorer.defaultChannel)).network;
+}
+
+async function block(blockNumber) {
+    return explorer.decodeBlock(await explorer.fetchBlockBytes(await network(), blockNumber));
+}
+
+test('decodeBlock decodes the genesis config block', async () => {
+    const genesis = await block(0);
+    assert.equal(genesis.blockNumber, 0);
+    assert.equal(genesis.previousHash, null);
+    assert.deepEqual(genesis.transactions.map(tx => tx.type), ['CONFIG']);
+});
+
+test('decodeBlock reads transactions and their validation codes', async () => {
+    // Block 4 of the fixture registers DOC103 twice; the second write lost an MVCC check
+    const decoded = await block(4);
+    assert.equal(decoded.blockNumber, 4);
+    assert.equal(decoded.transactionCount, 2);
+    assert.equal(decoded.validTransactionCount, 1);
+    assert.deepEqual(decoded.transactions.map(tx => [tx.validationCode, tx.valid]), [
+        ['VALID', true],
+        ['MVCC_READ_CONFLICT', false]
+    ]);
+    assert.deepEqual(decoded.transactions.map(tx => tx.timestamp), ['2025-11-12T14:00:00.000Z', '2025-11-12T14:00:00.120Z']);
+    for (const tx of decoded.transactions) {
+        assert.match(tx.txId, /^[0-9a-f]{64}$/);
+    }
+    assert.equal(decoded.envelopes.length, 2);
+});
+
+test('GET /api/block/txid/:txId answers with the whole decoded block', async () => {
+    const { transactions } = await block(4);
+    const response = await request(explorer.app)
+        .get(`/api/block/txid/${transactions[1].txId}`)
+        .expect(200)
+        .expect('Content-Type', /json/);
+
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.blockNumber, 4);
+    assert.equal(response.body.transactionId, transactions[1].txId);
+    assert.deepEqual(response.body.transactions.map(tx => [tx.txId, tx.validationCode]), [
+        [transactions[0].txId, 'VALID'],
+        [transactions[1].txId, 'MVCC_READ_CONFLICT']
+    ]);
+});
+
+test('GET /api/block/:number links each block to its neighbours', async () => {
+    const { body } = await request(explorer.app).get('/api/block/3').expect(200);
+    assert.equal(body.blockNumber, 3);
+    assert.deepEqual(body.links, {
+        self: '/api/paralite/block/3',
+        previous: '/api/paralite/block/2',
+        next: '/api/paralite/block/4'
+    });
+    assert.equal(body.previousBlockHash, (await block(3)).previousHash);
+});
+
+test('GET /api/block/:number refuses numbers past the tip or malformed', async () => {
+    const { body } = await request(explorer.app).get('/api/block/9999').expect(404);
+    assert.match(body.error, /^Block #9999 not found \(chain height is \d+\)$/);
+    await request(explorer.app).get('/api/block/-1').expect(400);
+});
+
+test('GET /api/blocks lists a range oldest first, without transactions', async () => {
+    const { body } = await request(explorer.app).get('/api/blocks?from=2&to=5').expect(200);
+    assert.equal(body.count, 4);
+    assert.deepEqual(body.blocks.map(summary => summary.blockNumber), [2, 3, 4, 5]);
+    assert.equal(body.blocks[2].transactionCount, 2);
+    assert.equal(body.blocks[2].transactions, undefined);
+
+    await request(explorer.app).get('/api/blocks?from=5&to=2').expect(400);
+});
+
+test('GET /api/blocks/latest lists the newest blocks first', async () => {
+    const { body } = await request(explorer.app).get('/api/blocks/latest?limit=3').expect(200);
+    const tip = body.height - 1;
+    assert.deepEqual(body.blocks.map(summary => summary.blockNumber), [tip, tip - 1, tip - 2]);
+    assert.equal(body.blocks[0].links.next, null);
+});
@@ -0,0 +1,73 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+const channel = explorer.defaultChannel;
+
+async function waitFor(condition) {
+    while (!condition()) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// Height-bound entries are only trusted while the indexer follows the chain
+async function followChain() {
+    if (channel.index.status === 'stopped') {
+        explorer.startIndexer(channel);
+    }
+    await waitFor(() => channel.index.status === 'live');
+}
+
+after(() => explorer.stopIndexer(channel));
+
+// supertest listens on a new port per request, and the host is part of the cache key
+function get(path) {
+    return request(explorer.app).get(path).set('Host', 'explorer.test');
+}
+
+test('responses tied to the chain height are not cached while the index is not live', async () => {
+    const response = await get('/api/hash/DOC104').expect(200);
+    assert.equal(response.headers['cache-control'], undefined);
+    assert.equal(response.headers['last-modified'], undefined);
+});
+
+test('a block below the tip is cached for good and revalidates to 304', async () => {
+    await followChain();
+    const first = await get('/api/block/3').expect(200);
+    assert.match(first.headers.etag, /^"[\w-]+"$/);
+    assert.equal(first.headers['cache-control'], 'public, max-age=31536000, immutable');
+
+    const again = await get('/api/block/3').set('If-None-Match', first.headers.etag).expect(304);
+    assert.equal(again.headers.etag, first.headers.etag);
+});
+
+test('a listing is revalidated and changes with the chain height', async () => {
+    await followChain();
+    const first = await get('/api/blocks/latest?limit=2').expect(200);
+    assert.equal(first.headers['cache-control'], 'no-cache');
+    await get('/api/blocks/latest?limit=2').set('If-None-Match', first.headers.etag).expect(304);
+
+    const height = channel.index.chainHeight;
+    explorer.appendSimulatedRegistration(explorer.getSimulation().ledgers.get(channel.name));
+    await waitFor(() => channel.index.chainHeight > height);
+
+    const next = await get('/api/blocks/latest?limit=2').set('If-None-Match', first.headers.etag).expect(200);
+    assert.notEqual(next.headers.etag, first.headers.etag);
+    assert.equal(next.body.blocks[0].blockNumber, height);
+});
+
+test('errors are not cached', async () => {
+    await followChain();
+    const response = await get('/api/hash/NOPE').expect(404);
+    assert.equal(response.headers['cache-control'], undefined);
+    assert.equal(response.body.success, false);
+});
+
+test('GET /api/cache/stats counts hits and revalidations', async () => {
+    const { body } = await get('/api/cache/stats').expect(200);
+    assert.equal(body.cache.enabled, true);
+    assert.ok(body.cache.hits >= 2);
+    assert.ok(body.cache.notModified >= 2);
+    assert.ok(body.cache.bypassed >= 1);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+function listOptions(query) {
+    const { options, error } = explorer.parseListQuery(query);
+    assert.equal(error, undefined);
+    return options;
+}
+
+// Follow nextCursor until the last page
+function allPages(records, query) {
+    const pages = [];
+    let cursor;
+    do {
+        const page = explorer.queryDocuments(records, listOptions({ ...query, ...(cursor && { cursor }) }));
+        pages.push(page);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+}
+
+test('cursors page through every document exactly once', async () => {
+    const records = await explorer.listDocuments(explorer.defaultChannel);
+    assert.ok(records.length > 5, 'the fixture registers more documents than one page');
+
+    for (const query of [
+        { limit: '5', sort: 'documentID' },
+        { limit: '5', sort: 'documentID', order: 'desc' },
+        { limit: '4' },
+        { limit: '4', order: 'asc' }
+    ]) {
+        const pages = allPages(records, query);
+        const listed = pages.flatMap(page => page.data);
+        const whole = explorer.queryDocuments(records, listOptions({ ...query, limit: '500' })).data;
+
+        assert.deepEqual(listed.map(record => record.documentID), whole.map(record => record.documentID), JSON.stringify(query));
+        assert.equal(new Set(listed.map(record => record.documentID)).size, records.length);
+        assert.equal(pages.length, Math.ceil(records.length / Number(query.limit)));
+        for (const page of pages) {
+            assert.equal(page.total, records.length);
+        }
+    }
+});
+
+test('timestamp order is newest first by default', async () => {
+    const records = await explorer.listDocuments(explorer.defaultChannel);
+    const times = explorer.queryDocuments(records, listOptions({})).data.map(record => Date.parse(record.timestamp));
+    assert.deepEqual(times, [...times].sort((a, b) => b - a));
+});
+
+test('cursors keep applying the filters', async () => {
+    const records = await explorer.listDocuments(explorer.defaultChannel);
+    const query = { limit: '2', sort: 'documentID', documentIdPrefix: 'DOC10' };
+    const listed = allPages(records, query).flatMap(page => page.data);
+    const expected = records.filter(record => record.documentID.startsWith('DOC10'));
+
+    assert.ok(expected.length > 2);
+    assert.deepEqual(listed.map(record => record.documentID).sort(), expected.map(record => record.documentID).sort());
+});
+
+test('a cursor points past the last record of its page, not at an offset', async () => {
+    const records = await explorer.listDocuments(explorer.defaultChannel);
+    const first = explorer.queryDocuments(records, listOptions({ limit: '3', sort: 'documentID' }));
+
+    // A document registered before the cursor position does not shift the next page
+    const grown = [...records, { ...records[0], documentID: '0-NEW', txId: null }];
+    const next = explorer.queryDocuments(grown, listOptions({ limit: '3', sort: 'documentID', cursor: first.nextCursor }));
+    const expected = explorer.queryDocuments(records, listOptions({ limit: '3', sort: 'documentID', cursor: first.nextCursor }));
+    assert.deepEqual(next.data, expected.data);
+});
+
+test('parseListQuery rejects cursors that do not match the sort', () => {
+    const byDocumentId = explorer.queryDocuments([{ documentID: 'A' }, { documentID: 'B' }], listOptions({ limit: '1', sort: 'documentID' }));
+    assert.ok(byDocumentId.nextCursor);
+
+    assert.deepEqual(explorer.parseListQuery({ cursor: byDocumentId.nextCursor }), { error: 'Invalid cursor' });
+    assert.deepEqual(explorer.parseListQuery({ cursor: 'not-a-cursor' }), { error: 'Invalid cursor' });
+    assert.match(explorer.parseListQuery({ limit: '0' }).error, /^limit must be/);
+    assert.match(explorer.parseListQuery({ sort: 'hash' }).error, /^sort must be/);
+});
+
+test('GET /api/hashes follows nextCursor to the last page', async () => {
+    const records = await explorer.listDocuments(explorer.defaultChannel);
+    const listed = [];
+    let url = '/api/hashes?limit=5&sort=documentID';
+    while (url) {
+        const { body } = await request(explorer.app).get(url).expect(200);
+        assert.equal(body.total, records.length);
+        assert.equal(body.count, body.data.length);
+        listed.push(...body.data.map(record => record.documentID));
+        url = body.nextCursor ? `/api/hashes?limit=5&sort=documentID&cursor=${body.nextCursor}` : null;
+    }
+    assert.deepEqual(listed, records.map(record => record.documentID).sort());
+});
+
+test('GET /api/hashes answers 400 for a bad cursor or limit', async () => {
+    const { body } = await request(explorer.app).get('/api/hashes?cursor=not-a-cursor').expect(400);
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'Invalid cursor');
+    await request(explorer.app).get('/api/hashes?limit=501').expect(400);
+});
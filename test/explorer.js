@@ -0,0 +1,12 @@
+// server.js on the simulated network built from fixtures/simulated-network.json,
+// loaded for its parts: the HTTP server, indexer and rate limiter are not started
+process.env.EXPLORER_BACKEND = 'simulated';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const explorer = require('../server');
+
+// Every test request comes from the same address; the rate limit tests turn
+// the limits back on for themselves
+explorer.rateLimitSettings.enabled = false;
+
+module.exports = explorer;
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+test('GET /api/export streams the registry as CSV with the chain height', async () => {
+    const response = await request(explorer.app).get('/api/export?include=blockNumber&documentIdPrefix=DOC10').expect(200);
+    assert.match(response.headers['content-type'], /^text\/csv/);
+    const height = response.headers['x-chain-height'];
+    assert.match(height, /^\d+$/);
+    assert.match(response.headers['content-disposition'], new RegExp(`registry-paralite-height-${height}\\.csv`));
+
+    const lines = response.text.trim().split('\r\n');
+    assert.equal(lines[0], 'documentID,hash,timestamp,txId,blockNumber');
+    assert.equal(lines.length - 1, Number(response.headers['x-total-count']));
+    assert.match(lines.find(line => line.startsWith('DOC104,')), /^DOC104,0c2f59dc[0-9a-f]+,2025-11-12T15:00:00\.000Z,[0-9a-f]{64},5$/);
+});
+
+test('GET /api/export refuses unknown formats and columns', async () => {
+    await request(explorer.app).get('/api/export?format=xlsx').expect(400);
+    await request(explorer.app).get('/api/export?include=mspId').expect(400);
+});
+
+test('an export stops when the client goes away while it is backpressured', async () => {
+    // A response whose buffer is always full, as with a client that stopped reading
+    const res = new EventEmitter();
+    res.destroyed = false;
+    res.written = [];
+    res.write = (chunk) => {
+        res.written.push(chunk);
+        return false;
+    };
+    res.end = () => assert.fail('the export ended a closed response');
+    setTimeout(() => {
+        res.destroyed = true;
+        res.emit('close');
+    }, 20);
+
+    const records = Array.from({ length: 1000 }, (_, i) => ({ documentID: `DOC${i}`, hash: 'ab', timestamp: null, txId: null }));
+    await explorer.streamExport(res, explorer.defaultChannel, records, { format: 'ndjson', include: [] }, {});
+    assert.equal(res.written.length, 1);
+    assert.equal(res.listenerCount('close'), 0);
+});
+
+test('csvField quotes separators and neutralizes spreadsheet formulas', () => {
+    assert.equal(explorer.csvField('DOC104'), 'DOC104');
+    assert.equal(explorer.csvField(null), '');
+    assert.equal(explorer.csvField(5), '5');
+    assert.equal(explorer.csvField('a,"b"'), '"a,""b"""');
+    assert.equal(explorer.csvField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    for (const text of ['+1', '-1', '@SUM(A1)', '\tcmd', '\rcmd']) {
+        assert.equal(explorer.csvField(text), `"'${text}"`);
+    }
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const explorer = require('./explorer');
+
+async function blockBytes(blockNumber) {
+    const { network } = await explorer.getConnection(explorer.defaultChannel);
+    return explorer.fetchBlockBytes(network, blockNumber);
+}
+
+// A channel with its own index, next to the default one the routes use
+function freshChannel() {
+    const { name, chaincode } = explorer.defaultChannel;
+    return explorer.createChannel({ name, chaincode });
+}
+
+test('a block indexed while the index is being saved is not saved under the old checkpoint', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorer-index-'));
+    const savedPath = explorer.indexerSettings.path;
+    explorer.indexerSettings.path = path.join(directory, 'ledger-index.json');
+    t.after(() => {
+        explorer.indexerSettings.path = savedPath;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Block 14 of the fixture deletes DOC105, adding to a history indexed before it
+    const channel = freshChannel();
+    for (let blockNumber = 0; blockNumber < 14; blockNumber++) {
+        explorer.processBlock(channel, await blockBytes(blockNumber));
+    }
+
+    const deletion = await blockBytes(14);
+    const saving = explorer.saveIndex(channel);
+    explorer.processBlock(channel, deletion);
+    await saving;
+
+    // A restart resumes from the saved checkpoint and indexes block 14 again
+    const restarted = freshChannel();
+    explorer.loadIndex(restarted);
+    assert.equal(restarted.index.nextBlock, 14);
+    explorer.processBlock(restarted, deletion);
+
+    assert.deepEqual(restarted.index.history, channel.index.history);
+    assert.deepEqual(restarted.index.blocks, channel.index.blocks);
+});
+
+test('lookups ask the chaincode until the index has caught up', async () => {
+    // Indexed up to block 13, DOC105 has not been deleted yet
+    const channel = freshChannel();
+    for (let blockNumber = 0; blockNumber < 14; blockNumber++) {
+        explorer.processBlock(channel, await blockBytes(blockNumber));
+    }
+    const indexed = channel.index.documents.get('DOC105');
+    assert.ok(indexed);
+
+    channel.index.status = 'catching-up';
+    assert.equal(await explorer.findDocument(channel, 'DOC105'), null);
+    assert.equal(await explorer.findByHash(channel, indexed.hash), null);
+
+    channel.index.status = 'live';
+    assert.equal(await explorer.findDocument(channel, 'DOC105'), indexed);
+    assert.equal(await explorer.findByHash(channel, indexed.hash), indexed);
+});
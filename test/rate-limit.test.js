@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+const tier = { requestsPerSecond: 2, burst: 3, requestsPerDay: null, heavy: false };
+
+test('takeToken allows a burst, then refuses until tokens refill', (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    const results = [1, 2, 3, 4].map(() => explorer.takeToken('ip:198.51.100.1', tier));
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    assert.equal(results[3].retryAfterSeconds, 1);
+    assert.equal(results[3].resetSeconds, 2);
+
+    // Two tokens a second: half a second buys exactly one more request
+    now += 500;
+    assert.equal(explorer.takeToken('ip:198.51.100.1', tier).allowed, true);
+    assert.equal(explorer.takeToken('ip:198.51.100.1', tier).allowed, false);
+
+    now += 10_000;
+    const refilled = explorer.takeToken('ip:198.51.100.1', tier);
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, tier.burst - 1);
+});
+
+test('takeToken keeps one bucket per client', (t) => {
+    t.mock.method(Date, 'now', () => 2_000_000);
+
+    for (let i = 0; i < tier.burst; i++) {
+        explorer.takeToken('key:exhausted', tier);
+    }
+    assert.equal(explorer.takeToken('key:exhausted', tier).allowed, false);
+    assert.equal(explorer.takeToken('key:other', tier).allowed, true);
+});
+
+// test/explorer.js turns rate limiting off for the other route tests
+function enableRateLimits(t) {
+    explorer.rateLimitSettings.enabled = true;
+    t.after(() => {
+        explorer.rateLimitSettings.enabled = false;
+    });
+}
+
+test('anonymous API requests are limited per IP and refused with 429 once the burst is spent', async (t) => {
+    enableRateLimits(t);
+    const { burst } = explorer.rateLimitSettings.tiers.public;
+
+    const first = await request(explorer.app).get('/api/cache/stats').expect(200);
+    assert.equal(first.headers['ratelimit-limit'], String(burst));
+    assert.equal(first.headers['ratelimit-remaining'], String(burst - 1));
+
+    for (let i = 1; i < burst; i++) {
+        await request(explorer.app).get('/api/cache/stats').expect(200);
+    }
+    const refused = await request(explorer.app).get('/api/cache/stats').expect(429);
+    assert.equal(refused.headers['ratelimit-remaining'], '0');
+    assert.match(refused.headers['retry-after'], /^\d+$/);
+    assert.equal(refused.body.success, false);
+    assert.equal(refused.body.error, 'Rate limit exceeded');
+    assert.equal(refused.body.tier, 'public');
+});
+
+test('an unknown API key is refused rather than treated as anonymous', async () => {
+    const { body } = await request(explorer.app).get('/api/cache/stats').set('X-API-Key', 'not-a-key').expect(401);
+    assert.deepEqual([body.success, body.error], [false, 'Invalid API key']);
+});
+
+test('heavy endpoints ask anonymous clients for an API key', async (t) => {
+    enableRateLimits(t);
+    // Late enough for the bucket the burst test emptied to have refilled
+    const later = Date.now() + 60_000;
+    t.mock.method(Date, 'now', () => later);
+
+    const { body } = await request(explorer.app).get('/api/export').expect(401);
+    assert.equal(body.error, 'This endpoint requires an API key');
+});
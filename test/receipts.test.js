@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const request = require('supertest');
+const { verifyReceipt } = require('../scripts/verify-receipt');
+const explorer = require('./explorer');
+
+async function receiptFor(documentId) {
+    const channel = explorer.defaultChannel;
+    const record = await explorer.findDocument(channel, documentId);
+    const { network } = await explorer.getConnection(channel);
+    const blockBytes = await network.getContract('qscc').evaluateTransaction('GetBlockByTxID', channel.name, record.txId);
+    return explorer.buildReceipt(channel, record, blockBytes);
+}
+
+function claimsOf(receipt) {
+    return JSON.parse(Buffer.from(receipt.payload, 'base64url').toString('utf8'));
+}
+
+// Sign altered claims with a throwaway key embedded in the header, so only the
+// checks on the claims themselves can fail
+function resign(claims) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const protectedHeader = Buffer.from(JSON.stringify({ alg: 'ES256', kid: 'test', jwk: publicKey.export({ format: 'jwk' }) })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${protectedHeader}.${payload}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    return { protected: protectedHeader, payload, signature: signature.toString('base64url') };
+}
+
+function failedChecks(result) {
+    return result.checks.filter(check => check.ok === false).map(check => check.check);
+}
+
+test('a receipt from the explorer verifies against its key and the fixture CAs', async () => {
+    const receipt = await receiptFor('DOC104');
+    const result = verifyReceipt(receipt, {
+        explorerKey: explorer.getReceiptKey().publicKey,
+        caCertificates: explorer.loadTrustedCas()
+    });
+
+    assert.equal(result.valid, true, JSON.stringify(result.checks));
+    assert.deepEqual(result.checks.map(check => check.check), [
+        'signature', 'block-data-hash', 'block-header-hash', 'transaction', 'validation-code',
+        'creator-signature', 'endorsements', 'certificates', 'document'
+    ]);
+    assert.equal(result.claims.document.documentID, 'DOC104');
+});
+
+test('the compact form and the API response verify too', async () => {
+    const receipt = await receiptFor('DOC104');
+    const options = { explorerKey: explorer.getReceiptKey().publicKey };
+    assert.equal(verifyReceipt(`${receipt.protected}.${receipt.payload}.${receipt.signature}`, options).valid, true);
+    assert.equal(verifyReceipt({ success: true, receipt }, options).valid, true);
+});
+
+test('a receipt signed by another key fails the pinned signature check', async () => {
+    const receipt = await receiptFor('DOC104');
+    const result = verifyReceipt(resign(claimsOf(receipt)), { explorerKey: explorer.getReceiptKey().publicKey });
+    assert.deepEqual(failedChecks(result), ['signature']);
+});
+
+test('a changed document hash fails the document check', async () => {
+    const claims = claimsOf(await receiptFor('DOC104'));
+    claims.document.hash = '0'.repeat(64);
+    assert.deepEqual(failedChecks(verifyReceipt(resign(claims))), ['document']);
+});
+
+test('the losing write of an MVCC conflict fails the validation code check', async () => {
+    const claims = claimsOf(await receiptFor('DOC103'));
+    // Block 4 holds the committed write of DOC103 and, second, one the peer invalidated
+    assert.equal(claims.block.number, 4);
+    claims.transaction.txNumber = 1 - claims.transaction.txNumber;
+    const failed = failedChecks(verifyReceipt(resign(claims)));
+    assert.ok(failed.includes('validation-code'));
+    assert.ok(failed.includes('transaction'));
+});
+
+test('malformed claims are reported as a failed check, not thrown', async () => {
+    const claims = claimsOf(await receiptFor('DOC104'));
+
+    const withoutTransaction = { ...claims };
+    delete withoutTransaction.transaction;
+    let result = verifyReceipt(resign(withoutTransaction));
+    assert.equal(result.valid, false);
+    assert.deepEqual(failedChecks(result), ['format']);
+
+    result = verifyReceipt(resign({ ...claims, transaction: { ...claims.transaction, txNumber: 99 } }));
+    assert.equal(result.valid, false);
+    assert.deepEqual(failedChecks(result), ['transaction']);
+
+    result = verifyReceipt(resign([]));
+    assert.deepEqual(failedChecks(result), ['format']);
+
+    result = verifyReceipt({ protected: 'e30', payload: 'not json', signature: 'AA' });
+    assert.deepEqual(failedChecks(result), ['format']);
+
+    assert.deepEqual(failedChecks(verifyReceipt(null)), ['format']);
+});
+
+test('GET /api/hash/:documentId/receipt issues a receipt that POST /api/receipt/verify accepts', async () => {
+    const issued = await request(explorer.app).get('/api/hash/DOC104/receipt').expect(200);
+    assert.equal(issued.body.documentID, 'DOC104');
+    assert.equal(issued.body.links.verify, '/api/receipt/verify');
+
+    const { body: key } = await request(explorer.app).get('/api/receipt/key').expect(200);
+    assert.equal(JSON.parse(Buffer.from(issued.body.receipt.protected, 'base64url')).kid, key.kid);
+
+    const { body } = await request(explorer.app).post('/api/receipt/verify').send(issued.body).expect(200);
+    assert.equal(body.valid, true);
+    assert.deepEqual(body.summary, { passed: 9, failed: [], skipped: [] });
+    assert.equal(body.claims.document.documentID, 'DOC104');
+});
+
+test('POST /api/receipt/verify reports a receipt signed by another key as not valid', async () => {
+    const claims = claimsOf(await receiptFor('DOC104'));
+    const { body } = await request(explorer.app).post('/api/receipt/verify').send(resign(claims)).expect(200);
+    assert.equal(body.valid, false);
+    assert.deepEqual(body.summary.failed, ['signature']);
+});
+
+test('receipt routes refuse unknown documents and bodies that are not receipts', async () => {
+    await request(explorer.app).get('/api/hash/NOPE/receipt').expect(404);
+    const { body } = await request(explorer.app).post('/api/receipt/verify').set('Content-Type', 'application/json').send('42').expect(400);
+    assert.equal(body.success, false);
+});
+
+// Runs scripts/verify-receipt.js on a receipt written to a temporary directory
+function runVerifier(t, receipt, pinned) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = name => path.join(directory, name);
+
+    fs.writeFileSync(file('receipt.json'), JSON.stringify(receipt));
+    fs.writeFileSync(file('explorer.pem'), explorer.getReceiptKey().publicKey.export({ type: 'spki', format: 'pem' }));
+    fs.writeFileSync(file('ca.pem'), explorer.loadTrustedCas().join('\n'));
+    const args = { key: ['--explorer-key', file('explorer.pem')], ca: ['--ca', file('ca.pem')], intermediate: ['--intermediate', file('ca.pem')] };
+
+    return spawnSync(process.execPath, [
+        path.join(__dirname, '../scripts/verify-receipt.js'),
+        file('receipt.json'),
+        ...pinned.flatMap(name => args[name])
+    ], { encoding: 'utf8', timeout: 10000 });
+}
+
+test('the verifier CLI only reports a receipt valid with the explorer key and the CAs pinned', async (t) => {
+    const receipt = await receiptFor('DOC104');
+
+    let run = runVerifier(t, receipt, ['key', 'ca', 'intermediate']);
+    assert.equal(run.status, 0, run.stdout);
+    assert.match(run.stdout, /✅ Receipt is valid/);
+
+    run = runVerifier(t, receipt, ['ca']);
+    assert.equal(run.status, 3);
+    assert.match(run.stdout, /Receipt is unverified: no --explorer-key/);
+
+    run = runVerifier(t, receipt, ['key']);
+    assert.equal(run.status, 3);
+    assert.match(run.stdout, /Receipt is unverified: no --ca/);
+    assert.match(run.stdout, /➖ certificates/);
+
+    run = runVerifier(t, resign(claimsOf(receipt)), ['key', 'ca']);
+    assert.equal(run.status, 1);
+    assert.match(run.stdout, /❌ Receipt is NOT valid/);
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const request = require('supertest');
+const { WebSocket } = require('ws');
+const explorer = require('./explorer');
+
+const channel = explorer.defaultChannel;
+let server;
+let base;
+
+// Live events come from the indexer loop, so it runs for these tests
+before(async () => {
+    explorer.startIndexer(channel);
+    while (channel.index.status !== 'live') {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    server = http.createServer(explorer.app);
+    server.on('upgrade', explorer.handleStreamUpgrade);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await explorer.stopIndexer(channel);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+function appendRegistration() {
+    explorer.appendSimulatedRegistration(explorer.getSimulation().ledgers.get(channel.name));
+}
+
+// Server-Sent Events of a GET, until done(events) is true
+function readSse(path, done) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get(`http://${base}${path}`, (res) => {
+            assert.equal(res.statusCode, 200);
+            assert.match(res.headers['content-type'], /^text\/event-stream/);
+            let buffered = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffered += chunk;
+                const messages = buffered.split('\n\n');
+                buffered = messages.pop();
+                for (const message of messages) {
+                    const data = message.split('\n').find(line => line.startsWith('data: '));
+                    if (data) events.push(JSON.parse(data.slice(6)));
+                }
+                if (done(events)) {
+                    req.destroy();
+                    resolve(events);
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+test('the SSE stream replays from fromBlock, then follows new blocks', async () => {
+    const tip = channel.index.nextBlock - 1;
+    const reading = readSse(`/api/stream?fromBlock=${tip}&types=block,registration`,
+        events => events.some(event => event.blockNumber === tip + 1 && event.type === 'registration'));
+    setTimeout(appendRegistration, 50);
+
+    const events = await reading;
+    const replayed = events.filter(event => event.blockNumber === tip);
+    assert.deepEqual(replayed.map(event => event.id), replayed.map((event, position) => `${tip}-${position}`));
+    assert.equal(replayed[0].type, 'block');
+
+    const live = events.filter(event => event.blockNumber === tip + 1);
+    assert.deepEqual(live.map(event => [event.id, event.type]), [
+        [`${tip + 1}-0`, 'block'],
+        [`${tip + 1}-1`, 'registration']
+    ]);
+    assert.match(live[1].documentID, /^DEMO-/);
+    assert.equal(live[1].action, 'registered');
+});
+
+test('Last-Event-ID resumes after the last event seen', async () => {
+    const tip = channel.index.nextBlock - 1;
+    const events = await readSse(`/api/stream?lastEventId=${tip}-0&types=block,registration`, seen => seen.length > 0);
+    assert.equal(events[0].id, `${tip}-1`);
+});
+
+test('the SSE stream refuses unknown types and malformed event ids', async () => {
+    const { body } = await request(explorer.app).get('/api/stream?types=block,votes').expect(400);
+    assert.match(body.error, /^types must be/);
+    await request(explorer.app).get('/api/stream?lastEventId=oops').expect(400);
+});
+
+test('the WebSocket stream sends the same events as JSON messages', async () => {
+    const tip = channel.index.nextBlock - 1;
+    const socket = new WebSocket(`ws://${base}/api/stream/ws?fromBlock=${tip}&types=block`);
+    const message = await new Promise((resolve, reject) => {
+        socket.once('message', data => resolve(JSON.parse(data)));
+        socket.once('error', reject);
+    });
+    socket.close();
+
+    assert.equal(message.type, 'block');
+    assert.equal(message.id, `${tip}-0`);
+    assert.equal(message.blockNumber, tip);
+});
+
+test('WebSocket upgrades are refused with an HTTP error for bad paths and queries', async () => {
+    for (const [path, status] of [['/api/nowhere/stream/ws', 404], ['/api/stream/ws?types=votes', 400], ['/api/other', 404]]) {
+        const socket = new WebSocket(`ws://${base}${path}`);
+        socket.on('error', () => {});
+        const response = await new Promise((resolve) => {
+            socket.once('unexpected-response', (req, res) => resolve(res));
+        });
+        assert.equal(response.statusCode, status, path);
+        socket.terminate();
+    }
+});
+
+test('a refused WebSocket handshake stops listening for ledger events', async () => {
+    const listening = channel.ledgerEvents.listenerCount('event');
+    // No Sec-WebSocket-Key, so the handshake fails after the stream is opened
+    const response = await new Promise((resolve, reject) => {
+        http.get(`http://${base}/api/stream/ws`, { headers: { Connection: 'Upgrade', Upgrade: 'websocket' } }, resolve)
+            .on('error', reject);
+    });
+    assert.equal(response.statusCode, 400);
+    response.resume();
+
+    for (let attempt = 0; attempt < 50 && channel.ledgerEvents.listenerCount('event') > listening; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(channel.ledgerEvents.listenerCount('event'), listening);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const explorer = require('./explorer');
+
+const DOC104_HASH = '0c2f59dc9c558a7f7d2fb5dca96f203d552e7e031de86a0df83b86aee174a59c';
+
+test('POST /api/verify matches a hash sent as JSON', async () => {
+    const { body } = await request(explorer.app).post('/api/verify').send({ hash: DOC104_HASH.toUpperCase() }).expect(200);
+    assert.equal(body.match, true);
+    assert.equal(body.documentID, 'DOC104');
+    assert.equal(body.blockNumber, 5);
+    assert.equal(body.file, null);
+});
+
+test('POST /api/verify hashes a raw upload', async () => {
+    const file = Buffer.from('not on the ledger');
+    const { body } = await request(explorer.app)
+        .post('/api/verify')
+        .set('Content-Type', 'application/octet-stream')
+        .send(file)
+        .expect(200);
+    assert.equal(body.match, false);
+    assert.equal(body.hash, crypto.createHash('sha256').update(file).digest('hex'));
+    assert.deepEqual(body.file, { name: null, size: file.length });
+});
+
+test('POST /api/verify refuses raw uploads over the size limit and closes the connection', async (t) => {
+    const limit = explorer.verifySettings.maxFileSizeBytes;
+    explorer.verifySettings.maxFileSizeBytes = 1024;
+    t.after(() => {
+        explorer.verifySettings.maxFileSizeBytes = limit;
+    });
+
+    const response = await request(explorer.app)
+        .post('/api/verify')
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.alloc(256 * 1024))
+        .expect(413);
+    assert.equal(response.headers.connection, 'close');
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.error, 'File exceeds the 1024 byte limit');
+});